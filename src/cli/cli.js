@@ -0,0 +1,257 @@
+import fs from "node:fs/promises";
+import { createRequire } from "node:module";
+import os from "node:os";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+
+import { createConfigStore } from "../main/services/configStore.js";
+import { createGenerationHistory } from "../main/services/generationHistory.js";
+import { downloadImageViaFetch, passThroughImageForOpenAI, sniffImage } from "../main/services/imageFetch.js";
+import { OUTPUT_LANGUAGE_IDS } from "../main/services/languageSpecs.js";
+import { createMcpLauncher } from "../main/services/mcpLauncher.js";
+import { createPromptTemplateStore } from "../main/services/promptTemplates.js";
+import { EXPORT_FORMATS, resolveExportFormat } from "../main/services/recipeExport.js";
+import { createRecipeMcpServer } from "../main/services/recipeMcpServer.js";
+import { createRecipeLibrary } from "../main/services/recipeLibrary.js";
+import { createRecipePipeline } from "../main/services/recipePipeline.js";
+import { createXhsClient } from "../main/services/xhsClient.js";
+import { extractFirstHttpsUrl } from "../shared/urlSanitizer.js";
+
+// Same folder as Electron's app.getPath("userData"), so the CLI shares config, prompt templates and history.
+const APP_NAME = "xhs-recipe-bot";
+const CLI_VERSION = createRequire(import.meta.url)("../../package.json").version;
+
+export const EXIT_OK = 0;
+export const EXIT_FAILED = 1;
+export const EXIT_USAGE = 2;
+
+// PDF needs Chromium's printer; binary formats cannot go to stdout.
+const CLI_FORMAT_IDS = EXPORT_FORMATS.map((f) => f.id).filter((id) => id !== "pdf");
+const BINARY_FORMAT_IDS = ["paprika"];
+
+export const USAGE = `Usage: xhs-recipe extract <url or share text> [options]
+       xhs-recipe mcp [--lang <id>] [--model <name>] [--data-dir <dir>] [--verbose]
+
+Commands:
+  extract            Fetch one post and print or save its recipe
+  mcp                Serve extract_recipe, search_library and get_recipe as an MCP server over stdio
+
+Options:
+  --lang <id>        Output language: ${OUTPUT_LANGUAGE_IDS.join(", ")} (default: the app setting)
+  --out <file>       Write to a file instead of stdout
+  --format <id>      ${CLI_FORMAT_IDS.join(", ")} (default: from --out, else markdown)
+  --model <name>     OpenAI model (default: the app setting)
+  --no-images        Send the caption only
+  --data-dir <dir>   Config, prompt templates and history folder (default: the desktop app's)
+  --quiet            No progress output on stderr
+  --verbose          Log pipeline details on stderr
+  -h, --help         Show this help
+
+OPENAI_API_KEY is read from the environment or .env, as in the desktop app.
+`;
+
+export class CliUsageError extends Error {}
+
+export function defaultDataDir({ platform = process.platform, env = process.env, home = os.homedir() } = {}) {
+  if (env.XHS_RECIPE_DATA_DIR) return env.XHS_RECIPE_DATA_DIR;
+  if (platform === "win32") return path.join(env.APPDATA || path.join(home, "AppData", "Roaming"), APP_NAME);
+  if (platform === "darwin") return path.join(home, "Library", "Application Support", APP_NAME);
+  return path.join(env.XDG_CONFIG_HOME || path.join(home, ".config"), APP_NAME);
+}
+
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        lang: { type: "string" },
+        out: { type: "string" },
+        format: { type: "string" },
+        model: { type: "string" },
+        "no-images": { type: "boolean", default: false },
+        "data-dir": { type: "string" },
+        quiet: { type: "boolean", default: false },
+        verbose: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    throw new CliUsageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const [command, ...rest] = positionals;
+  if (command !== "extract" && command !== "mcp") throw new CliUsageError(command ? `Unknown command: ${command}` : "Missing command.");
+  if (values.lang && !OUTPUT_LANGUAGE_IDS.includes(values.lang)) {
+    throw new CliUsageError(`Unknown --lang ${values.lang}; use one of ${OUTPUT_LANGUAGE_IDS.join(", ")}.`);
+  }
+  const shared = {
+    help: false,
+    command,
+    lang: values.lang ?? null,
+    model: values.model ?? null,
+    dataDir: values["data-dir"] ?? defaultDataDir(),
+    quiet: values.quiet,
+    verbose: values.verbose,
+  };
+  if (command === "mcp") {
+    if (rest.length) throw new CliUsageError("mcp takes no arguments.");
+    return shared;
+  }
+
+  const url = extractFirstHttpsUrl(rest.join(" "));
+  if (!url) throw new CliUsageError("Missing https:// URL or share text.");
+
+  const formatId = values.format ?? (values.out ? resolveExportFormat(values.out).id : "markdown");
+  if (formatId === "pdf") throw new CliUsageError("PDF export needs the desktop app; use --format html and print it.");
+  if (!CLI_FORMAT_IDS.includes(formatId)) {
+    throw new CliUsageError(`Unknown --format ${formatId}; use one of ${CLI_FORMAT_IDS.join(", ")}.`);
+  }
+  if (BINARY_FORMAT_IDS.includes(formatId) && !values.out) throw new CliUsageError(`--format ${formatId} needs --out.`);
+
+  return { ...shared, url, out: values.out ?? null, format: formatId, images: !values["no-images"] };
+}
+
+function createCliLogger({ stderr, quiet, verbose }) {
+  const write = (level, message, data) => stderr.write(`[${level}] ${message}${data ? ` ${JSON.stringify(data)}` : ""}\n`);
+  return {
+    info: (message, data) => verbose && write("info", message, data),
+    debug: (message, data) => verbose && write("debug", message, data),
+    warn: (message, data) => !quiet && write("warn", message, data),
+    error: (message, data) => !quiet && write("error", message, data),
+  };
+}
+
+const STEP_LABELS = { fetching: "Fetching post", images: "Downloading images", generating: "Generating recipe" };
+
+// Config, MCP client and pipeline for one run, reading the data folder the desktop app uses.
+async function createServices(args, { stderr }) {
+  const logger = createCliLogger({ stderr, quiet: args.quiet, verbose: args.verbose });
+  const app = { getPath: () => args.dataDir };
+
+  const store = createConfigStore({ app });
+  await store.load();
+  // --lang and --model apply to this run only.
+  const configStore = {
+    ...store,
+    getResolvedConfig: async () => {
+      const cfg = await store.getResolvedConfig();
+      return {
+        ...cfg,
+        openai: { ...cfg.openai, model: args.model ?? cfg.openai.model },
+        ui: { ...cfg.ui, outputLanguage: args.lang ?? cfg.ui.outputLanguage },
+      };
+    },
+  };
+  const promptTemplates = createPromptTemplateStore({ app });
+  await promptTemplates.load();
+
+  const xhsClient = createXhsClient({ logger, configStore });
+  const mcpLauncher = createMcpLauncher({ logger, configStore, emitStatus: (s) => logger.debug("mcp status", s) });
+  const pipeline = createRecipePipeline({
+    logger,
+    configStore,
+    promptTemplates,
+    xhsClient,
+    history: createGenerationHistory({ app, logger }),
+    downloadImage: downloadImageViaFetch,
+    preprocessImage: passThroughImageForOpenAI,
+  });
+  return {
+    logger,
+    configStore,
+    pipeline,
+    library: createRecipeLibrary({ app, logger }),
+    mcpLauncher,
+    shutdown: async () => {
+      await xhsClient.shutdown?.().catch(() => {});
+      mcpLauncher.shutdown();
+    },
+  };
+}
+
+async function runExtract(args, { stdout, stderr, signal }) {
+  const progress = (step) => !args.quiet && stderr.write(`${STEP_LABELS[step] ?? step}…\n`);
+  const { logger, configStore, pipeline, mcpLauncher, shutdown } = await createServices(args, { stderr });
+
+  try {
+    await mcpLauncher.ensureStarted({ reason: "cli" });
+    const { markdown, recipe, meta, post, images } = await pipeline.extractRecipe(args.url, { signal, onStep: progress, images: args.images });
+    const { failures } = meta.images;
+    if (failures.length && !args.quiet) {
+      stderr.write(`${failures.length} image(s) not sent: ${failures.map((f) => `${f.url} (${f.reason})`).join(", ")}\n`);
+    }
+
+    const format = EXPORT_FORMATS.find((f) => f.id === args.format);
+    const cfg = await configStore.getResolvedConfig();
+    const content = await format.serialize({
+      recipe,
+      markdown,
+      image: images[0] ?? null,
+      pageSize: cfg.ui.pageSize,
+      // Only JPEG covers are embedded; there is no encoder to convert other formats.
+      loadCoverJpeg: async (img) => {
+        if (img.kind === "dataUrl") return null;
+        const downloaded = await downloadImageViaFetch(img.url, logger, { referer: post.sourceUrl, signal });
+        return downloaded && sniffImage(downloaded.buffer)?.mime === "image/jpeg" ? downloaded.buffer : null;
+      },
+    });
+
+    if (args.out) {
+      await fs.writeFile(args.out, content, typeof content === "string" ? "utf8" : undefined);
+      if (!args.quiet) stderr.write(`Wrote ${args.out} (${format.id})\n`);
+    } else {
+      await new Promise((resolve, reject) => stdout.write(content, (err) => (err ? reject(err) : resolve())));
+    }
+    return EXIT_OK;
+  } finally {
+    await shutdown();
+  }
+}
+
+// Serves MCP on stdin/stdout until the client closes stdin or the signal fires; logs stay on stderr.
+async function runMcpServer(args, { stdin, stdout, stderr, signal }) {
+  const { logger, pipeline, library, mcpLauncher, shutdown } = await createServices(args, { stderr });
+  const server = createRecipeMcpServer({ version: CLI_VERSION, logger, pipeline, library });
+  try {
+    void mcpLauncher.ensureStarted({ reason: "cli_mcp" });
+    await server.connect(new StdioServerTransport(stdin, stdout));
+    await new Promise((resolve) => {
+      if (signal.aborted) return resolve();
+      signal.addEventListener("abort", resolve, { once: true });
+      stdin.once("end", resolve);
+      stdin.once("close", resolve);
+    });
+    return EXIT_OK;
+  } finally {
+    await server.close().catch(() => {});
+    await shutdown();
+  }
+}
+
+export async function runCli(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, signal } = {}) {
+  let args;
+  try {
+    args = parseCliArgs(argv);
+  } catch (err) {
+    if (!(err instanceof CliUsageError)) throw err;
+    stderr.write(`${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (args.help) {
+    stdout.write(USAGE);
+    return EXIT_OK;
+  }
+  try {
+    const run = args.command === "mcp" ? runMcpServer : runExtract;
+    return await run(args, { stdin, stdout, stderr, signal: signal ?? new AbortController().signal });
+  } catch (err) {
+    stderr.write(`Error: ${err?.message ?? err}\n`);
+    return EXIT_FAILED;
+  }
+}
@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { CliUsageError, EXIT_USAGE, defaultDataDir, parseCliArgs, runCli } from "./cli.js";
+
+test("parseCliArgs reads the extract command and picks the format from --out", () => {
+  const args = parseCliArgs(["extract", "看看 https://xhslink.com/abc 复制本条信息", "--lang", "en", "--out", "recipe.json", "--no-images"]);
+  assert.equal(args.url, "https://xhslink.com/abc");
+  assert.equal(args.lang, "en");
+  assert.equal(args.format, "json");
+  assert.equal(args.images, false);
+  assert.equal(parseCliArgs(["extract", "https://xhslink.com/abc"]).format, "markdown");
+  assert.equal(parseCliArgs(["extract", "https://xhslink.com/abc", "--out", "r.md", "--format", "cooklang"]).format, "cooklang");
+  assert.equal(parseCliArgs(["mcp", "--lang", "ja"]).command, "mcp");
+});
+
+test("parseCliArgs rejects unusable input", () => {
+  assert.throws(() => parseCliArgs(["extract"]), CliUsageError);
+  assert.throws(() => parseCliArgs(["convert", "https://xhslink.com/abc"]), /Unknown command/);
+  assert.throws(() => parseCliArgs(["extract", "https://xhslink.com/abc", "--lang", "xx"]), /Unknown --lang/);
+  assert.throws(() => parseCliArgs(["extract", "https://xhslink.com/abc", "--out", "r.pdf"]), /desktop app/);
+  assert.throws(() => parseCliArgs(["extract", "https://xhslink.com/abc", "--format", "paprika"]), /needs --out/);
+  assert.throws(() => parseCliArgs(["extract", "https://xhslink.com/abc", "--bogus"]), CliUsageError);
+  assert.throws(() => parseCliArgs(["mcp", "https://xhslink.com/abc"]), /no arguments/);
+});
+
+test("runCli prints usage on bad arguments", async () => {
+  let err = "";
+  const code = await runCli([], { stderr: { write: (s) => (err += s) } });
+  assert.equal(code, EXIT_USAGE);
+  assert.match(err, /Usage: xhs-recipe extract/);
+});
+
+test("defaultDataDir matches Electron's userData folder per platform", () => {
+  const home = "/home/me";
+  assert.equal(defaultDataDir({ platform: "linux", env: {}, home }), path.join(home, ".config", "xhs-recipe-bot"));
+  assert.equal(defaultDataDir({ platform: "win32", env: { APPDATA: "C:\\AppData" }, home }), path.join("C:\\AppData", "xhs-recipe-bot"));
+  assert.equal(defaultDataDir({ platform: "linux", env: { XHS_RECIPE_DATA_DIR: "/data" }, home }), "/data");
+});
@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+import "dotenv/config";
+
+import { runCli } from "./cli.js";
+
+const controller = new AbortController();
+process.once("SIGINT", () => controller.abort());
+
+// Exit explicitly: idle MCP and HTTP keep-alive sockets would otherwise hold the process open.
+runCli(process.argv.slice(2), { signal: controller.signal }).then(
+  (code) => process.exit(code),
+  (err) => {
+    process.stderr.write(`${err?.stack ?? err}\n`);
+    process.exit(1);
+  }
+);
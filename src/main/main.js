@@ -1,38 +1,51 @@
 import "dotenv/config";
-import { app, BrowserWindow, clipboard, dialog, nativeImage, shell, net } from "electron";
+import { app, BrowserWindow, clipboard, dialog, nativeImage, Notification, shell, net } from "electron";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import crypto from "node:crypto";
 import fs from "node:fs/promises";
 import { z } from "zod";
 
-import { createConfigStore } from "./services/configStore.js";
+import { MAX_BATCH_CONCURRENCY, createConfigStore } from "./services/configStore.js";
 import { createLogger } from "./services/logger.js";
 import { createMcpLauncher } from "./services/mcpLauncher.js";
-import { createXhsClient } from "./services/xhsClient.js";
-import { createOpenAIClient } from "./services/openaiClient.js";
-import { buildSystemPrompt, buildUserPrompt } from "./services/prompt.js";
-import { normalizeMarkdownRecipe } from "./services/recipeFormatter.js";
+import { createXhsClient, extractFeedId, resolveFinalUrl } from "./services/xhsClient.js";
+import { OUTPUT_LANGUAGE_IDS } from "./services/languageSpecs.js";
+import { createPromptTemplateStore } from "./services/promptTemplates.js";
+import { createRecipeLibrary } from "./services/recipeLibrary.js";
+import { MEALS, MealSlotSchema, WEEK_START_RE, createMealPlanStore, slotScaleFactor } from "./services/mealPlan.js";
+import { buildMealPlanIcs } from "./services/icsCalendar.js";
+import { createGenerationHistory } from "./services/generationHistory.js";
+import { createBatchQueue } from "./services/batchQueue.js";
+import { createClipboardWatcher } from "./services/clipboardWatcher.js";
+import { ApiError, createLocalApi } from "./services/localApi.js";
+import { createMcpHttpHandler, createRecipeMcpServer } from "./services/recipeMcpServer.js";
+import { extractShareUrls, isXhsShortLink } from "../shared/urlSanitizer.js";
+import { SECTION_ORDER, mergeRecipeSections, normalizeMarkdownRecipe, splitBilingualRecipe } from "./services/recipeFormatter.js";
+import { RecipeSchema, buildRecipeFromMarkdown } from "./services/recipeModel.js";
+import { EXPORT_FORMATS, resolveExportFormat } from "./services/recipeExport.js";
+import { validateRecipeGrounding } from "./services/groundingValidator.js";
+import { buildShoppingList, formatShoppingList } from "../shared/shoppingList.js";
+import {
+  IMAGE_DOWNLOAD_TIMEOUT_MS,
+  IMAGE_JPEG_QUALITY,
+  IMAGE_MAX_BYTES,
+  IMAGE_MAX_DIM,
+  bufferToDataUrl,
+  downloadImageViaFetch,
+  parseDataUrl,
+  sniffImage,
+} from "./services/imageFetch.js";
+import { createRecipePipeline } from "./services/recipePipeline.js";
+import { extractVideoFrames, formatTimestamp } from "./services/videoFrames.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const IMAGE_DOWNLOAD_TIMEOUT_MS = 20_000;
-const IMAGE_MAX_BYTES = 8 * 1024 * 1024;
-const IMAGE_MAX_DIM = 1280;
-const IMAGE_JPEG_QUALITY = 82;
 const PREVIEW_MAX_DIM = 360;
 const PREVIEW_JPEG_QUALITY = 75;
 const PREVIEW_CACHE_MAX = 120;
-
-const ABORTED = Object.freeze({ __aborted: true });
-
-function toOutcome(promise) {
-  return Promise.resolve(promise).then(
-    (value) => ({ ok: true, value }),
-    (error) => ({ ok: false, error })
-  );
-}
+const PDF_RENDER_TIMEOUT_MS = 30_000;
 
 function createMainWindow() {
   const win = new BrowserWindow({
@@ -54,40 +67,6 @@ function createMainWindow() {
   return win;
 }
 
-function bufferToDataUrl(buffer, mimeType) {
-  const b64 = Buffer.from(buffer).toString("base64");
-  return `data:${mimeType};base64,${b64}`;
-}
-
-async function readResponseBodyWithLimit(res, maxBytes) {
-  const contentLength = res.headers.get("content-length");
-  if (contentLength) {
-    const declared = Number(contentLength);
-    if (Number.isFinite(declared) && declared > maxBytes) {
-      throw new Error(`image too large (${declared} bytes)`);
-    }
-  }
-
-  const reader = res.body?.getReader?.();
-  if (!reader) {
-    const arrayBuffer = await res.arrayBuffer();
-    if (arrayBuffer.byteLength > maxBytes) throw new Error(`image too large (${arrayBuffer.byteLength} bytes)`);
-    return Buffer.from(arrayBuffer);
-  }
-
-  const chunks = [];
-  let total = 0;
-  // eslint-disable-next-line no-constant-condition
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    total += value.byteLength;
-    if (total > maxBytes) throw new Error(`image too large (>${maxBytes} bytes)`);
-    chunks.push(Buffer.from(value));
-  }
-  return Buffer.concat(chunks, total);
-}
-
 async function downloadImageViaNet(url, { logger, referer, signal }) {
   const maxBytes = IMAGE_MAX_BYTES;
 
@@ -210,49 +189,9 @@ async function downloadImageViaNet(url, { logger, referer, signal }) {
   }
 }
 
-function isAbortError(err) {
-  if (!err) return false;
-  const name = String(err?.name ?? "");
-  const msg = String(err?.message ?? err);
-  return name === "AbortError" || msg === "Request aborted" || msg.includes("aborted");
-}
-
-async function downloadImage(url, logger, { referer, signal } = {}) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), IMAGE_DOWNLOAD_TIMEOUT_MS);
-  let abortListener = null;
-  if (signal) {
-    if (signal.aborted) controller.abort();
-    abortListener = () => controller.abort();
-    signal.addEventListener("abort", abortListener, { once: true });
-  }
-  try {
-    const res = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
-        Referer: referer || "https://www.xiaohongshu.com/",
-        Origin: "https://www.xiaohongshu.com",
-        "Accept-Language": "zh-CN,zh;q=0.9,en;q=0.8",
-        Accept: "image/jpeg,image/png,image/webp,image/apng,image/*;q=0.8,*/*;q=0.5",
-      },
-    });
-    if (!res.ok) throw new Error(`image download failed: HTTP ${res.status}`);
-    const contentType = res.headers.get("content-type") ?? "application/octet-stream";
-    if (!/^image\//i.test(contentType) && !/^application\/octet-stream/i.test(contentType)) {
-      throw new Error(`unexpected content-type: ${contentType}`);
-    }
-    const buffer = await readResponseBodyWithLimit(res, IMAGE_MAX_BYTES);
-    return { buffer, contentType };
-  } catch (err) {
-    if (controller.signal.aborted || signal?.aborted || isAbortError(err)) throw err;
-    logger.warn("image download failed", { url, err: String(err) });
-    return await downloadImageViaNet(url, { logger, referer, signal });
-  } finally {
-    clearTimeout(timeout);
-    if (signal && abortListener) signal.removeEventListener("abort", abortListener);
-  }
+// fetch first, then Chromium's network stack (system proxy and certificates).
+function downloadImage(url, logger, options = {}) {
+  return downloadImageViaFetch(url, logger, { ...options, fallback: downloadImageViaNet });
 }
 
 function preprocessImageForOpenAI({ buffer, contentType }, logger) {
@@ -285,6 +224,97 @@ function makePreviewDataUrlFromNativeImage(img) {
   return bufferToDataUrl(jpg, "image/jpeg");
 }
 
+// Screenshots and photos from disk, drag-and-drop or paste, downscaled like fetched images. `key` is a
+// stable id for the set (used as the post's feed id, so each set keeps its own generation history).
+// `skipped` lists "name (reason)" for files that can't be decoded or are still too big to send.
+function toLocalImages(files, logger) {
+  const images = [];
+  const skipped = [];
+  for (const file of files) {
+    const img = nativeImage.createFromBuffer(file.buffer);
+    const sniffed = sniffImage(file.buffer);
+    if (img.isEmpty() && !sniffed) {
+      skipped.push(`${file.name} (unsupported format)`);
+      continue;
+    }
+    const dataUrl = preprocessImageForOpenAI({ buffer: file.buffer, contentType: sniffed?.mime ?? file.contentType }, logger);
+    // WebP and GIF can't be resized by nativeImage, so large ones would only fail later at Generate.
+    if (dataUrl.length > IMAGE_DATA_URL_MAX_CHARS) {
+      const maxMb = Math.floor(((IMAGE_DATA_URL_MAX_CHARS * 0.75) / 1024 / 1024) * 10) / 10; // base64 → bytes
+      skipped.push(`${file.name} (too large to send; convert it to JPEG or PNG, or keep it under ${maxMb} MB)`);
+      continue;
+    }
+    images.push({
+      id: `local_${crypto.randomUUID().slice(0, 8)}`,
+      name: file.name,
+      source: { kind: "dataUrl", dataUrl },
+      previewUrl: (!img.isEmpty() && makePreviewDataUrlFromNativeImage(img)) || dataUrl,
+    });
+  }
+  const hash = crypto.createHash("sha1");
+  for (const image of images) hash.update(image.source.dataUrl);
+  return { images, skipped, key: `local-${hash.digest("hex").slice(0, 16)}` };
+}
+
+// Frames come out of ffmpeg as JPEGs already scaled to IMAGE_MAX_DIM; only the thumbnail is made here.
+function toVideoFrameImages(frames) {
+  return frames.map(({ timeSec, buffer }, i) => {
+    const dataUrl = bufferToDataUrl(buffer, "image/jpeg");
+    return {
+      id: `frame_${i + 1}`,
+      name: `Video ${formatTimestamp(timeSec)}`,
+      source: { kind: "dataUrl", dataUrl },
+      previewUrl: makePreviewDataUrlFromNativeImage(nativeImage.createFromBuffer(buffer)) ?? dataUrl,
+    };
+  });
+}
+
+async function loadCoverJpeg(image, logger, { referer } = {}) {
+  try {
+    let img;
+    if (image.kind === "dataUrl") {
+      img = nativeImage.createFromDataURL(image.dataUrl);
+    } else {
+      const { buffer } = await downloadImage(image.url, logger, { referer });
+      img = nativeImage.createFromBuffer(buffer);
+    }
+    if (!img || img.isEmpty()) return null;
+    const { width, height } = img.getSize();
+    const scale = Math.min(1, IMAGE_MAX_DIM / Math.max(width || 1, height || 1));
+    const resized = scale < 1 ? img.resize({ width: Math.round(width * scale), height: Math.round(height * scale) }) : img;
+    return resized.toJPEG(IMAGE_JPEG_QUALITY);
+  } catch (err) {
+    logger.warn("cover image load failed", { kind: image.kind, err: String(err) });
+    return null;
+  }
+}
+
+// Renders standalone HTML to PDF in a hidden offscreen window; the HTML is loaded from a temp
+// file because large inline cover images can exceed Chromium's data: URL limit.
+async function renderHtmlToPdf(html, { pageSize }) {
+  const tmpPath = path.join(app.getPath("temp"), `xhs-recipe-card-${crypto.randomUUID()}.html`);
+  const pdfWin = new BrowserWindow({
+    show: false,
+    webPreferences: { offscreen: true, javascript: false, sandbox: true, contextIsolation: true, nodeIntegration: false },
+  });
+  let timer = null;
+  try {
+    await fs.writeFile(tmpPath, html, "utf8");
+    const render = (async () => {
+      await pdfWin.loadFile(tmpPath);
+      return await pdfWin.webContents.printToPDF({ pageSize, printBackground: true, preferCSSPageSize: true });
+    })();
+    const timeout = new Promise((_resolve, reject) => {
+      timer = setTimeout(() => reject(new Error("PDF rendering timed out")), PDF_RENDER_TIMEOUT_MS);
+    });
+    return await Promise.race([render, timeout]);
+  } finally {
+    clearTimeout(timer);
+    if (!pdfWin.isDestroyed()) pdfWin.destroy();
+    await fs.rm(tmpPath, { force: true });
+  }
+}
+
 const XhsFetchSchema = z.object({
   url: z
     .string()
@@ -294,18 +324,42 @@ const XhsFetchSchema = z.object({
   requestId: z.string().min(1).max(200).optional(),
 });
 
+const IMAGE_DATA_URL_MAX_CHARS = 5_000_000;
 const ImagePrimarySchema = z.discriminatedUnion("kind", [
   z.object({ kind: z.literal("url"), url: z.string().min(1).max(5000) }),
-  z.object({ kind: z.literal("dataUrl"), dataUrl: z.string().min(1).max(5_000_000) }),
+  z.object({ kind: z.literal("dataUrl"), dataUrl: z.string().min(1).max(IMAGE_DATA_URL_MAX_CHARS) }),
 ]);
 
+// `sourceUrl` is empty for posts made from local images or pasted text; `sourceLabel` names such a source.
 const GenerateRecipeSchema = z.object({
-  sourceUrl: z.string().min(1).max(5000),
+  sourceUrl: z.string().max(5000),
+  sourceLabel: z.string().max(200).nullable().optional(),
+  feedId: z.string().max(200).nullable().optional(),
   caption: z.string().max(200_000),
   images: z.array(ImagePrimarySchema).max(40).optional(),
   requestId: z.string().min(1).max(200).optional(),
 });
 
+const LOCAL_IMAGE_MAX_BYTES = 30 * 1024 * 1024;
+const LOCAL_IMAGE_EXTENSIONS = ["jpg", "jpeg", "png", "webp", "gif"];
+const LocalImagesSchema = z
+  .object({
+    files: z
+      .array(z.object({ name: z.string().max(500), dataUrl: z.string().min(1).max(Math.ceil(LOCAL_IMAGE_MAX_BYTES * 1.4)) }).strict())
+      .min(1)
+      .max(40),
+  })
+  .strict();
+
+const VideoFramesSchema = z
+  .object({
+    url: z.string().min(1).max(5000).refine((s) => /^https?:\/\//i.test(s), { message: "URL must start with http(s)://" }),
+    referer: z.string().max(5000).optional(),
+    durationSec: z.number().positive().nullable().optional(),
+    requestId: z.string().min(1).max(200).optional(),
+  })
+  .strict();
+
 const AbortRequestSchema = z.object({ requestId: z.string().min(1).max(200) }).strict();
 
 const ConfigPatchSchema = z
@@ -327,15 +381,137 @@ const ConfigPatchSchema = z
       .optional(),
     ui: z
       .object({
-        outputLanguage: z.enum(["zh-Hans", "en"]).optional(),
+        outputLanguage: z.enum(OUTPUT_LANGUAGE_IDS).optional(),
+        pageSize: z.enum(["A4", "Letter"]).optional(),
+        watchClipboard: z.boolean().optional(),
+      })
+      .optional(),
+    batch: z
+      .object({
+        concurrency: z.number().int().min(1).max(MAX_BATCH_CONCURRENCY).optional(),
+        destination: z.enum(["library", "folder"]).optional(),
+        folder: z.string().max(5000).optional(),
       })
       .optional(),
+    api: z
+      .object({
+        enabled: z.boolean().optional(),
+        port: z.number().int().min(1024).max(65535).optional(),
+        allowLan: z.boolean().optional(),
+        regenerateToken: z.boolean().optional(),
+      })
+      .strict()
+      .optional(),
     recentUrls: z.array(z.string()).optional(),
   })
   .strict();
 
+const PromptTemplateRefSchema = z
+  .object({ id: z.string().min(1).max(200), name: z.string().max(200), version: z.number().int().min(1) })
+  .strict();
+
+const RecipeParseSchema = z
+  .object({
+    markdown: z.string().max(200_000),
+    sourceUrl: z.string().max(5000).optional(),
+    sourceLabel: z.string().max(200).nullable().optional(),
+    feedId: z.string().max(200).nullable().optional(),
+    model: z.string().max(200).optional(),
+    promptTemplate: PromptTemplateRefSchema.optional(),
+  })
+  .strict();
+
+const PromptTemplateIdSchema = z.object({ id: z.string().min(1).max(200) }).strict();
+const PromptTemplateSaveSchema = z
+  .object({
+    id: z.string().min(1).max(200).optional(),
+    name: z.string().trim().min(1).max(200),
+    system: z.string().max(100_000),
+    user: z.string().max(100_000),
+    provenance: z.boolean().optional(),
+  })
+  .strict();
+
+const SplitBilingualSchema = z
+  .object({
+    markdown: z.string().max(200_000),
+    lang: z.enum(["zh-Hans", "en"]),
+    sourceUrl: z.string().max(5000).optional(),
+    sourceLabel: z.string().max(200).nullable().optional(),
+    model: z.string().max(200).optional(),
+  })
+  .strict();
+
+const ValidateRecipeSchema = z
+  .object({
+    markdown: z.string().max(200_000),
+    caption: z.string().max(200_000),
+    ocrText: z.string().max(200_000).optional(),
+  })
+  .strict();
+
 const CopySchema = z.object({ text: z.string() }).strict();
-const ExportSchema = z.object({ markdown: z.string(), suggestedName: z.string().optional() }).strict();
+const ExportSchema = z
+  .object({
+    markdown: z.string(),
+    recipe: RecipeSchema.optional(),
+    image: ImagePrimarySchema.optional(),
+    suggestedName: z.string().optional(),
+  })
+  .strict();
+
+const LibraryIdSchema = z.object({ id: z.string().min(1).max(64) }).strict();
+const LibrarySaveSchema = z
+  .object({
+    id: z.string().min(1).max(64).optional(),
+    markdown: z.string().max(200_000),
+    recipe: RecipeSchema,
+    caption: z.string().max(200_000),
+    author: z.string().max(200).nullable().optional(),
+    image: ImagePrimarySchema.optional(),
+  })
+  .strict();
+const LibraryDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional();
+const LibrarySearchSchema = z
+  .object({
+    query: z.string().max(500).optional(),
+    ingredient: z.string().max(500).optional(),
+    tag: z.string().max(500).optional(),
+    author: z.string().max(200).optional(),
+    from: LibraryDateSchema,
+    to: LibraryDateSchema,
+  })
+  .strict();
+const LibraryTagsSchema = z
+  .object({ id: z.string().min(1).max(64), tags: z.array(z.string().max(100)).max(50) })
+  .strict();
+const ShoppingListSchema = z
+  .object({
+    items: z
+      .array(z.object({ id: z.string().min(1).max(64), factor: z.number().positive().max(100).optional() }).strict())
+      .min(1)
+      .max(200),
+  })
+  .strict();
+const PlannerWeekSchema = z.object({ weekStart: z.string().regex(WEEK_START_RE) }).strict();
+const PlannerSaveSchema = z
+  .object({
+    weekStart: z.string().regex(WEEK_START_RE),
+    slots: z.array(MealSlotSchema.extend({ id: z.string().max(64).optional() })).max(200),
+  })
+  .strict();
+const LibraryRenameSchema = z.object({ id: z.string().min(1).max(64), title: z.string().trim().min(1).max(300) }).strict();
+const BatchEnqueueSchema = z.object({ text: z.string().max(1_000_000) }).strict();
+const BatchItemSchema = z.object({ id: z.string().min(1).max(64) }).strict();
+const BATCH_FILE_MAX_BYTES = 1024 * 1024;
+const HistoryPostSchema = z
+  .object({ sourceUrl: z.string().max(5000), feedId: z.string().max(200).nullable().optional() })
+  .strict();
+const HistoryGetSchema = HistoryPostSchema.extend({ id: z.string().min(1).max(64) }).strict();
+const HistoryCherryPickSchema = HistoryGetSchema.extend({
+  markdown: z.string().max(200_000),
+  sections: z.array(z.enum(SECTION_ORDER)).min(1),
+}).strict();
 
 async function main() {
   await app.whenReady();
@@ -344,6 +520,13 @@ async function main() {
   await configStore.load();
 
   const logger = createLogger({ app, configStore });
+  const promptTemplates = createPromptTemplateStore({ app });
+  await promptTemplates.load();
+  const library = createRecipeLibrary({ app, logger });
+  await library.load();
+  const mealPlans = createMealPlanStore({ app });
+  await mealPlans.load();
+  const history = createGenerationHistory({ app, logger });
   logger.info("app ready", {
     version: app.getVersion(),
     build: process.env.APP_BUILD ?? process.env.GIT_SHA ?? null,
@@ -352,6 +535,16 @@ async function main() {
   });
 
   const xhsClient = createXhsClient({ logger, configStore });
+  const pipeline = createRecipePipeline({
+    logger,
+    configStore,
+    promptTemplates,
+    xhsClient,
+    history,
+    downloadImage,
+    preprocessImage: preprocessImageForOpenAI,
+  });
+  const { fetchPost, generateRecipe } = pipeline;
   const win = createMainWindow();
   const previewCache = new Map(); // key -> { ts, dataUrl }
   const inFlightRequests = new Map(); // requestId -> { kind, controller }
@@ -367,6 +560,112 @@ async function main() {
     },
   });
 
+  const batchQueue = createBatchQueue({
+    runItem: runBatchItem,
+    logger,
+    concurrency: (await configStore.getResolvedConfig()).batch.concurrency,
+    onChange: (items) => {
+      try {
+        if (!win.isDestroyed()) win.webContents.send("batch:update", items);
+      } catch {
+        // ignore
+      }
+    },
+  });
+
+  // Opt-in: new XHS links on the clipboard get an "Extract this recipe?" banner, plus a system
+  // notification while the window is in the background. Clicking either fills the URL box and fetches.
+  function sendToWindow(channel, payload) {
+    try {
+      if (!win.isDestroyed()) win.webContents.send(channel, payload);
+    } catch {
+      // ignore
+    }
+  }
+  const clipboardWatcher = createClipboardWatcher({
+    logger,
+    readText: () => clipboard.readText(),
+    isKnownUrl: async (url) => {
+      const cfg = await configStore.getResolvedConfig();
+      if (cfg.recentUrls.includes(url)) return true;
+      // Phone shares are short links; the library keys entries by the resolved note id.
+      const resolved = isXhsShortLink(url) ? await resolveFinalUrl(url, logger) : url;
+      return Boolean(await library.findBySource({ sourceUrl: resolved, feedId: extractFeedId(resolved) }));
+    },
+    onLink: ({ url }) => {
+      logger.info("clipboard link detected", { url });
+      sendToWindow("clipboard:link", { url, extract: false });
+      if (win.isDestroyed() || win.isFocused() || !Notification.isSupported()) return;
+      const notification = new Notification({ title: "Extract this recipe?", body: url });
+      notification.on("click", () => {
+        if (win.isDestroyed()) return;
+        if (win.isMinimized()) win.restore();
+        win.focus();
+        sendToWindow("clipboard:link", { url, extract: true });
+      });
+      notification.show();
+    },
+  });
+  clipboardWatcher.setEnabled((await configStore.getResolvedConfig()).ui.watchClipboard);
+
+  // Opt-in HTTP API for Shortcuts, scripts, bookmarklets and MCP clients; same schemas and pipeline as the IPC handlers.
+  const localApi = createLocalApi({
+    logger,
+    routes: [
+      {
+        method: "POST",
+        path: /^\/v1\/posts\/fetch$/,
+        handler: async ({ body, signal, progress }) => {
+          const parsed = XhsFetchSchema.parse(body);
+          progress("fetching");
+          return fetchPost(parsed.url, { signal, disconnectOnAbort: false });
+        },
+      },
+      {
+        method: "POST",
+        path: /^\/v1\/recipes\/generate$/,
+        handler: async ({ body, signal, progress }) => {
+          const parsed = GenerateRecipeSchema.parse({ ...body, images: Array.isArray(body?.images) ? body.images : [] });
+          return generateRecipe(parsed, { signal, onStep: progress });
+        },
+      },
+      {
+        method: "GET",
+        path: /^\/v1\/library$/,
+        handler: async ({ query }) => library.search(LibrarySearchSchema.parse(Object.fromEntries(query))),
+      },
+      {
+        method: "GET",
+        path: /^\/v1\/library\/([^/]+)$/,
+        handler: async ({ params }) => {
+          const { id } = LibraryIdSchema.parse({ id: params[0] });
+          return library.get(id).catch((err) => {
+            throw new ApiError(404, err?.message ?? String(err));
+          });
+        },
+      },
+      // MCP over streamable HTTP.
+      {
+        method: "POST",
+        path: /^\/mcp$/,
+        raw: true,
+        handler: createMcpHttpHandler(() => createRecipeMcpServer({ version: app.getVersion(), logger, pipeline, library })),
+      },
+      {
+        method: ["GET", "DELETE"],
+        path: /^\/mcp$/,
+        handler: async () => {
+          throw new ApiError(405, "This MCP endpoint is stateless; use POST");
+        },
+      },
+    ],
+  });
+  async function applyApiConfig() {
+    const { api } = await configStore.getResolvedConfig();
+    return localApi.apply({ ...api, host: api.allowLan ? "0.0.0.0" : "127.0.0.1" });
+  }
+  await applyApiConfig();
+
   const { ipcMain } = await import("electron");
 
   ipcMain.handle("mcp:getStatus", async () => mcpLauncher.getStatus());
@@ -427,8 +726,18 @@ async function main() {
     const parsed = ConfigPatchSchema.parse(patch);
     await configStore.applyPatch(parsed);
     void mcpLauncher.ensureStarted({ reason: "config_save" });
+    batchQueue.setConcurrency((await configStore.getResolvedConfig()).batch.concurrency);
+    await applyApiConfig();
+    clipboardWatcher.setEnabled((await configStore.getResolvedConfig()).ui.watchClipboard);
     return configStore.getPublicConfig();
   });
+  ipcMain.handle("api:getStatus", async () => localApi.getStatus());
+
+  ipcMain.handle("prompts:list", async () => promptTemplates.list());
+  ipcMain.handle("prompts:select", async (_e, payload) => promptTemplates.select(PromptTemplateIdSchema.parse(payload).id));
+  ipcMain.handle("prompts:save", async (_e, payload) => promptTemplates.upsert(PromptTemplateSaveSchema.parse(payload)));
+  ipcMain.handle("prompts:duplicate", async (_e, payload) => promptTemplates.duplicate(PromptTemplateIdSchema.parse(payload).id));
+  ipcMain.handle("prompts:delete", async (_e, payload) => promptTemplates.remove(PromptTemplateIdSchema.parse(payload).id));
 
   ipcMain.handle("logs:get", async () => logger.getEntries());
   ipcMain.handle("logs:openFolder", async () => {
@@ -439,32 +748,55 @@ async function main() {
 
   ipcMain.handle("xhs:fetchPost", async (_e, payload) => {
     const parsed = XhsFetchSchema.parse(payload);
-    logger.info("fetch start", { url: parsed.url });
-
     const requestId = parsed.requestId || crypto.randomUUID();
     const controller = new AbortController();
     inFlightRequests.set(requestId, { kind: "fetch", controller });
+    try {
+      return await fetchPost(parsed.url, { signal: controller.signal });
+    } finally {
+      inFlightRequests.delete(requestId);
+    }
+  });
 
+  ipcMain.handle("video:extractFrames", async (_e, payload) => {
+    const parsed = VideoFramesSchema.parse(payload);
+    const requestId = parsed.requestId || crypto.randomUUID();
+    const controller = new AbortController();
+    inFlightRequests.set(requestId, { kind: "video", controller });
     try {
-      const abortPromise = new Promise((resolve) => {
-        if (controller.signal.aborted) return resolve(ABORTED);
-        controller.signal.addEventListener("abort", () => resolve(ABORTED), { once: true });
+      const frames = await extractVideoFrames(parsed.url, {
+        logger,
+        signal: controller.signal,
+        referer: parsed.referer,
+        durationSec: parsed.durationSec ?? null,
       });
-
-      const winner = await Promise.race([toOutcome(xhsClient.getPost(parsed.url)), toOutcome(abortPromise)]);
-      if (winner.ok && winner.value?.__aborted) {
-        await xhsClient.disconnect?.().catch(() => {});
-        throw new Error("Request aborted");
-      }
-      if (!winner.ok) throw winner.error;
-      const post = winner.value;
-      logger.info("fetch done", { url: parsed.url, images: post.images.length, captionLen: post.caption.length });
-      return post;
+      return { images: toVideoFrameImages(frames) };
     } finally {
       inFlightRequests.delete(requestId);
     }
   });
 
+  ipcMain.handle("images:importLocal", async (_e, payload) => {
+    const { files } = LocalImagesSchema.parse(payload);
+    const decoded = files.map((f) => ({ name: f.name, ...(parseDataUrl(f.dataUrl) ?? { buffer: Buffer.alloc(0), contentType: "" }) }));
+    return toLocalImages(decoded, logger);
+  });
+  ipcMain.handle("images:pickLocal", async () => {
+    const res = await dialog.showOpenDialog(win, {
+      title: "Add Images",
+      properties: ["openFile", "multiSelections"],
+      filters: [{ name: "Images", extensions: LOCAL_IMAGE_EXTENSIONS }],
+    });
+    if (res.canceled || !res.filePaths?.length) return { canceled: true };
+    const files = [];
+    for (const filePath of res.filePaths.slice(0, 40)) {
+      const name = path.basename(filePath);
+      if ((await fs.stat(filePath)).size > LOCAL_IMAGE_MAX_BYTES) throw new Error(`${name} is larger than 30 MB.`);
+      files.push({ name, buffer: await fs.readFile(filePath), contentType: "" });
+    }
+    return { canceled: false, ...toLocalImages(files, logger) };
+  });
+
   ipcMain.handle("images:previews", async (_e, { images }) => {
     const list = Array.isArray(images) ? images : [];
     const out = [];
@@ -530,121 +862,282 @@ async function main() {
       ...(payload ?? {}),
       images: Array.isArray(payload?.images) ? payload.images : [],
     });
-    const cfg = await configStore.getResolvedConfig();
-    const apiKey = await configStore.getOpenAIApiKey();
-    if (!apiKey) throw new Error("Missing OpenAI API key. Set OPENAI_API_KEY in .env.");
-
     const requestId = parsed.requestId || crypto.randomUUID();
     const controller = new AbortController();
     inFlightRequests.set(requestId, { kind: "generate", controller });
-
     try {
-      const abortPromise = new Promise((resolve) => {
-        if (controller.signal.aborted) return resolve(ABORTED);
-        controller.signal.addEventListener("abort", () => resolve(ABORTED), { once: true });
-      });
-      const abortOutcome = toOutcome(abortPromise);
-
-      const requested = parsed.images ?? [];
-      const imageDataUrls = [];
-      const failures = [];
-      for (const img of requested) {
-        if (controller.signal.aborted) throw new Error("Request aborted");
-        if (img.kind === "dataUrl" && img.dataUrl) {
-          imageDataUrls.push(img.dataUrl);
-          continue;
-        }
-        if (img.kind === "url" && img.url) {
-          const downloadWinner = await Promise.race([
-            toOutcome(downloadImage(img.url, logger, { referer: parsed.sourceUrl, signal: controller.signal })),
-            abortOutcome,
-          ]);
-          if (downloadWinner.ok && downloadWinner.value?.__aborted) throw new Error("Request aborted");
-          if (!downloadWinner.ok) throw downloadWinner.error;
-          const downloaded = downloadWinner.value;
-          if (!downloaded) {
-            failures.push({ kind: "url", url: img.url, reason: "download_failed" });
-            continue;
-          }
-          const processed = preprocessImageForOpenAI(downloaded, logger);
-          if (!processed) {
-            failures.push({ kind: "url", url: img.url, reason: "preprocess_failed" });
-            continue;
-          }
-          imageDataUrls.push(processed);
-        }
-      }
-
-      logger.info("openai generate start", { model: cfg.openai.model, images: imageDataUrls.length });
-      const openaiClient = createOpenAIClient({ logger, apiKey, model: cfg.openai.model });
-      const systemPrompt = buildSystemPrompt({ outputLanguage: cfg.ui?.outputLanguage });
-      const userPrompt = buildUserPrompt({ sourceUrl: parsed.sourceUrl, caption: parsed.caption });
-      async function runModel(modelName) {
-        const client = modelName === cfg.openai.model ? openaiClient : createOpenAIClient({ logger, apiKey, model: modelName });
-        const winner = await Promise.race([
-          toOutcome(
-            client.generateRecipeMarkdown({
-              systemPrompt,
-              userPrompt,
-              imageDataUrls,
-              signal: controller.signal,
-            })
-          ),
-          abortOutcome,
-        ]);
-        if (winner.ok && winner.value?.__aborted) throw new Error("Request aborted");
-        if (!winner.ok) throw winner.error;
-        return winner.value;
-      }
-
-      let markdown;
-      try {
-        markdown = await runModel(cfg.openai.model);
-      } catch (err) {
-        const msg = String(err?.message ?? err);
-        const isBlank = msg.includes("blank content") || msg.includes("no content") || msg.includes("incomplete (max_output_tokens)");
-        if (!isBlank || !/^gpt-5/i.test(cfg.openai.model)) throw err;
-        const fallbackModel = "gpt-4o-mini";
-        logger.warn("openai primary model returned empty; retrying with fallback model", { primary: cfg.openai.model, fallback: fallbackModel });
-        markdown = await runModel(fallbackModel);
-      }
-
-      const normalized = normalizeMarkdownRecipe(markdown);
-      logger.info("openai generate done", { chars: normalized.length });
-      return {
-        markdown: normalized,
-        meta: { images: { requested: requested.length, attached: imageDataUrls.length, failures } },
-      };
+      return await generateRecipe(parsed, { signal: controller.signal });
     } finally {
       inFlightRequests.delete(requestId);
     }
   });
 
+  ipcMain.handle("history:list", async (_e, payload) => history.list(HistoryPostSchema.parse(payload)));
+  ipcMain.handle("history:get", async (_e, payload) => {
+    const { id, ...post } = HistoryGetSchema.parse(payload);
+    return history.get(post, id);
+  });
+  ipcMain.handle("history:cherryPick", async (_e, payload) => {
+    const { id, markdown, sections, ...post } = HistoryCherryPickSchema.parse(payload);
+    const generation = await history.get(post, id);
+    const cfg = await configStore.getResolvedConfig();
+    return { markdown: mergeRecipeSections(markdown, generation.markdown, sections, { outputLanguage: cfg.ui?.outputLanguage }) };
+  });
+
+  ipcMain.handle("recipe:parse", async (_e, payload) => {
+    const parsed = RecipeParseSchema.parse(payload);
+    const cfg = await configStore.getResolvedConfig();
+    const { markdown } = normalizeMarkdownRecipe(parsed.markdown, { outputLanguage: cfg.ui?.outputLanguage });
+    return buildRecipeFromMarkdown(markdown, {
+      outputLanguage: cfg.ui?.outputLanguage,
+      source: {
+        url: parsed.sourceUrl ?? "",
+        label: parsed.sourceLabel ?? null,
+        feedId: parsed.feedId ?? null,
+        model: parsed.model ?? null,
+        promptTemplate: parsed.promptTemplate ?? null,
+      },
+    });
+  });
+
+  ipcMain.handle("recipe:splitBilingual", async (_e, payload) => {
+    const parsed = SplitBilingualSchema.parse(payload);
+    const { markdown: normalized } = normalizeMarkdownRecipe(parsed.markdown, { outputLanguage: "bilingual" });
+    const markdown = `${splitBilingualRecipe(normalized)[parsed.lang].trim()}\n`;
+    const recipe = buildRecipeFromMarkdown(markdown, {
+      outputLanguage: parsed.lang,
+      source: { url: parsed.sourceUrl ?? "", label: parsed.sourceLabel ?? null, model: parsed.model ?? null },
+    });
+    return { markdown, recipe };
+  });
+
+  ipcMain.handle("recipe:validate", async (_e, payload) => {
+    const parsed = ValidateRecipeSchema.parse(payload);
+    const cfg = await configStore.getResolvedConfig();
+    return validateRecipeGrounding({ ...parsed, outputLanguage: cfg.ui?.outputLanguage });
+  });
+
   ipcMain.handle("output:copy", async (_e, { text }) => {
     const parsed = CopySchema.parse({ text });
     clipboard.writeText(parsed.text);
     return { ok: true };
   });
 
-  ipcMain.handle("output:exportMarkdown", async (_e, { markdown, suggestedName }) => {
-    const parsed = ExportSchema.parse({ markdown, suggestedName });
-    const safeName = String(parsed.suggestedName ?? "recipe").replace(/[<>:\"/\\|?*\u0000-\u001F]/g, "_");
+  async function exportRecipeFile({ markdown, recipe: givenRecipe, image, suggestedName }) {
+    const safeName = String(suggestedName ?? "recipe").replace(/[<>:\"/\\|?*\u0000-\u001F]/g, "_");
     const { canceled, filePath } = await dialog.showSaveDialog(win, {
-      title: "Export Recipe Markdown",
+      title: "Export Recipe",
       defaultPath: `${safeName}.md`,
-      filters: [{ name: "Markdown", extensions: ["md"] }],
+      filters: EXPORT_FORMATS.map((f) => ({ name: f.name, extensions: f.extensions })),
+    });
+    if (canceled || !filePath) return { canceled: true };
+
+    const format = resolveExportFormat(filePath);
+    const cfg = await configStore.getResolvedConfig();
+    const recipe =
+      givenRecipe ??
+      buildRecipeFromMarkdown(normalizeMarkdownRecipe(markdown, { outputLanguage: cfg.ui?.outputLanguage }).markdown, {
+        outputLanguage: cfg.ui?.outputLanguage,
+      });
+    const content = await format.serialize({
+      recipe,
+      markdown,
+      image: image ?? null,
+      loadCoverJpeg: (img) => loadCoverJpeg(img, logger, { referer: recipe.source.url || undefined }),
+      pageSize: cfg.ui?.pageSize ?? "A4",
+      renderPdf: renderHtmlToPdf,
+    });
+    await fs.writeFile(filePath, content, typeof content === "string" ? "utf8" : undefined);
+    logger.info("export done", { format: format.id });
+    return { canceled: false, filePath, format: format.id };
+  }
+
+  ipcMain.handle("output:export", async (_e, payload) => exportRecipeFile(ExportSchema.parse(payload)));
+
+  async function readLibraryCoverDataUrl(id) {
+    const cover = await library.readCover(id);
+    return cover ? bufferToDataUrl(cover, "image/jpeg") : null;
+  }
+
+  ipcMain.handle("library:search", async (_e, payload) => library.search(LibrarySearchSchema.parse(payload ?? {})));
+  ipcMain.handle("library:get", async (_e, payload) => {
+    const { id } = LibraryIdSchema.parse(payload);
+    return { ...(await library.get(id)), coverDataUrl: await readLibraryCoverDataUrl(id) };
+  });
+  // Writes `<title>.md` into `folder`, adding " (2)", " (3)"… instead of overwriting.
+  async function writeBatchMarkdown(folder, title, markdown) {
+    const safeName = String(title || "recipe").replace(/[<>:\"/\\|?*\u0000-\u001F]/g, "_").slice(0, 120);
+    for (let n = 1; ; n += 1) {
+      const filePath = path.join(folder, n === 1 ? `${safeName}.md` : `${safeName} (${n}).md`);
+      try {
+        await fs.writeFile(filePath, markdown, { encoding: "utf8", flag: "wx" });
+        return filePath;
+      } catch (err) {
+        if (String(err?.code) !== "EEXIST" || n >= 100) throw err;
+      }
+    }
+  }
+
+  // fetch → image download → generate → save, with the same steps as the interactive flow.
+  async function runBatchItem(item, { signal, setStep, options }) {
+    const { markdown, recipe, post, images } = await pipeline.extractRecipe(item.url, { signal, onStep: setStep });
+    if (signal.aborted) throw new Error("Request aborted");
+
+    setStep("saving");
+    if (options.destination === "folder") {
+      const filePath = await writeBatchMarkdown(options.folder, recipe.title, markdown);
+      return { title: recipe.title, output: { filePath } };
+    }
+    const cover = images[0] ? await loadCoverJpeg(images[0], logger, { referer: post.sourceUrl }) : null;
+    const saved = await library.save({ recipe, markdown, caption: post.caption, author: post.author ?? null, cover });
+    return { title: saved.title, output: { libraryId: saved.id } };
+  }
+
+  ipcMain.handle("batch:list", async () => batchQueue.list());
+  ipcMain.handle("batch:enqueue", async (_e, payload) => {
+    const urls = extractShareUrls(BatchEnqueueSchema.parse(payload).text);
+    if (urls.length === 0) throw new Error("No https:// links found.");
+    const { batch } = await configStore.getResolvedConfig();
+    if (batch.destination === "folder" && !batch.folder) throw new Error("Choose an export folder first.");
+    const res = batchQueue.enqueue(urls, { destination: batch.destination, folder: batch.folder });
+    logger.info("batch enqueue", { ...res, destination: batch.destination });
+    return res;
+  });
+  ipcMain.handle("batch:retry", async (_e, payload) => batchQueue.retry(BatchItemSchema.parse(payload).id));
+  ipcMain.handle("batch:cancel", async (_e, payload) => batchQueue.cancel(BatchItemSchema.parse(payload).id));
+  ipcMain.handle("batch:cancelAll", async () => batchQueue.cancelAll());
+  ipcMain.handle("batch:clearFinished", async () => batchQueue.clearFinished());
+  ipcMain.handle("batch:importFile", async () => {
+    const res = await dialog.showOpenDialog(win, {
+      title: "Import Share Links",
+      properties: ["openFile"],
+      filters: [
+        { name: "Text", extensions: ["txt", "md", "csv"] },
+        { name: "All Files", extensions: ["*"] },
+      ],
+    });
+    const filePath = res.canceled ? null : res.filePaths?.[0];
+    if (!filePath) return { canceled: true };
+    const stat = await fs.stat(filePath);
+    if (stat.size > BATCH_FILE_MAX_BYTES) throw new Error("File is too large (max 1 MB).");
+    return { canceled: false, text: await fs.readFile(filePath, "utf8") };
+  });
+  ipcMain.handle("batch:pickFolder", async () => {
+    const res = await dialog.showOpenDialog(win, { title: "Batch Export Folder", properties: ["openDirectory", "createDirectory"] });
+    const folder = res.canceled ? null : res.filePaths?.[0];
+    if (!folder) return { canceled: true };
+    await configStore.applyPatch({ batch: { folder, destination: "folder" } });
+    return { canceled: false, folder };
+  });
+  ipcMain.handle("batch:openOutput", async (_e, payload) => {
+    const item = batchQueue.list().find((i) => i.id === BatchItemSchema.parse(payload).id);
+    if (item?.output?.filePath) shell.showItemInFolder(item.output.filePath);
+    return { ok: Boolean(item?.output?.filePath) };
+  });
+
+  ipcMain.handle("library:save", async (_e, payload) => {
+    const parsed = LibrarySaveSchema.parse(payload);
+    const cover = parsed.image ? await loadCoverJpeg(parsed.image, logger, { referer: parsed.recipe.source.url || undefined }) : null;
+    // Updates keep the stored cover when no new one could be loaded.
+    const saved = await library.save({ ...parsed, cover: cover ?? (parsed.id ? undefined : null) });
+    logger.info("library save", { id: saved.id, updated: Boolean(parsed.id), cover: saved.hasCover });
+    return saved;
+  });
+  ipcMain.handle("library:rename", async (_e, payload) => {
+    const parsed = LibraryRenameSchema.parse(payload);
+    return library.rename(parsed.id, parsed.title);
+  });
+  async function buildLibraryShoppingList(items) {
+    const resolved = [];
+    for (const item of items) {
+      const entry = await library.get(item.id);
+      resolved.push({ recipe: entry.recipe, title: entry.title, factor: item.factor ?? 1 });
+    }
+    const list = buildShoppingList(resolved);
+    return { list, markdown: formatShoppingList(list, "markdown"), text: formatShoppingList(list, "text") };
+  }
+
+  ipcMain.handle("shopping:build", async (_e, payload) => buildLibraryShoppingList(ShoppingListSchema.parse(payload).items));
+  ipcMain.handle("shopping:export", async (_e, payload) => {
+    const { markdown, text } = await buildLibraryShoppingList(ShoppingListSchema.parse(payload).items);
+    const { canceled, filePath } = await dialog.showSaveDialog(win, {
+      title: "Export Shopping List",
+      defaultPath: "shopping-list.md",
+      filters: [
+        { name: "Markdown", extensions: ["md"] },
+        { name: "Plain text", extensions: ["txt"] },
+      ],
+    });
+    if (canceled || !filePath) return { canceled: true };
+    await fs.writeFile(filePath, /\.txt$/i.test(filePath) ? text : markdown, "utf8");
+    return { canceled: false, filePath };
+  });
+
+  // Slots keep pointing at deleted recipes until the week is edited; those are flagged `missing`.
+  async function describePlannerWeek(weekStart) {
+    const slots = [];
+    for (const slot of mealPlans.getWeek(weekStart)) {
+      const entry = await library.get(slot.recipeId).catch(() => null);
+      slots.push({ ...slot, title: entry?.title ?? "(deleted recipe)", missing: !entry, factor: slotScaleFactor(slot) });
+    }
+    return { weekStart, meals: MEALS, slots, baseServings: mealPlans.baseServingsByRecipe() };
+  }
+
+  ipcMain.handle("planner:get", async (_e, payload) => describePlannerWeek(PlannerWeekSchema.parse(payload).weekStart));
+  ipcMain.handle("planner:save", async (_e, payload) => {
+    const parsed = PlannerSaveSchema.parse(payload);
+    await mealPlans.saveWeek(parsed.weekStart, parsed.slots);
+    return describePlannerWeek(parsed.weekStart);
+  });
+  ipcMain.handle("planner:exportIcs", async (_e, payload) => {
+    const { weekStart } = PlannerWeekSchema.parse(payload);
+    const items = [];
+    for (const slot of mealPlans.getWeek(weekStart)) {
+      const entry = await library.get(slot.recipeId).catch(() => null);
+      if (entry) items.push({ slot, title: entry.title, recipe: entry.recipe, sourceUrl: entry.sourceUrl });
+    }
+    if (items.length === 0) throw new Error("This week has no planned recipes.");
+    const { canceled, filePath } = await dialog.showSaveDialog(win, {
+      title: "Export Meal Plan",
+      defaultPath: `meal-plan-${weekStart}.ics`,
+      filters: [{ name: "iCalendar", extensions: ["ics"] }],
     });
     if (canceled || !filePath) return { canceled: true };
-    await fs.writeFile(filePath, parsed.markdown, "utf8");
+    await fs.writeFile(filePath, buildMealPlanIcs(weekStart, items), "utf8");
+    logger.info("meal plan exported", { weekStart, events: items.length });
     return { canceled: false, filePath };
   });
 
+  ipcMain.handle("library:setTags", async (_e, payload) => {
+    const parsed = LibraryTagsSchema.parse(payload);
+    return library.setTags(parsed.id, parsed.tags);
+  });
+  ipcMain.handle("library:openFolder", async () => {
+    const folder = library.getRoot();
+    await fs.mkdir(folder, { recursive: true });
+    await shell.openPath(folder);
+    return { folder };
+  });
+  ipcMain.handle("library:delete", async (_e, payload) => library.remove(LibraryIdSchema.parse(payload).id));
+  ipcMain.handle("library:export", async (_e, payload) => {
+    const { id } = LibraryIdSchema.parse(payload);
+    const entry = await library.get(id);
+    const coverDataUrl = await readLibraryCoverDataUrl(id);
+    return exportRecipeFile({
+      markdown: entry.markdown,
+      recipe: entry.recipe,
+      image: coverDataUrl ? { kind: "dataUrl", dataUrl: coverDataUrl } : undefined,
+      suggestedName: entry.title,
+    });
+  });
+
   let quitting = false;
   app.on("before-quit", (e) => {
     if (quitting) return;
     quitting = true;
     e.preventDefault();
-    Promise.allSettled([xhsClient.shutdown?.(), mcpLauncher.shutdown?.(), logger.flush?.()]).finally(() => app.quit());
+    clipboardWatcher.stop();
+    Promise.allSettled([localApi.close(), xhsClient.shutdown?.(), mcpLauncher.shutdown?.(), logger.flush?.()]).finally(() => app.quit());
   });
 
   app.on("window-all-closed", () => {
@@ -9,7 +9,59 @@ contextBridge.exposeInMainWorld("xhsRecipe", {
     return ipcRenderer.invoke("xhs:fetchPost", payload);
   },
   getImagePreviews: (images) => ipcRenderer.invoke("images:previews", { images }),
+  extractVideoFrames: (payload) => ipcRenderer.invoke("video:extractFrames", payload),
+  importLocalImages: (files) => ipcRenderer.invoke("images:importLocal", { files }),
+  pickLocalImages: () => ipcRenderer.invoke("images:pickLocal"),
   generateRecipe: (payload) => ipcRenderer.invoke("openai:generateRecipe", payload),
+  parseRecipe: (payload) => ipcRenderer.invoke("recipe:parse", payload),
+  splitBilingualRecipe: (payload) => ipcRenderer.invoke("recipe:splitBilingual", payload),
+  validateRecipe: (payload) => ipcRenderer.invoke("recipe:validate", payload),
+
+  listPromptTemplates: () => ipcRenderer.invoke("prompts:list"),
+  selectPromptTemplate: (id) => ipcRenderer.invoke("prompts:select", { id }),
+  savePromptTemplate: (payload) => ipcRenderer.invoke("prompts:save", payload),
+  duplicatePromptTemplate: (id) => ipcRenderer.invoke("prompts:duplicate", { id }),
+  deletePromptTemplate: (id) => ipcRenderer.invoke("prompts:delete", { id }),
+
+  listGenerations: (post) => ipcRenderer.invoke("history:list", post),
+  getGeneration: (post, id) => ipcRenderer.invoke("history:get", { ...post, id }),
+  cherryPickGeneration: (post, id, markdown, sections) =>
+    ipcRenderer.invoke("history:cherryPick", { ...post, id, markdown, sections }),
+
+  searchLibrary: (filters) => ipcRenderer.invoke("library:search", filters),
+  getLibraryEntry: (id) => ipcRenderer.invoke("library:get", { id }),
+  saveToLibrary: (payload) => ipcRenderer.invoke("library:save", payload),
+  renameLibraryEntry: (id, title) => ipcRenderer.invoke("library:rename", { id, title }),
+  setLibraryTags: (id, tags) => ipcRenderer.invoke("library:setTags", { id, tags }),
+  deleteLibraryEntry: (id) => ipcRenderer.invoke("library:delete", { id }),
+  exportLibraryEntry: (id) => ipcRenderer.invoke("library:export", { id }),
+  openLibraryFolder: () => ipcRenderer.invoke("library:openFolder"),
+  buildShoppingList: (items) => ipcRenderer.invoke("shopping:build", { items }),
+  exportShoppingList: (items) => ipcRenderer.invoke("shopping:export", { items }),
+  getMealPlan: (weekStart) => ipcRenderer.invoke("planner:get", { weekStart }),
+  saveMealPlan: (weekStart, slots) => ipcRenderer.invoke("planner:save", { weekStart, slots }),
+  exportMealPlanIcs: (weekStart) => ipcRenderer.invoke("planner:exportIcs", { weekStart }),
+
+  listBatch: () => ipcRenderer.invoke("batch:list"),
+  enqueueBatch: (text) => ipcRenderer.invoke("batch:enqueue", { text }),
+  retryBatchItem: (id) => ipcRenderer.invoke("batch:retry", { id }),
+  cancelBatchItem: (id) => ipcRenderer.invoke("batch:cancel", { id }),
+  cancelBatch: () => ipcRenderer.invoke("batch:cancelAll"),
+  clearFinishedBatch: () => ipcRenderer.invoke("batch:clearFinished"),
+  importBatchFile: () => ipcRenderer.invoke("batch:importFile"),
+  pickBatchFolder: () => ipcRenderer.invoke("batch:pickFolder"),
+  showBatchOutput: (id) => ipcRenderer.invoke("batch:openOutput", { id }),
+  onBatchUpdate: (handler) => {
+    const cb = (_e, items) => handler(items);
+    ipcRenderer.on("batch:update", cb);
+    return () => ipcRenderer.removeListener("batch:update", cb);
+  },
+
+  onClipboardLink: (handler) => {
+    const cb = (_e, link) => handler(link);
+    ipcRenderer.on("clipboard:link", cb);
+    return () => ipcRenderer.removeListener("clipboard:link", cb);
+  },
 
   abortRequest: (requestId) => ipcRenderer.invoke("request:abort", { requestId }),
   abortAllRequests: () => ipcRenderer.invoke("request:abortAll"),
@@ -17,6 +69,7 @@ contextBridge.exposeInMainWorld("xhsRecipe", {
 
   pickMcpExecutable: () => ipcRenderer.invoke("dialog:pickMcpExecutable"),
   getMcpStatus: () => ipcRenderer.invoke("mcp:getStatus"),
+  getApiStatus: () => ipcRenderer.invoke("api:getStatus"),
   onMcpStatus: (handler) => {
     const cb = (_e, status) => handler(status);
     ipcRenderer.on("mcp:status", cb);
@@ -24,7 +77,8 @@ contextBridge.exposeInMainWorld("xhsRecipe", {
   },
 
   copyToClipboard: (text) => ipcRenderer.invoke("output:copy", { text }),
-  exportMarkdown: ({ markdown, suggestedName }) => ipcRenderer.invoke("output:exportMarkdown", { markdown, suggestedName }),
+  exportRecipe: ({ markdown, recipe, image, suggestedName }) =>
+    ipcRenderer.invoke("output:export", { markdown, recipe, image, suggestedName }),
 
   getLogs: () => ipcRenderer.invoke("logs:get"),
   openLogsFolder: () => ipcRenderer.invoke("logs:openFolder"),
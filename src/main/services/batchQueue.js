@@ -0,0 +1,159 @@
+import crypto from "node:crypto";
+
+function toSnapshot(item) {
+  return {
+    id: item.id,
+    url: item.url,
+    status: item.status,
+    step: item.step,
+    attempts: item.attempts,
+    error: item.error,
+    title: item.title,
+    output: item.output,
+  };
+}
+
+// Runs `runItem(item, { signal, setStep, options })` for each queued URL, at most `concurrency` at a time.
+// `runItem` resolves to { title, output }; `onChange` receives a snapshot list after every change.
+export function createBatchQueue({ runItem, onChange, logger, concurrency = 2 }) {
+  const state = {
+    items: [], // in queue order
+    running: new Map(), // id -> AbortController
+    concurrency,
+  };
+
+  function list() {
+    return state.items.map(toSnapshot);
+  }
+
+  function emit() {
+    try {
+      onChange?.(list());
+    } catch (err) {
+      logger?.warn("batch change listener failed", { err: String(err?.message ?? err) });
+    }
+  }
+
+  function find(id) {
+    const item = state.items.find((i) => i.id === id);
+    if (!item) throw new Error(`Batch item not found: ${id}`);
+    return item;
+  }
+
+  async function run(item) {
+    const controller = new AbortController();
+    state.running.set(item.id, controller);
+    item.status = "running";
+    item.step = null;
+    item.error = null;
+    item.attempts += 1;
+    emit();
+    try {
+      const setStep = (step) => {
+        if (controller.signal.aborted) return;
+        item.step = step;
+        emit();
+      };
+      const result = await runItem(toSnapshot(item), { signal: controller.signal, setStep, options: item.options });
+      if (controller.signal.aborted) throw new Error("Request aborted");
+      item.status = "done";
+      item.title = result?.title ?? null;
+      item.output = result?.output ?? null;
+    } catch (err) {
+      item.status = controller.signal.aborted ? "canceled" : "failed";
+      item.error = controller.signal.aborted ? null : String(err?.message ?? err);
+      if (item.status === "failed") logger?.warn("batch item failed", { url: item.url, step: item.step, err: item.error });
+    } finally {
+      state.running.delete(item.id);
+      item.step = null;
+      emit();
+      pump();
+    }
+  }
+
+  function pump() {
+    for (const item of state.items) {
+      if (state.running.size >= state.concurrency) return;
+      if (item.status === "queued") void run(item);
+    }
+  }
+
+  // Clears the previous run's result. Passing `options` means the URL was added again, so the
+  // attempt count starts over; a plain retry keeps counting.
+  function requeue(item, { options } = {}) {
+    item.status = "queued";
+    item.error = null;
+    item.title = null;
+    item.output = null;
+    if (options) {
+      item.options = options;
+      item.attempts = 0;
+    }
+  }
+
+  // `options` is passed through to `runItem` (e.g. where to save the result).
+  function enqueue(urls, options = {}) {
+    // URLs already in the list are skipped; failed or canceled ones are retried instead.
+    const known = new Map(state.items.map((i) => [i.url, i]));
+    let added = 0;
+    for (const url of urls) {
+      if (known.has(url)) {
+        const existing = known.get(url);
+        if (existing.status !== "failed" && existing.status !== "canceled") continue;
+        requeue(existing, { options });
+        added += 1;
+        continue;
+      }
+      const item = { id: crypto.randomUUID(), url, status: "queued", step: null, attempts: 0, error: null, title: null, output: null, options };
+      known.set(url, item);
+      state.items.push(item);
+      added += 1;
+    }
+    emit();
+    pump();
+    return { added, skipped: urls.length - added };
+  }
+
+  function retry(id) {
+    const item = find(id);
+    if (item.status !== "failed" && item.status !== "canceled") return list();
+    requeue(item);
+    emit();
+    pump();
+    return list();
+  }
+
+  function cancel(id) {
+    const item = find(id);
+    if (item.status === "queued") {
+      item.status = "canceled";
+      emit();
+    } else if (item.status === "running") {
+      state.running.get(item.id)?.abort();
+    }
+    return list();
+  }
+
+  function cancelAll() {
+    for (const item of state.items) {
+      if (item.status === "queued") item.status = "canceled";
+    }
+    for (const controller of state.running.values()) controller.abort();
+    emit();
+    return list();
+  }
+
+  // Drops finished items (done, failed, canceled); queued and running ones stay.
+  function clearFinished() {
+    state.items = state.items.filter((i) => i.status === "queued" || i.status === "running");
+    emit();
+    return list();
+  }
+
+  function setConcurrency(n) {
+    state.concurrency = Math.max(1, Math.floor(n));
+    pump();
+  }
+
+  return { list, enqueue, retry, cancel, cancelAll, clearFinished, setConcurrency };
+}
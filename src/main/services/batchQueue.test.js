@@ -0,0 +1,108 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createBatchQueue } from "./batchQueue.js";
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("batch queue respects concurrency and retries failed items", async () => {
+  const pending = new Map();
+  let active = 0;
+  let maxActive = 0;
+  const queue = createBatchQueue({
+    concurrency: 2,
+    runItem: async (item, { setStep }) => {
+      active += 1;
+      maxActive = Math.max(maxActive, active);
+      setStep("fetching");
+      const d = deferred();
+      pending.set(item.url, d);
+      try {
+        return await d.promise;
+      } finally {
+        active -= 1;
+      }
+    },
+  });
+
+  assert.deepEqual(queue.enqueue(["u1", "u2", "u3", "u1"]), { added: 3, skipped: 1 });
+  await tick();
+  assert.deepEqual(queue.list().map((i) => i.status), ["running", "running", "queued"]);
+  assert.equal(queue.list()[0].step, "fetching");
+
+  pending.get("u1").reject(new Error("boom"));
+  await tick();
+  assert.equal(queue.list()[0].status, "failed");
+  assert.equal(queue.list()[0].error, "boom");
+  assert.equal(queue.list()[2].status, "running");
+
+  pending.get("u2").resolve({ title: "番茄炒蛋", output: { libraryId: "x" } });
+  pending.get("u3").resolve({ title: "蛋花汤" });
+  await tick();
+  queue.retry(queue.list()[0].id);
+  await tick();
+  pending.get("u1").resolve({ title: "凉拌黄瓜" });
+  await tick();
+
+  const items = queue.list();
+  assert.deepEqual(items.map((i) => i.status), ["done", "done", "done"]);
+  assert.equal(items[0].attempts, 2);
+  assert.deepEqual(items[1].output, { libraryId: "x" });
+  assert.equal(maxActive, 2);
+  assert.deepEqual(queue.clearFinished(), []);
+});
+
+test("batch queue cancels queued and running items", async () => {
+  const queue = createBatchQueue({
+    concurrency: 1,
+    runItem: (_item, { signal }) =>
+      new Promise((_resolve, reject) => signal.addEventListener("abort", () => reject(new Error("Request aborted")))),
+  });
+  queue.enqueue(["u1", "u2"]);
+  await tick();
+  queue.cancelAll();
+  await tick();
+  assert.deepEqual(queue.list().map((i) => i.status), ["canceled", "canceled"]);
+  assert.equal(queue.list()[0].error, null);
+
+  // Pasting a canceled link again requeues it rather than skipping it.
+  assert.deepEqual(queue.enqueue(["u1"]), { added: 1, skipped: 0 });
+  assert.equal(queue.list()[0].status, "running");
+  assert.equal(queue.list().length, 2);
+  queue.cancelAll();
+});
+
+test("batch queue clears the previous result when a failed URL is added again", async () => {
+  let calls = 0;
+  const queue = createBatchQueue({
+    concurrency: 1,
+    runItem: async () => {
+      calls += 1;
+      if (calls === 1) throw new Error("boom");
+      return new Promise(() => {});
+    },
+  });
+  queue.enqueue(["u1"], { save: "library" });
+  await tick();
+  const failed = queue.list()[0];
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.attempts, 1);
+
+  assert.deepEqual(queue.enqueue(["u1"], { save: "folder" }), { added: 1, skipped: 0 });
+  const [item] = queue.list();
+  assert.equal(item.id, failed.id);
+  assert.equal(item.status, "running");
+  assert.equal(item.error, null);
+  assert.equal(item.title, null);
+  assert.equal(item.output, null);
+  assert.equal(item.attempts, 1);
+});
@@ -0,0 +1,63 @@
+import { extractFirstHttpsUrl, isXhsUrl } from "../../shared/urlSanitizer.js";
+
+export const CLIPBOARD_POLL_MS = 1500;
+// Share texts are short; anything longer is not worth scanning.
+const MAX_SCANNED_CHARS = 10_000;
+
+// Polls `readText()` (Electron has no clipboard change event) and calls `onLink({ url, text })` once per
+// new XHS link that `isKnownUrl(url)` does not recognize. Whatever is on the clipboard at start is ignored.
+export function createClipboardWatcher({ readText, isKnownUrl, onLink, logger, intervalMs = CLIPBOARD_POLL_MS }) {
+  const state = {
+    timer: null,
+    lastText: null,
+    offered: new Set(), // urls already passed to onLink
+    checking: false,
+  };
+
+  function read() {
+    try {
+      return String(readText() ?? "");
+    } catch {
+      return "";
+    }
+  }
+
+  async function check() {
+    if (state.checking) return;
+    const text = read();
+    if (text === state.lastText) return;
+    state.lastText = text;
+
+    const url = extractFirstHttpsUrl(text.slice(0, MAX_SCANNED_CHARS));
+    if (!url || !isXhsUrl(url) || state.offered.has(url)) return;
+    state.checking = true;
+    try {
+      if (await isKnownUrl(url)) return;
+      state.offered.add(url);
+      onLink({ url, text: text.slice(0, MAX_SCANNED_CHARS) });
+    } catch (err) {
+      logger?.warn("clipboard check failed", { err: String(err?.message ?? err) });
+    } finally {
+      state.checking = false;
+    }
+  }
+
+  function start() {
+    if (state.timer) return;
+    state.lastText = read();
+    state.timer = setInterval(() => void check(), intervalMs);
+    state.timer.unref?.();
+  }
+
+  function stop() {
+    if (state.timer) clearInterval(state.timer);
+    state.timer = null;
+  }
+
+  function setEnabled(enabled) {
+    if (enabled) start();
+    else stop();
+  }
+
+  return { start, stop, setEnabled, check, isRunning: () => Boolean(state.timer) };
+}
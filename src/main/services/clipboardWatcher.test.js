@@ -0,0 +1,32 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createClipboardWatcher } from "./clipboardWatcher.js";
+
+test("clipboard watcher offers each new, unknown XHS link once", async () => {
+  let clipboard = "复制打开小红书 https://xhslink.com/a/old";
+  const offered = [];
+  const watcher = createClipboardWatcher({
+    readText: () => clipboard,
+    isKnownUrl: async (url) => url === "https://xhslink.com/a/saved",
+    onLink: ({ url }) => offered.push(url),
+    intervalMs: 60_000,
+  });
+  watcher.start();
+  try {
+    await watcher.check();
+    assert.deepEqual(offered, [], "content present at start is ignored");
+
+    clipboard = "看看【番茄炒蛋】😆 https://xhslink.com/a/new，复制本条信息，打开【小红书】App查看精彩内容！";
+    await watcher.check();
+    clipboard = "https://example.com/not-xhs";
+    await watcher.check();
+    clipboard = "https://xhslink.com/a/saved";
+    await watcher.check();
+    clipboard = "again https://xhslink.com/a/new";
+    await watcher.check();
+    assert.deepEqual(offered, ["https://xhslink.com/a/new"]);
+  } finally {
+    watcher.stop();
+  }
+  assert.equal(watcher.isRunning(), false);
+});
@@ -1,11 +1,16 @@
+import crypto from "node:crypto";
 import fs from "node:fs/promises";
 import path from "node:path";
 import { z } from "zod";
 
+import { DEFAULT_OUTPUT_LANGUAGE, OUTPUT_LANGUAGE_IDS, listOutputLanguages, resolveLanguageId } from "./languageSpecs.js";
+
 const DEFAULT_OPENAI_MODEL = "gpt-4o-mini";
 const DEFAULT_MCP_HTTP_URL = "http://localhost:18060/mcp";
 const DEFAULT_MCP_TRANSPORT = "http";
-const DEFAULT_OUTPUT_LANGUAGE = "zh-Hans";
+const DEFAULT_PAGE_SIZE = "A4";
+export const MAX_BATCH_CONCURRENCY = 4;
+export const DEFAULT_API_PORT = 18061;
 
 const ConfigSchema = z.object({
   openai: z
@@ -25,12 +30,33 @@ const ConfigSchema = z.object({
     .default({}),
   ui: z
     .object({
-      outputLanguage: z.enum(["zh-Hans", "en"]).default(DEFAULT_OUTPUT_LANGUAGE),
+      outputLanguage: z.enum(OUTPUT_LANGUAGE_IDS).default(DEFAULT_OUTPUT_LANGUAGE),
+      pageSize: z.enum(["A4", "Letter"]).default(DEFAULT_PAGE_SIZE),
+      watchClipboard: z.boolean().default(false),
+    })
+    .default({}),
+  batch: z
+    .object({
+      concurrency: z.number().int().min(1).max(MAX_BATCH_CONCURRENCY).default(2),
+      destination: z.enum(["library", "folder"]).default("library"),
+      folder: z.string().default(""),
+    })
+    .default({}),
+  api: z
+    .object({
+      enabled: z.boolean().default(false),
+      port: z.number().int().min(1024).max(65535).default(DEFAULT_API_PORT),
+      allowLan: z.boolean().default(false),
+      token: z.string().default(""),
     })
     .default({}),
   recentUrls: z.array(z.string()).default([]),
 });
 
+function generateApiToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
 function parseArgsString(input) {
   const str = String(input ?? "").trim();
   if (!str) return [];
@@ -156,7 +182,10 @@ export function createConfigStore({ app }) {
         httpUrl: cfg.mcp.httpUrl,
         toolName: cfg.mcp.toolName,
       },
-      ui: { outputLanguage: cfg.ui.outputLanguage },
+      ui: { outputLanguage: cfg.ui.outputLanguage, pageSize: cfg.ui.pageSize, watchClipboard: cfg.ui.watchClipboard },
+      outputLanguages: listOutputLanguages(),
+      batch: { concurrency: cfg.batch.concurrency, destination: cfg.batch.destination, folder: cfg.batch.folder },
+      api: { enabled: cfg.api.enabled, port: cfg.api.port, allowLan: cfg.api.allowLan, token: cfg.api.token },
       recentUrls: cfg.recentUrls,
     };
   }
@@ -164,13 +193,26 @@ export function createConfigStore({ app }) {
   async function applyPatch(patch) {
     const next = structuredClone(state.config);
     if (patch?.openai?.model != null) next.openai.model = String(patch.openai.model);
-    if (patch?.ui?.outputLanguage != null) next.ui.outputLanguage = patch.ui.outputLanguage === "en" ? "en" : "zh-Hans";
+    if (patch?.ui?.outputLanguage != null) next.ui.outputLanguage = resolveLanguageId(patch.ui.outputLanguage);
+    if (patch?.ui?.pageSize != null) next.ui.pageSize = patch.ui.pageSize === "Letter" ? "Letter" : "A4";
+    if (patch?.ui?.watchClipboard != null) next.ui.watchClipboard = Boolean(patch.ui.watchClipboard);
     if (patch?.mcp?.exePath != null) next.mcp.exePath = String(patch.mcp.exePath).trim();
     if (patch?.mcp?.command != null) next.mcp.command = String(patch.mcp.command);
     if (patch?.mcp?.args != null) next.mcp.args = Array.isArray(patch.mcp.args) ? patch.mcp.args.map(String) : parseArgsString(patch.mcp.args);
     if (patch?.mcp?.transport != null) next.mcp.transport = patch.mcp.transport === "http" ? "http" : "stdio";
     if (patch?.mcp?.httpUrl != null) next.mcp.httpUrl = String(patch.mcp.httpUrl).trim();
     if (patch?.mcp?.toolName != null) next.mcp.toolName = String(patch.mcp.toolName);
+    if (patch?.batch?.concurrency != null) {
+      next.batch.concurrency = Math.min(MAX_BATCH_CONCURRENCY, Math.max(1, Math.round(Number(patch.batch.concurrency) || 1)));
+    }
+    if (patch?.batch?.destination != null) next.batch.destination = patch.batch.destination === "folder" ? "folder" : "library";
+    if (patch?.batch?.folder != null) next.batch.folder = String(patch.batch.folder);
+    if (patch?.api?.enabled != null) next.api.enabled = Boolean(patch.api.enabled);
+    if (patch?.api?.port != null) next.api.port = Math.round(Number(patch.api.port)) || DEFAULT_API_PORT;
+    if (patch?.api?.allowLan != null) next.api.allowLan = Boolean(patch.api.allowLan);
+    if (patch?.api?.regenerateToken) next.api.token = generateApiToken();
+    // Enabling the API without a token creates one.
+    if (next.api.enabled && !next.api.token) next.api.token = generateApiToken();
     if (patch?.recentUrls != null) {
       next.recentUrls = Array.isArray(patch.recentUrls) ? patch.recentUrls.map(String) : next.recentUrls;
       next.recentUrls = Array.from(new Set(next.recentUrls)).slice(0, 20);
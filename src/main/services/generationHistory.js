@@ -0,0 +1,137 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { z } from "zod";
+
+import { RecipeSchema } from "./recipeModel.js";
+
+export const MAX_GENERATIONS_PER_POST = 30;
+const KEY_RE = /^[0-9a-zA-Z-]{1,64}$/;
+
+const PromptTemplateRefSchema = z.object({ id: z.string(), name: z.string(), version: z.number() });
+
+// Only remote URLs are kept; inline images are recorded by hash so the history file stays small.
+const HistoryImageSchema = z.union([
+  z.object({ kind: z.literal("url"), url: z.string() }),
+  z.object({ kind: z.literal("dataUrl"), sha1: z.string(), bytes: z.number().int().nonnegative() }),
+]);
+
+const GenerationSchema = z.object({
+  id: z.string().min(1),
+  createdAt: z.string(),
+  model: z.string().nullable().default(null),
+  promptTemplate: PromptTemplateRefSchema.nullable().default(null),
+  outputLanguage: z.string().nullable().default(null),
+  images: z.array(HistoryImageSchema).default([]),
+  caption: z.string().default(""),
+  markdown: z.string(),
+  recipe: RecipeSchema.nullable().default(null),
+  provenance: z.object({ lines: z.array(z.any()) }).nullable().default(null),
+});
+
+const HistoryFileSchema = z.object({
+  sourceUrl: z.string(),
+  feedId: z.string().nullable().default(null),
+  generations: z.array(GenerationSchema).default([]),
+});
+
+export function toHistoryImage(source) {
+  if (source.kind === "url") return { kind: "url", url: source.url };
+  const dataUrl = String(source.dataUrl ?? "");
+  return { kind: "dataUrl", sha1: crypto.createHash("sha1").update(dataUrl).digest("hex"), bytes: dataUrl.length };
+}
+
+export function toGenerationSummary(generation) {
+  return {
+    id: generation.id,
+    createdAt: generation.createdAt,
+    model: generation.model,
+    promptTemplate: generation.promptTemplate,
+    outputLanguage: generation.outputLanguage,
+    images: generation.images,
+    title: generation.recipe?.title ?? null,
+    chars: generation.markdown.length,
+  };
+}
+
+// Posts are keyed by feed id when there is one, otherwise by a hash of the source URL.
+export function historyKey({ sourceUrl, feedId }) {
+  if (feedId && KEY_RE.test(feedId)) return feedId;
+  return `url-${crypto.createHash("sha1").update(String(sourceUrl ?? "")).digest("hex").slice(0, 16)}`;
+}
+
+// One JSON file per post under userData/history, newest generation first.
+export function createGenerationHistory({ app, logger }) {
+  const state = {
+    root: null,
+    files: new Map(), // key -> parsed history file
+    writes: new Map(), // key -> tail of the pending record() chain
+  };
+
+  function getRoot() {
+    if (state.root) return state.root;
+    state.root = path.join(app.getPath("userData"), "history");
+    return state.root;
+  }
+
+  async function readFile(key) {
+    if (state.files.has(key)) return state.files.get(key);
+    let file = null;
+    try {
+      const raw = await fs.readFile(path.join(getRoot(), `${key}.json`), "utf8");
+      file = HistoryFileSchema.parse(JSON.parse(raw));
+    } catch (err) {
+      if (String(err?.code) !== "ENOENT") logger?.warn("generation history load failed", { key, err: String(err?.message ?? err) });
+    }
+    state.files.set(key, file);
+    return file;
+  }
+
+  async function writeFile(key, file) {
+    await fs.mkdir(getRoot(), { recursive: true });
+    const target = path.join(getRoot(), `${key}.json`);
+    const tmp = `${target}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(file, null, 2), "utf8");
+    await fs.rename(tmp, target);
+    state.files.set(key, file);
+  }
+
+  async function list(post) {
+    const file = await readFile(historyKey(post));
+    return (file?.generations ?? []).map(toGenerationSummary);
+  }
+
+  async function get(post, id) {
+    const file = await readFile(historyKey(post));
+    const generation = file?.generations.find((g) => g.id === id);
+    if (!generation) throw new Error(`Generation not found: ${id}`);
+    return generation;
+  }
+
+  // Keeps at most MAX_GENERATIONS_PER_POST; the oldest are dropped. Calls for the same post run one
+  // at a time so concurrent generations (UI, batch, API, MCP) don't overwrite each other's entry.
+  function record(post, generation) {
+    const key = historyKey(post);
+    const run = (state.writes.get(key) ?? Promise.resolve()).then(() => appendGeneration(key, post, generation));
+    const tail = run.catch(() => {});
+    state.writes.set(key, tail);
+    tail.then(() => {
+      if (state.writes.get(key) === tail) state.writes.delete(key);
+    });
+    return run;
+  }
+
+  async function appendGeneration(key, post, generation) {
+    const existing = await readFile(key);
+    const entry = GenerationSchema.parse({ ...generation, id: crypto.randomUUID(), createdAt: new Date().toISOString() });
+    const file = {
+      sourceUrl: post.sourceUrl,
+      feedId: post.feedId ?? null,
+      generations: [entry, ...(existing?.generations ?? [])].slice(0, MAX_GENERATIONS_PER_POST),
+    };
+    await writeFile(key, file);
+    return toGenerationSummary(entry);
+  }
+
+  return { list, get, record, getRoot };
+}
@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { MAX_GENERATIONS_PER_POST, createGenerationHistory, historyKey, toHistoryImage } from "./generationHistory.js";
+
+test("generation history keeps generations per post, newest first", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "xhs-history-"));
+  try {
+    const post = { sourceUrl: "https://www.xiaohongshu.com/explore/abc12345", feedId: "abc12345" };
+    const history = createGenerationHistory({ app: { getPath: () => dir } });
+    const images = [toHistoryImage({ kind: "url", url: "https://img.test/1.jpg" }), toHistoryImage({ kind: "dataUrl", dataUrl: "data:image/jpeg;base64,AAAA" })];
+    const first = await history.record(post, { model: "gpt-4o", markdown: "# 标题\nA\n", images });
+    for (let i = 0; i < MAX_GENERATIONS_PER_POST; i += 1) await history.record(post, { model: "gpt-4o-mini", markdown: `# 标题\nB${i}\n` });
+
+    const reloaded = createGenerationHistory({ app: { getPath: () => dir } });
+    const list = await reloaded.list(post);
+    assert.equal(list.length, MAX_GENERATIONS_PER_POST);
+    assert.ok(!list.some((g) => g.id === first.id));
+    assert.equal((await reloaded.get(post, list[0].id)).markdown, `# 标题\nB${MAX_GENERATIONS_PER_POST - 1}\n`);
+    assert.deepEqual(await reloaded.list({ sourceUrl: "https://other.test/x" }), []);
+    assert.equal(images[1].kind, "dataUrl");
+    assert.equal(images[1].sha1.length, 40);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("concurrent records for the same post keep every generation", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "xhs-history-"));
+  try {
+    const post = { sourceUrl: "https://www.xiaohongshu.com/explore/abc12345", feedId: "abc12345" };
+    const history = createGenerationHistory({ app: { getPath: () => dir } });
+    await Promise.all([1, 2, 3, 4].map((i) => history.record(post, { markdown: `# 标题\n${i}\n` })));
+
+    const list = await createGenerationHistory({ app: { getPath: () => dir } }).list(post);
+    assert.equal(list.length, 4);
+    assert.deepEqual(await fs.readdir(path.join(dir, "history")), ["abc12345.json"]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("historyKey falls back to a URL hash without a usable feed id", () => {
+  assert.equal(historyKey({ sourceUrl: "https://x.test/a", feedId: "abc12345" }), "abc12345");
+  assert.match(historyKey({ sourceUrl: "https://x.test/a", feedId: "../etc" }), /^url-[0-9a-f]{16}$/);
+});
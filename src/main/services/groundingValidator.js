@@ -0,0 +1,205 @@
+import { CN_NUMERAL_CHARS, extractNumbers, nearlyEqual, parseNumberToken, toHalfWidth } from "../../shared/numerals.js";
+import { resolveLanguageSpec } from "./languageSpecs.js";
+import { isTranslationLine, matchSectionHeading } from "./recipeFormatter.js";
+import { splitIngredientLine, stripListMarker } from "./recipeModel.js";
+
+const NUM = `(?:\\d+(?:\\.\\d+)?(?:\\s*[/⁄]\\s*\\d+)?(?:\\s*[-~～到至]\\s*\\d+(?:\\.\\d+)?)?|[½⅓⅔¼¾⅛]|[${CN_NUMERAL_CHARS}]+)`;
+const TIME_RE = new RegExp(
+  `(${NUM})\\s*个?\\s*(分钟|分|小时|钟头|秒钟?|minutes?|mins?|hours?|hrs?|h|seconds?|secs?)(?![a-z])`,
+  "gi"
+);
+const TEMP_RE = new RegExp(`(${NUM})\\s*(°\\s*[CF]?|℃|℉|度|degrees?(?:\\s*[CF])?)(?![a-z])`, "gi");
+const QUANTITY_RE = new RegExp(
+  `(${NUM})\\s*(千克|公斤|kg|克|mg|g|毫升|ml|升|l|oz|lbs?|cups?|tbsp|tsp|斤|两|汤匙|茶匙|勺|匙|杯|个|只|颗|根|片|瓣|块|碗|袋|包|盒|把|滴|条|棵)(?![a-z])`,
+  "gi"
+);
+
+const CHECKED_SECTIONS = new Set(["title", "ingredients", "steps", "quantities", "tools"]);
+const CJK_RE = /[㐀-鿿]/;
+const CJK_ALL_RE = /[㐀-鿿]/g;
+const FUZZY_MIN_RATIO = 0.6;
+const TEXT_MIN_RATIO = 0.5;
+
+function unitSeconds(unit) {
+  const u = String(unit).toLowerCase();
+  if (u.startsWith("小时") || u.startsWith("钟头") || u.startsWith("h")) return 3600;
+  if (u.startsWith("秒") || u.startsWith("sec")) return 1;
+  return 60;
+}
+
+function toCelsius(value, unit) {
+  const u = String(unit).toUpperCase();
+  return u.includes("F") || u.includes("℉") ? ((value - 32) * 5) / 9 : value;
+}
+
+function rangeValues(numText) {
+  return String(numText)
+    .split(/\s*[-~～到至]\s*/)
+    .map((part) => parseNumberToken(part))
+    .filter((v) => v != null && Number.isFinite(v));
+}
+
+function collectMatches(re, text, toValue) {
+  const out = [];
+  for (const m of toHalfWidth(text).matchAll(re)) {
+    const values = rangeValues(m[1]).map((v) => toValue(v, m[2]));
+    if (values.length) out.push({ text: m[0].trim(), values, index: m.index, length: m[0].length });
+  }
+  return out;
+}
+
+function flatten(text) {
+  return toHalfWidth(text).toLowerCase().replace(/\s+/g, "");
+}
+
+function cjkOnly(text) {
+  return (String(text ?? "").match(CJK_ALL_RE) ?? []).join("");
+}
+
+function bigramRatio(needle, haystackCjk) {
+  const chars = cjkOnly(needle);
+  if (chars.length < 2) return haystackCjk.includes(chars) ? 1 : 0;
+  let hits = 0;
+  for (let i = 0; i < chars.length - 1; i += 1) {
+    if (haystackCjk.includes(chars.slice(i, i + 2))) hits += 1;
+  }
+  return hits / (chars.length - 1);
+}
+
+function prepareSource(id, text) {
+  const raw = String(text ?? "");
+  return {
+    id,
+    flat: flatten(raw),
+    lower: toHalfWidth(raw).toLowerCase(),
+    cjk: cjkOnly(raw),
+    hasLatin: /[a-z]{3,}/i.test(raw),
+    numbers: extractNumbers(raw).map((n) => n.value),
+    times: collectMatches(TIME_RE, raw, (v, unit) => v * unitSeconds(unit)).flatMap((m) => m.values),
+    temps: collectMatches(TEMP_RE, raw, toCelsius).flatMap((m) => m.values),
+  };
+}
+
+function findSource(sources, predicate) {
+  for (const source of sources) if (predicate(source)) return source.id;
+  return null;
+}
+
+function hasAllValues(list, values) {
+  return values.every((v) => list.some((x) => nearlyEqual(Math.round(x * 100) / 100, Math.round(v * 100) / 100)));
+}
+
+function checkName(name, sources, kind = "ingredient") {
+  const text = String(name ?? "")
+    .replace(/[（(][^）)]*[）)]/g, "")
+    .trim();
+  if (!text) return null;
+  if (CJK_RE.test(text)) {
+    const exact = findSource(sources, (s) => s.flat.includes(flatten(text)));
+    const source = exact ?? findSource(sources, (s) => bigramRatio(text, s.cjk) >= FUZZY_MIN_RATIO);
+    return { kind, text, found: Boolean(source), source };
+  }
+  if (!sources.some((s) => s.hasLatin)) return null;
+  const words = text.toLowerCase().split(/[^a-z0-9]+/).filter((w) => w.length >= 3);
+  if (words.length === 0) return null;
+  const source = findSource(sources, (s) => words.every((w) => s.lower.includes(w)));
+  return { kind, text, found: Boolean(source), source };
+}
+
+function checkFreeText(text, sources) {
+  const chars = cjkOnly(text);
+  if (chars.length < 2 || !sources.some((s) => s.cjk)) return null;
+  const source = findSource(sources, (s) => bigramRatio(chars, s.cjk) >= TEXT_MIN_RATIO);
+  return { kind: "text", text, found: Boolean(source), source };
+}
+
+function checkMeasurements(text, sources) {
+  const claims = [];
+  const taken = [];
+  const overlaps = (m) => taken.some((t) => m.index < t.index + t.length && t.index < m.index + m.length);
+
+  for (const m of collectMatches(TEMP_RE, text, toCelsius)) {
+    taken.push(m);
+    const source = findSource(sources, (s) => hasAllValues(s.temps, m.values));
+    claims.push({ kind: "temperature", text: m.text, found: Boolean(source), source });
+  }
+  for (const m of collectMatches(TIME_RE, text, (v, unit) => v * unitSeconds(unit))) {
+    if (overlaps(m)) continue;
+    taken.push(m);
+    const source = findSource(sources, (s) => hasAllValues(s.times, m.values));
+    claims.push({ kind: "time", text: m.text, found: Boolean(source), source });
+  }
+  for (const m of collectMatches(QUANTITY_RE, text, (v) => v)) {
+    if (overlaps(m)) continue;
+    const exact = findSource(sources, (s) => s.flat.includes(flatten(m.text)));
+    const source = exact ?? findSource(sources, (s) => hasAllValues(s.numbers, m.values));
+    claims.push({ kind: "quantity", text: m.text, found: Boolean(source), source });
+  }
+  return claims;
+}
+
+function checkCues(text, outputLanguage) {
+  const patterns = resolveLanguageSpec(outputLanguage).cues;
+  const claims = [];
+  for (const re of patterns) {
+    for (const m of String(text).matchAll(re)) claims.push({ kind: "cue", text: m[0], found: false, source: null });
+  }
+  return claims;
+}
+
+function lineStatus(claims) {
+  if (claims.length === 0) return "unchecked";
+  const found = claims.filter((c) => c.found).length;
+  if (found === claims.length) return "grounded";
+  if (found === 0) return "not_found";
+  return "partial";
+}
+
+export function validateRecipeGrounding({ markdown, caption, ocrText, outputLanguage }) {
+  const sources = [prepareSource("caption", caption)];
+  if (String(ocrText ?? "").trim()) sources.push(prepareSource("ocr", ocrText));
+
+  const lines = [];
+  let section = null;
+  const rows = String(markdown ?? "").split("\n");
+  for (let i = 0; i < rows.length; i += 1) {
+    const row = rows[i];
+    const heading = matchSectionHeading(row);
+    if (heading) {
+      section = heading.key;
+      continue;
+    }
+    // Bilingual "EN:" lines translate the line above; the caption cannot ground them.
+    if (isTranslationLine(row)) continue;
+    const text = stripListMarker(row);
+    if (!text || !CHECKED_SECTIONS.has(section)) continue;
+
+    const claims = [];
+    if (section === "ingredients" || section === "quantities") {
+      const ingredient = splitIngredientLine(text);
+      const nameClaim = checkName(ingredient?.name, sources);
+      if (nameClaim) claims.push(nameClaim);
+      claims.push(...checkMeasurements(ingredient?.quantity || text, sources));
+    } else {
+      const measurements = checkMeasurements(text, sources);
+      claims.push(...measurements);
+      if (measurements.length === 0) {
+        const textClaim = section === "tools" ? checkName(text, sources, "tool") : checkFreeText(text, sources);
+        if (textClaim) claims.push(textClaim);
+      }
+    }
+    claims.push(...checkCues(text, outputLanguage));
+
+    lines.push({ line: i, section, text, status: lineStatus(claims), claims });
+  }
+
+  const summary = { grounded: 0, partial: 0, notFound: 0, unchecked: 0 };
+  for (const l of lines) {
+    if (l.status === "grounded") summary.grounded += 1;
+    else if (l.status === "partial") summary.partial += 1;
+    else if (l.status === "not_found") summary.notFound += 1;
+    else summary.unchecked += 1;
+  }
+
+  return { sources: sources.map((s) => s.id), lines, summary };
+}
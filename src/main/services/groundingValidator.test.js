@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validateRecipeGrounding } from "./groundingValidator.js";
+
+const caption = "番茄炒蛋\n鸡蛋两个，番茄1个，盐少许。油热后下蛋液炒散盛出，再炒番茄2分钟。烤箱180度";
+
+function statusByText(result) {
+  return Object.fromEntries(result.lines.map((l) => [l.text, l.status]));
+}
+
+test("validateRecipeGrounding marks invented ingredients, times and hedging lines", () => {
+  const markdown = [
+    "# 标题",
+    "番茄炒蛋",
+    "## 食材",
+    "- 鸡蛋 两个",
+    "- 番茄 1个",
+    "- 白糖 5g",
+    "## 步骤",
+    "1. 油热后下蛋液炒散盛出",
+    "2. 再炒番茄2分钟",
+    "3. 焖10分钟",
+    "4. 建议加葱花",
+    "## 用量/计量",
+    "## 工具/器具",
+    "- 烤箱",
+  ].join("\n");
+
+  const result = validateRecipeGrounding({ markdown, caption, outputLanguage: "zh-Hans" });
+  assert.deepEqual(statusByText(result), {
+    番茄炒蛋: "grounded",
+    "鸡蛋 两个": "grounded",
+    "番茄 1个": "grounded",
+    "白糖 5g": "not_found",
+    油热后下蛋液炒散盛出: "grounded",
+    再炒番茄2分钟: "grounded",
+    焖10分钟: "not_found",
+    建议加葱花: "not_found",
+    烤箱: "grounded",
+  });
+  assert.equal(result.lines.find((l) => l.text === "白糖 5g").line, 5);
+  assert.deepEqual(result.summary, { grounded: 6, partial: 0, notFound: 3, unchecked: 0 });
+});
+
+test("validateRecipeGrounding compares numbers across languages and checks OCR text", () => {
+  const markdown = "# Title\nTomato eggs\n## Steps\n1. Bake at 180°C for 2 minutes\n2. Rest 5 minutes\n";
+  const result = validateRecipeGrounding({ markdown, caption, ocrText: "静置5分钟", outputLanguage: "en" });
+  const [title, bake, rest] = result.lines;
+  assert.equal(title.status, "unchecked");
+  assert.equal(bake.status, "grounded");
+  assert.deepEqual(
+    bake.claims.map((c) => [c.kind, c.source]),
+    [
+      ["temperature", "caption"],
+      ["time", "caption"],
+    ]
+  );
+  assert.equal(rest.claims[0].source, "ocr");
+  assert.deepEqual(result.sources, ["caption", "ocr"]);
+});
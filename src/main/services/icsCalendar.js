@@ -0,0 +1,80 @@
+import { scaleQuantity } from "../../shared/quantity.js";
+import { MEALS, slotDate, slotScaleFactor } from "./mealPlan.js";
+
+const EVENT_MINUTES = 60;
+
+function escapeText(text) {
+  return String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545 folds content lines longer than 75 octets; continuation lines start with a space.
+function foldLine(line) {
+  const out = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch, "utf8");
+    if (bytes + size > 75) {
+      out.push(current);
+      current = " ";
+      bytes = 1;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join("\r\n");
+}
+
+function localDateTime(date, time, addMinutes = 0) {
+  const [h, m] = time.split(":").map(Number);
+  const [y, mo, d] = date.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, mo - 1, d, h, m + addMinutes));
+  return dt.toISOString().replace(/[-:]/g, "").slice(0, 15);
+}
+
+function utcStamp(date) {
+  return `${date.toISOString().replace(/[-:]/g, "").slice(0, 15)}Z`;
+}
+
+function describe(recipe, factor, sourceUrl) {
+  const ingredients = recipe.ingredients.map((i) => {
+    const scaled = i.quantity ? i.raw.replace(i.quantity, scaleQuantity(i.quantity, factor)) : i.raw;
+    return `- ${scaled}`;
+  });
+  const steps = recipe.steps.map((s) => `${s.index}. ${s.text}`);
+  return [
+    ingredients.length ? ["Ingredients:", ...ingredients].join("\n") : "",
+    steps.length ? ["Steps:", ...steps].join("\n") : "",
+    sourceUrl ? `Source: ${sourceUrl}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// `items`: [{ slot, title, recipe, sourceUrl }]. Times are floating (the calendar's local time zone).
+export function buildMealPlanIcs(weekStart, items, { now = new Date() } = {}) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//xhs-recipe-bot//Meal planner//EN", "CALSCALE:GREGORIAN"];
+  for (const { slot, title, recipe, sourceUrl } of items) {
+    const meal = MEALS.find((m) => m.id === slot.meal) ?? MEALS[0];
+    const date = slotDate(weekStart, slot.day);
+    const servings = `${slot.servings} serving${slot.servings === 1 ? "" : "s"}`;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${slot.id}@xhs-recipe-bot`,
+      `DTSTAMP:${utcStamp(now)}`,
+      `DTSTART:${localDateTime(date, meal.time)}`,
+      `DTEND:${localDateTime(date, meal.time, EVENT_MINUTES)}`,
+      `SUMMARY:${escapeText(`${meal.label}: ${title} (${servings})`)}`,
+      `DESCRIPTION:${escapeText(describe(recipe, slotScaleFactor(slot), sourceUrl))}`
+    );
+    if (sourceUrl) lines.push(`URL:${sourceUrl}`);
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
@@ -0,0 +1,151 @@
+// Image download and encoding without Electron; main.js adds `net` and `nativeImage` on top.
+
+export const IMAGE_DOWNLOAD_TIMEOUT_MS = 20_000;
+export const IMAGE_MAX_BYTES = 8 * 1024 * 1024;
+export const IMAGE_MAX_DIM = 1280;
+export const IMAGE_JPEG_QUALITY = 82;
+// Without a decoder images can't be shrunk, so bigger ones are left out rather than sent as-is.
+export const IMAGE_PASSTHROUGH_MAX_BYTES = 2 * 1024 * 1024;
+
+const BROWSER_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36";
+export const IMAGE_REQUEST_HEADERS = {
+  "User-Agent": BROWSER_USER_AGENT,
+  Origin: "https://www.xiaohongshu.com",
+  "Accept-Language": "zh-CN,zh;q=0.9,en;q=0.8",
+  Accept: "image/jpeg,image/png,image/webp,image/apng,image/*;q=0.8,*/*;q=0.5",
+};
+
+export function bufferToDataUrl(buffer, mimeType) {
+  const b64 = Buffer.from(buffer).toString("base64");
+  return `data:${mimeType};base64,${b64}`;
+}
+
+// Inverse of bufferToDataUrl for base64 data URLs; null for anything else.
+export function parseDataUrl(dataUrl) {
+  const match = /^data:([^;,]*)((?:;[^;,]*)*);base64,/i.exec(String(dataUrl ?? ""));
+  if (!match) return null;
+  return {
+    buffer: Buffer.from(String(dataUrl).slice(match[0].length), "base64"),
+    contentType: match[1] || "application/octet-stream",
+  };
+}
+
+export function isAbortError(err) {
+  if (!err) return false;
+  const name = String(err?.name ?? "");
+  const msg = String(err?.message ?? err);
+  return name === "AbortError" || msg === "Request aborted" || msg.includes("aborted");
+}
+
+async function readResponseBodyWithLimit(res, maxBytes) {
+  const contentLength = res.headers.get("content-length");
+  if (contentLength) {
+    const declared = Number(contentLength);
+    if (Number.isFinite(declared) && declared > maxBytes) {
+      throw new Error(`image too large (${declared} bytes)`);
+    }
+  }
+
+  const reader = res.body?.getReader?.();
+  if (!reader) {
+    const arrayBuffer = await res.arrayBuffer();
+    if (arrayBuffer.byteLength > maxBytes) throw new Error(`image too large (${arrayBuffer.byteLength} bytes)`);
+    return Buffer.from(arrayBuffer);
+  }
+
+  const chunks = [];
+  let total = 0;
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) throw new Error(`image too large (>${maxBytes} bytes)`);
+    chunks.push(Buffer.from(value));
+  }
+  return Buffer.concat(chunks, total);
+}
+
+// Downloads with fetch; on failure tries `fallback(url, { logger, referer, signal })` when given,
+// otherwise resolves to null. Aborts are rethrown.
+export async function downloadImageViaFetch(url, logger, { referer, signal, fallback } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), IMAGE_DOWNLOAD_TIMEOUT_MS);
+  let abortListener = null;
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    abortListener = () => controller.abort();
+    signal.addEventListener("abort", abortListener, { once: true });
+  }
+  try {
+    const res = await fetch(url, {
+      signal: controller.signal,
+      headers: { ...IMAGE_REQUEST_HEADERS, Referer: referer || "https://www.xiaohongshu.com/" },
+    });
+    if (!res.ok) throw new Error(`image download failed: HTTP ${res.status}`);
+    const contentType = res.headers.get("content-type") ?? "application/octet-stream";
+    if (!/^image\//i.test(contentType) && !/^application\/octet-stream/i.test(contentType)) {
+      throw new Error(`unexpected content-type: ${contentType}`);
+    }
+    const buffer = await readResponseBodyWithLimit(res, IMAGE_MAX_BYTES);
+    return { buffer, contentType };
+  } catch (err) {
+    if (controller.signal.aborted || signal?.aborted || isAbortError(err)) throw err;
+    logger.warn("image download failed", { url, err: String(err) });
+    return fallback ? await fallback(url, { logger, referer, signal }) : null;
+  } finally {
+    clearTimeout(timeout);
+    if (signal && abortListener) signal.removeEventListener("abort", abortListener);
+  }
+}
+
+// Format and pixel size from the file header (JPEG, PNG, GIF, WebP); null when unrecognized.
+export function sniffImage(buffer) {
+  const buf = Buffer.from(buffer);
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return { mime: "image/png", width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (buf.length >= 10 && buf.toString("latin1", 0, 3) === "GIF") {
+    return { mime: "image/gif", width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+  if (buf.length >= 30 && buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WEBP") {
+    const chunk = buf.toString("latin1", 12, 16);
+    if (chunk === "VP8X") return { mime: "image/webp", width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+    if (chunk === "VP8 ") return { mime: "image/webp", width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    if (chunk === "VP8L") {
+      const bits = buf.readUInt32LE(21);
+      return { mime: "image/webp", width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    return { mime: "image/webp", width: null, height: null };
+  }
+  if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    // Walk the segments up to the first start-of-frame marker.
+    let offset = 2;
+    while (offset + 9 < buf.length) {
+      if (buf[offset] !== 0xff) return { mime: "image/jpeg", width: null, height: null };
+      const marker = buf[offset + 1];
+      const isSof = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isSof) return { mime: "image/jpeg", width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+      offset += 2 + buf.readUInt16BE(offset + 2);
+    }
+    return { mime: "image/jpeg", width: null, height: null };
+  }
+  return null;
+}
+
+// Pure-Node stand-in for the nativeImage resize: sends the original bytes with a sniffed MIME
+// type. OpenAI scales large dimensions server-side, so those are only logged; files over
+// IMAGE_PASSTHROUGH_MAX_BYTES return null, which the pipeline records as a preprocess failure.
+export function passThroughImageForOpenAI({ buffer, contentType }, logger) {
+  if (buffer.length > IMAGE_PASSTHROUGH_MAX_BYTES) {
+    logger.warn("image skipped: too large to send without resizing", { bytes: buffer.length, max: IMAGE_PASSTHROUGH_MAX_BYTES });
+    return null;
+  }
+  const sniffed = sniffImage(buffer);
+  const mime = sniffed?.mime ?? (String(contentType ?? "application/octet-stream").split(";")[0].trim() || "application/octet-stream");
+  if (sniffed?.width && Math.max(sniffed.width, sniffed.height) > IMAGE_MAX_DIM) {
+    logger.info("image sent without resizing", { width: sniffed.width, height: sniffed.height, mime });
+  }
+  return bufferToDataUrl(buffer, mime);
+}
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { IMAGE_PASSTHROUGH_MAX_BYTES, bufferToDataUrl, parseDataUrl, passThroughImageForOpenAI, sniffImage } from "./imageFetch.js";
+
+function png(width, height) {
+  const buf = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buf, 0);
+  buf.writeUInt32BE(13, 8);
+  buf.write("IHDR", 12, "latin1");
+  buf.writeUInt32BE(width, 16);
+  buf.writeUInt32BE(height, 20);
+  return buf;
+}
+
+function jpeg(width, height) {
+  // SOI, an APP0 segment, then SOF0 with the frame size.
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x04, 0x00, 0x00]);
+  const sof = Buffer.alloc(11);
+  sof.writeUInt16BE(0xffc0, 0);
+  sof.writeUInt16BE(9, 2);
+  sof[4] = 8;
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof, Buffer.alloc(4)]);
+}
+
+function webpVp8x(width, height) {
+  const buf = Buffer.alloc(30);
+  buf.write("RIFF", 0, "latin1");
+  buf.write("WEBP", 8, "latin1");
+  buf.write("VP8X", 12, "latin1");
+  buf.writeUIntLE(width - 1, 24, 3);
+  buf.writeUIntLE(height - 1, 27, 3);
+  return buf;
+}
+
+test("sniffImage reads the format and size from file headers", () => {
+  assert.deepEqual(sniffImage(png(640, 480)), { mime: "image/png", width: 640, height: 480 });
+  assert.deepEqual(sniffImage(jpeg(1920, 1080)), { mime: "image/jpeg", width: 1920, height: 1080 });
+  assert.deepEqual(sniffImage(webpVp8x(1080, 1440)), { mime: "image/webp", width: 1080, height: 1440 });
+  assert.equal(sniffImage(Buffer.from("not an image")), null);
+});
+
+test("passThroughImageForOpenAI uses the sniffed type and skips files too large to send", () => {
+  const logs = [];
+  const logger = { info: (message, data) => logs.push({ message, data }), warn: (message, data) => logs.push({ message, data }) };
+  const dataUrl = passThroughImageForOpenAI({ buffer: jpeg(2000, 1000), contentType: "application/octet-stream" }, logger);
+  assert.ok(dataUrl.startsWith("data:image/jpeg;base64,"));
+  assert.equal(logs[0].message, "image sent without resizing");
+
+  const huge = Buffer.concat([jpeg(4000, 3000), Buffer.alloc(IMAGE_PASSTHROUGH_MAX_BYTES)]);
+  assert.equal(passThroughImageForOpenAI({ buffer: huge, contentType: "image/jpeg" }, logger), null);
+  assert.match(logs[1].message, /too large/);
+});
+
+test("parseDataUrl round-trips bufferToDataUrl and rejects other strings", () => {
+  const parsed = parseDataUrl(bufferToDataUrl(png(2, 3), "image/png"));
+  assert.equal(parsed.contentType, "image/png");
+  assert.deepEqual(sniffImage(parsed.buffer), { mime: "image/png", width: 2, height: 3 });
+  assert.equal(parseDataUrl("data:image/png;name=a.png;base64,AAAA").contentType, "image/png");
+  assert.equal(parseDataUrl("data:text/plain,hello"), null);
+  assert.equal(parseDataUrl("https://example.com/a.png"), null);
+});
@@ -0,0 +1,27 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { LANGUAGE_SPECS, resolveLanguageId } from "./languageSpecs.js";
+import { buildSystemPrompt } from "./prompt.js";
+import { SECTION_ORDER, matchSectionHeading, normalizeMarkdownRecipe } from "./recipeFormatter.js";
+import { validateRecipeGrounding } from "./groundingValidator.js";
+
+test("every language spec is complete and its prompt lists its headings", () => {
+  for (const [id, spec] of Object.entries(LANGUAGE_SPECS)) {
+    assert.ok(spec.label && spec.lang, id);
+    for (const key of SECTION_ORDER) assert.equal(matchSectionHeading(spec.headings[key])?.key, key, `${id}:${key}`);
+    const prompt = buildSystemPrompt({ outputLanguage: id });
+    assert.doesNotMatch(prompt, /\{\{\w+\}\}/, id);
+    for (const key of SECTION_ORDER) assert.ok(prompt.includes(spec.headings[key]), `${id}:${key}`);
+    assert.ok(spec.cues.length > 0 && spec.cues.every((re) => re.global), id);
+    // Only English uses the English prompt; every other language has its own.
+    if (spec.lang !== "en") assert.doesNotMatch(prompt, /information extraction tool/, id);
+  }
+  assert.equal(resolveLanguageId("xx"), "zh-Hans");
+});
+
+test("registry languages drive heading repair and cue words", () => {
+  const { markdown } = normalizeMarkdownRecipe("# 标题\n麻婆豆腐\n## 食材\n- 豆腐 1块\n", { outputLanguage: "ja" });
+  assert.equal(markdown, "# タイトル\n麻婆豆腐\n\n## 材料\n- 豆腐 1块\n\n## 作り方\n\n## 分量/計量\n\n## 調理器具\n");
+  const res = validateRecipeGrounding({ markdown: "## 作り方\n1. 豆腐はおすすめ\n", caption: "豆腐", outputLanguage: "ja" });
+  assert.ok(res.lines[0].claims.some((c) => c.kind === "cue" && c.text === "おすすめ"));
+});
@@ -0,0 +1,234 @@
+import crypto from "node:crypto";
+import http from "node:http";
+
+export const API_MAX_BODY_BYTES = 40 * 1024 * 1024;
+const NDJSON = "application/x-ndjson";
+
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Constant-time comparison; an empty expected token never matches.
+export function tokensMatch(expected, actual) {
+  const a = Buffer.from(String(expected ?? ""));
+  const b = Buffer.from(String(actual ?? ""));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readBearerToken(req) {
+  const header = String(req.headers.authorization ?? "");
+  const match = /^Bearer\s+(.+)$/i.exec(header.trim());
+  return match ? match[1].trim() : String(req.headers["x-api-token"] ?? "");
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    req.on("data", (chunk) => {
+      total += chunk.length;
+      if (total > API_MAX_BODY_BYTES) {
+        reject(new ApiError(413, `Request body over ${API_MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8").trim();
+      if (!text) return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        reject(new ApiError(400, "Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function decodePathParams(match) {
+  try {
+    return match.slice(1).map(decodeURIComponent);
+  } catch {
+    throw new ApiError(400, "Malformed percent-encoding in the request path");
+  }
+}
+
+function toErrorBody(err) {
+  if (err?.name === "ZodError" && Array.isArray(err.issues)) {
+    return {
+      status: 400,
+      body: { error: "Invalid request", issues: err.issues.map((i) => ({ path: i.path.join("."), message: i.message })) },
+    };
+  }
+  if (err instanceof ApiError) return { status: err.status, body: { error: err.message } };
+  return { status: 500, body: { error: String(err?.message ?? err) } };
+}
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type, X-Api-Token",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+// Serves `routes` ({ method(s), path: RegExp, handler, raw? }) over HTTP with bearer-token auth.
+// Handlers get `{ params, query, body, signal, progress }` and return a JSON-serializable result;
+// with `?stream=1` or `Accept: application/x-ndjson` the response is NDJSON lines of
+// `{ event: "progress", step }` followed by `{ event: "result", data }` or `{ event: "error", status, error }`.
+// Raw routes get `{ req, res, body }` instead and write the response themselves.
+export function createLocalApi({ logger, routes }) {
+  const state = {
+    server: null,
+    key: null, // `${host}:${port}` the server was started with
+    token: "",
+    status: { running: false, host: null, port: null, error: null },
+  };
+
+  async function handle(req, res) {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    const url = new URL(req.url ?? "/", "http://localhost");
+    if (!tokensMatch(state.token, readBearerToken(req))) {
+      sendJson(res, 401, { error: "Missing or invalid API token" });
+      return;
+    }
+
+    let route = null;
+    let match = null;
+    for (const r of routes) {
+      match = [].concat(r.method).includes(req.method) ? r.path.exec(url.pathname) : null;
+      if (match) {
+        route = r;
+        break;
+      }
+    }
+    if (!route) {
+      sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+      return;
+    }
+
+    // Raw routes (the MCP endpoint) write their own response.
+    if (route.raw) {
+      try {
+        const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+        await route.handler({ req, res, body });
+      } catch (err) {
+        const { status, body } = toErrorBody(err);
+        if (!res.headersSent) sendJson(res, status, body);
+        else res.end();
+      }
+      return;
+    }
+
+    // The client going away cancels the work.
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const stream = url.searchParams.get("stream") === "1" || String(req.headers.accept ?? "").includes(NDJSON);
+    // `stream` is the transport's flag, not a handler parameter.
+    const query = new URLSearchParams(url.searchParams);
+    query.delete("stream");
+    const writeLine = (obj) => {
+      if (!res.writableEnded && !res.destroyed) res.write(`${JSON.stringify(obj)}\n`);
+    };
+    try {
+      const body = req.method === "POST" ? await readJsonBody(req) : {};
+      if (stream) {
+        res.writeHead(200, { ...CORS_HEADERS, "Content-Type": `${NDJSON}; charset=utf-8`, "Cache-Control": "no-cache" });
+      }
+      const data = await route.handler({
+        params: decodePathParams(match),
+        query,
+        body,
+        signal: controller.signal,
+        progress: (step) => stream && writeLine({ event: "progress", step }),
+      });
+      if (stream) {
+        writeLine({ event: "result", data });
+        res.end();
+      } else {
+        sendJson(res, 200, data);
+      }
+    } catch (err) {
+      const { status, body } = toErrorBody(err);
+      if (controller.signal.aborted) return;
+      if (status >= 500) logger.warn("api request failed", { method: req.method, path: url.pathname, err: body.error });
+      if (res.headersSent) {
+        writeLine({ event: "error", status, ...body });
+        res.end();
+      } else {
+        sendJson(res, status, body);
+      }
+    }
+  }
+
+  function close() {
+    const server = state.server;
+    state.server = null;
+    state.key = null;
+    state.status = { running: false, host: null, port: null, error: null };
+    if (!server) return Promise.resolve();
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    });
+  }
+
+  // (Re)starts or stops the server for `{ enabled, host, port, token }`; a token change needs no restart.
+  async function apply({ enabled, host, port, token }) {
+    state.token = String(token ?? "");
+    if (!enabled) {
+      await close();
+      return getStatus();
+    }
+    const key = `${host}:${port}`;
+    if (state.server && state.key === key) return getStatus();
+    await close();
+
+    const server = http.createServer((req, res) => {
+      handle(req, res).catch((err) => {
+        logger.error("api handler crashed", { err: String(err?.message ?? err) });
+        if (!res.headersSent) sendJson(res, 500, { error: "Internal error" });
+        else res.end();
+      });
+    });
+    try {
+      await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          server.off("error", reject);
+          resolve();
+        });
+      });
+    } catch (err) {
+      state.status = { running: false, host, port, error: String(err?.message ?? err) };
+      logger.warn("api server failed to start", { host, port, err: state.status.error });
+      return getStatus();
+    }
+    state.server = server;
+    state.key = key;
+    state.status = { running: true, host, port: server.address().port, error: null };
+    logger.info("api server listening", { host, port: state.status.port });
+    return getStatus();
+  }
+
+  function getStatus() {
+    return { ...state.status };
+  }
+
+  return { apply, close, getStatus };
+}
@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { z } from "zod";
+import { ApiError, createLocalApi, tokensMatch } from "./localApi.js";
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const EchoSchema = z.object({ url: z.string().url() });
+
+async function startApi() {
+  const api = createLocalApi({
+    logger: silentLogger,
+    routes: [
+      {
+        method: "POST",
+        path: /^\/v1\/echo$/,
+        handler: async ({ body, progress }) => {
+          const parsed = EchoSchema.parse(body);
+          progress("fetching");
+          progress("generating");
+          return { url: parsed.url };
+        },
+      },
+      {
+        method: "GET",
+        path: /^\/v1\/query$/,
+        handler: async ({ query }) => Object.fromEntries(query),
+      },
+      {
+        method: "GET",
+        path: /^\/v1\/items\/([^/]+)$/,
+        handler: async ({ params }) => {
+          if (params[0] !== "一") throw new ApiError(404, "not found");
+          return { id: params[0] };
+        },
+      },
+    ],
+  });
+  const status = await api.apply({ enabled: true, host: "127.0.0.1", port: 0, token: "secret" });
+  return { api, base: `http://127.0.0.1:${status.port}` };
+}
+
+test("tokensMatch rejects empty and different tokens", () => {
+  assert.equal(tokensMatch("abc", "abc"), true);
+  assert.equal(tokensMatch("abc", "abd"), false);
+  assert.equal(tokensMatch("", ""), false);
+  assert.equal(tokensMatch("abc", undefined), false);
+});
+
+test("local API requires the token and maps errors to status codes", async () => {
+  const { api, base } = await startApi();
+  try {
+    assert.equal((await fetch(`${base}/v1/items/x`)).status, 401);
+    assert.equal((await fetch(`${base}/v1/items/x`, { headers: { Authorization: "Bearer nope" } })).status, 401);
+
+    const auth = { Authorization: "Bearer secret" };
+    const found = await fetch(`${base}/v1/items/${encodeURIComponent("一")}`, { headers: auth });
+    assert.deepEqual(await found.json(), { id: "一" });
+    assert.equal((await fetch(`${base}/v1/items/x`, { headers: auth })).status, 404);
+    assert.equal((await fetch(`${base}/v1/items/%E4%B8`, { headers: auth })).status, 400);
+    assert.equal((await fetch(`${base}/v1/missing`, { headers: auth })).status, 404);
+
+    const invalid = await fetch(`${base}/v1/echo`, { method: "POST", headers: auth, body: JSON.stringify({ url: "nope" }) });
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).issues[0].path, "url");
+    assert.equal((await fetch(`${base}/v1/echo`, { method: "POST", headers: auth, body: "{" })).status, 400);
+  } finally {
+    await api.close();
+  }
+});
+
+test("local API streams progress as NDJSON", async () => {
+  const { api, base } = await startApi();
+  try {
+    const res = await fetch(`${base}/v1/echo?stream=1`, {
+      method: "POST",
+      headers: { "X-Api-Token": "secret", "Content-Type": "application/json" },
+      body: JSON.stringify({ url: "https://example.com/a" }),
+    });
+    assert.match(res.headers.get("content-type"), /application\/x-ndjson/);
+    const events = (await res.text()).trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(events, [
+      { event: "progress", step: "fetching" },
+      { event: "progress", step: "generating" },
+      { event: "result", data: { url: "https://example.com/a" } },
+    ]);
+    const query = await fetch(`${base}/v1/query?q=egg&stream=1`, { headers: { "X-Api-Token": "secret" } });
+    assert.deepEqual(JSON.parse((await query.text()).trim()), { event: "result", data: { q: "egg" } });
+    assert.equal((await api.apply({ enabled: false })).running, false);
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,95 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { z } from "zod";
+
+// Default start times are used for the .ics export; events last one hour.
+export const MEALS = [
+  { id: "breakfast", label: "Breakfast", time: "08:00" },
+  { id: "lunch", label: "Lunch", time: "12:00" },
+  { id: "snack", label: "Snack", time: "15:30" },
+  { id: "dinner", label: "Dinner", time: "18:30" },
+];
+export const MEAL_IDS = MEALS.map((m) => m.id);
+export const WEEK_START_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const MealSlotSchema = z.object({
+  id: z.string().min(1).max(64),
+  day: z.number().int().min(0).max(6), // 0 = Monday
+  meal: z.enum(MEAL_IDS),
+  recipeId: z.string().min(1).max(64),
+  // Same meaning as the "servings in the recipe → servings to cook" inputs of the Scale view.
+  baseServings: z.number().positive().max(1000),
+  servings: z.number().positive().max(1000),
+});
+
+const StoreSchema = z.object({
+  weeks: z.record(z.string().regex(WEEK_START_RE), z.array(MealSlotSchema)).default({}),
+});
+
+export function slotScaleFactor(slot) {
+  return slot.servings / slot.baseServings;
+}
+
+// Calendar date of `day` (0 = Monday) in the week starting on `weekStart` (YYYY-MM-DD).
+export function slotDate(weekStart, day) {
+  const [y, m, d] = weekStart.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + day));
+  return date.toISOString().slice(0, 10);
+}
+
+export function createMealPlanStore({ app }) {
+  const state = {
+    storePath: null,
+    data: StoreSchema.parse({}),
+  };
+
+  function getStorePath() {
+    if (state.storePath) return state.storePath;
+    state.storePath = path.join(app.getPath("userData"), "meal-plans.json");
+    return state.storePath;
+  }
+
+  async function load() {
+    try {
+      const raw = await fs.readFile(getStorePath(), "utf8");
+      state.data = StoreSchema.parse(JSON.parse(raw));
+    } catch (err) {
+      if (String(err?.code) !== "ENOENT") {
+        // eslint-disable-next-line no-console
+        console.warn("meal plans load failed; starting empty", err);
+      }
+      state.data = StoreSchema.parse({});
+    }
+  }
+
+  async function save() {
+    const storePath = getStorePath();
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+    await fs.writeFile(storePath, JSON.stringify(state.data, null, 2), "utf8");
+  }
+
+  function getWeek(weekStart) {
+    return state.data.weeks[weekStart] ?? [];
+  }
+
+  // Replaces the whole week; slots without an id get one.
+  async function saveWeek(weekStart, slots) {
+    const parsed = slots.map((slot) => MealSlotSchema.parse({ ...slot, id: slot.id || crypto.randomUUID() }));
+    if (parsed.length) state.data.weeks[weekStart] = parsed;
+    else delete state.data.weeks[weekStart];
+    await save();
+    return getWeek(weekStart);
+  }
+
+  // Last base servings used per recipe, so it does not need re-entering every week.
+  function baseServingsByRecipe() {
+    const out = {};
+    for (const week of Object.keys(state.data.weeks).sort()) {
+      for (const slot of state.data.weeks[week]) out[slot.recipeId] = slot.baseServings;
+    }
+    return out;
+  }
+
+  return { load, getWeek, saveWeek, baseServingsByRecipe, getStorePath };
+}
@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { buildMealPlanIcs } from "./icsCalendar.js";
+import { createMealPlanStore, slotDate } from "./mealPlan.js";
+
+test("meal plan store saves weeks and remembers base servings", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "xhs-plans-"));
+  try {
+    const store = createMealPlanStore({ app: { getPath: () => dir } });
+    await store.load();
+    const [slot] = await store.saveWeek("2026-10-19", [{ day: 2, meal: "dinner", recipeId: "r1", baseServings: 2, servings: 4 }]);
+    assert.ok(slot.id);
+    await assert.rejects(store.saveWeek("2026-10-19", [{ ...slot, meal: "brunch" }]));
+
+    const reloaded = createMealPlanStore({ app: { getPath: () => dir } });
+    await reloaded.load();
+    assert.equal(reloaded.getWeek("2026-10-19").length, 1);
+    assert.deepEqual(reloaded.baseServingsByRecipe(), { r1: 2 });
+    await reloaded.saveWeek("2026-10-19", []);
+    assert.deepEqual(reloaded.getWeek("2026-10-19"), []);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("slotDate crosses month boundaries", () => {
+  assert.equal(slotDate("2026-10-26", 6), "2026-11-01");
+});
+
+test("buildMealPlanIcs writes one event per slot with scaled ingredients", () => {
+  const recipe = {
+    title: "番茄炒蛋",
+    ingredients: [{ name: "鸡蛋", quantity: "2个", raw: "鸡蛋 2个" }],
+    steps: [{ index: 1, text: "炒, 出锅" }],
+  };
+  const ics = buildMealPlanIcs(
+    "2026-10-19",
+    [{ slot: { id: "s1", day: 1, meal: "lunch", recipeId: "r1", baseServings: 2, servings: 4 }, title: "番茄炒蛋", recipe, sourceUrl: "https://x.test/a" }],
+    { now: new Date("2026-10-18T10:00:00Z") }
+  );
+  const lines = ics.split("\r\n");
+  assert.ok(lines.includes("UID:s1@xhs-recipe-bot"));
+  assert.ok(lines.includes("DTSTART:20261020T120000"));
+  assert.ok(lines.includes("DTEND:20261020T130000"));
+  assert.ok(lines.includes("SUMMARY:Lunch: 番茄炒蛋 (4 servings)"));
+  assert.ok(ics.replace(/\r\n /g, "").includes("DESCRIPTION:Ingredients:\\n- 鸡蛋 4个\\n\\nSteps:\\n1. 炒\\, 出锅\\n\\nSource: https://x.test/a"));
+  assert.ok(lines.every((l) => Buffer.byteLength(l, "utf8") <= 75));
+});
@@ -0,0 +1,179 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { z } from "zod";
+
+export const PROMPT_PLACEHOLDERS = [
+  { name: "defaultSystemPrompt", description: "built-in system prompt for the output language" },
+  { name: "headings", description: "required section headings, one per line" },
+  { name: "languageRules", description: "built-in language instructions" },
+  { name: "label", description: "output language name" },
+  { name: "outputLanguage", description: "output language id (e.g. zh-Hans)" },
+  { name: "sourceUrl", description: "share URL of the note" },
+  { name: "caption", description: "note caption text" },
+];
+
+const DEFAULT_USER_TEMPLATE = `Source URL:
+{{sourceUrl}}
+
+Caption:
+{{caption}}`;
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: "default",
+    name: "Default",
+    builtIn: true,
+    version: 1,
+    system: "{{defaultSystemPrompt}}",
+    user: DEFAULT_USER_TEMPLATE,
+    provenance: true,
+  },
+  {
+    id: "default-tips",
+    name: "Default + Tips",
+    builtIn: true,
+    version: 1,
+    system: `{{defaultSystemPrompt}}
+
+Tips:
+- If the caption or images explicitly contain tips, add them after the headings above under one extra heading "## Tips" (written in {{label}}).
+- Only transcribe tips that are present; if there are none, omit the "## Tips" heading.`,
+    user: DEFAULT_USER_TEMPLATE,
+    provenance: true,
+  },
+];
+
+export const DEFAULT_TEMPLATE_ID = BUILT_IN_TEMPLATES[0].id;
+
+const PromptTemplateSchema = z.object({
+  id: z.string().min(1).max(200),
+  name: z.string().min(1).max(200),
+  version: z.number().int().min(1),
+  system: z.string().max(100_000),
+  user: z.string().max(100_000),
+  provenance: z.boolean().optional(),
+  updatedAt: z.string(),
+});
+
+const StoreSchema = z.object({
+  selectedId: z.string().default(DEFAULT_TEMPLATE_ID),
+  templates: z.array(PromptTemplateSchema).default([]),
+});
+
+export function fillPromptTemplate(template, values) {
+  return String(template ?? "").replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] != null ? String(values[key]) : match));
+}
+
+// Whether generation appends the per-line provenance request. Templates saved before the flag existed
+// get it only when they build on the standard headings, which the provenance line numbers refer to.
+export function usesProvenance(template) {
+  return template?.provenance ?? /\{\{(?:defaultSystemPrompt|headings)\}\}/.test(String(template?.system ?? ""));
+}
+
+export function templateRef(template) {
+  return { id: template.id, name: template.name, version: template.version };
+}
+
+export function createPromptTemplateStore({ app }) {
+  const state = {
+    storePath: null,
+    data: StoreSchema.parse({}),
+  };
+
+  function getStorePath() {
+    if (state.storePath) return state.storePath;
+    state.storePath = path.join(app.getPath("userData"), "prompt-templates.json");
+    return state.storePath;
+  }
+
+  async function load() {
+    try {
+      const raw = await fs.readFile(getStorePath(), "utf8");
+      state.data = StoreSchema.parse(JSON.parse(raw));
+    } catch (err) {
+      if (String(err?.code) !== "ENOENT") {
+        // eslint-disable-next-line no-console
+        console.warn("prompt templates load failed; using built-ins", err);
+      }
+      state.data = StoreSchema.parse({});
+    }
+  }
+
+  async function save() {
+    const storePath = getStorePath();
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+    await fs.writeFile(storePath, JSON.stringify(state.data, null, 2), "utf8");
+  }
+
+  function list() {
+    const templates = [...BUILT_IN_TEMPLATES, ...state.data.templates.map((t) => ({ ...t, builtIn: false }))];
+    return {
+      selectedId: getSelected().id,
+      templates: templates.map((t) => ({ ...t, provenance: usesProvenance(t) })),
+      placeholders: PROMPT_PLACEHOLDERS,
+    };
+  }
+
+  function get(id) {
+    return BUILT_IN_TEMPLATES.find((t) => t.id === id) ?? state.data.templates.find((t) => t.id === id) ?? null;
+  }
+
+  function getSelected() {
+    return get(state.data.selectedId) ?? BUILT_IN_TEMPLATES[0];
+  }
+
+  async function select(id) {
+    if (!get(id)) throw new Error(`Unknown prompt template: ${id}`);
+    state.data.selectedId = id;
+    await save();
+    return list();
+  }
+
+  // Creates a template when `id` is omitted; edits bump the version so recipes can name the exact text used.
+  // `provenance` is kept as is when omitted (see usesProvenance).
+  async function upsert({ id, name, system, user, provenance }) {
+    const now = new Date().toISOString();
+    if (!id) {
+      const created = PromptTemplateSchema.parse({ id: crypto.randomUUID(), name, version: 1, system, user, provenance, updatedAt: now });
+      state.data.templates.push(created);
+      await save();
+      return created;
+    }
+    if (BUILT_IN_TEMPLATES.some((t) => t.id === id)) throw new Error("Built-in templates are read-only; duplicate it first.");
+    const idx = state.data.templates.findIndex((t) => t.id === id);
+    if (idx === -1) throw new Error(`Unknown prompt template: ${id}`);
+    const prev = state.data.templates[idx];
+    const nextProvenance = provenance ?? prev.provenance;
+    if (prev.name === name && prev.system === system && prev.user === user && prev.provenance === nextProvenance) return prev;
+    const changedText = prev.system !== system || prev.user !== user || usesProvenance(prev) !== usesProvenance({ system, provenance: nextProvenance });
+    const next = PromptTemplateSchema.parse({
+      ...prev,
+      name,
+      system,
+      user,
+      provenance: nextProvenance,
+      version: changedText ? prev.version + 1 : prev.version,
+      updatedAt: now,
+    });
+    state.data.templates[idx] = next;
+    await save();
+    return next;
+  }
+
+  async function duplicate(id) {
+    const source = get(id);
+    if (!source) throw new Error(`Unknown prompt template: ${id}`);
+    return upsert({ name: `${source.name} (copy)`, system: source.system, user: source.user, provenance: usesProvenance(source) });
+  }
+
+  async function remove(id) {
+    if (BUILT_IN_TEMPLATES.some((t) => t.id === id)) throw new Error("Built-in templates cannot be deleted.");
+    state.data.templates = state.data.templates.filter((t) => t.id !== id);
+    if (state.data.selectedId === id) state.data.selectedId = DEFAULT_TEMPLATE_ID;
+    await save();
+    return list();
+  }
+
+  return { load, list, get, getSelected, select, upsert, duplicate, remove, getStorePath };
+}
@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { buildSystemPrompt, buildUserPrompt } from "./prompt.js";
+import { createPromptTemplateStore, fillPromptTemplate, usesProvenance } from "./promptTemplates.js";
+
+test("fillPromptTemplate substitutes known placeholders once and keeps unknown ones", () => {
+  assert.equal(fillPromptTemplate("{{a}} {{b}} {{missing}}", { a: "{{b}}", b: 2 }), "{{b}} 2 {{missing}}");
+});
+
+test("custom templates see caption, URL and headings", () => {
+  const template = { system: "{{defaultSystemPrompt}}\nExtra: {{headings}}", user: "{{caption}} @ {{sourceUrl}} ({{outputLanguage}})" };
+  const system = buildSystemPrompt({ outputLanguage: "en", template });
+  assert.ok(system.startsWith("You are an information extraction tool for recipes."));
+  assert.ok(system.endsWith("Extra: # Title\n## Ingredients\n## Steps\n## Quantities/Measurements\n## Tools/Appliances"));
+  assert.equal(buildUserPrompt({ outputLanguage: "en", template, caption: "蛋 {{headings}}", sourceUrl: "u" }), "蛋 {{headings}} @ u (en)");
+  assert.equal(buildUserPrompt({ sourceUrl: "u", caption: "c" }), "Source URL:\nu\n\nCaption:\nc");
+  assert.equal(buildUserPrompt({ sourceUrl: "", caption: "c" }), "Source URL:\n(none)\n\nCaption:\nc");
+});
+
+test("usesProvenance follows the flag, else whether the template builds on the standard headings", () => {
+  assert.equal(usesProvenance({ system: "{{defaultSystemPrompt}}" }), true);
+  assert.equal(usesProvenance({ system: "Translate the caption into a haiku." }), false);
+  assert.equal(usesProvenance({ system: "{{headings}}", provenance: false }), false);
+  assert.equal(usesProvenance({ system: "free form", provenance: true }), true);
+});
+
+test("template store keeps built-ins read-only and versions edits", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "xhs-prompts-"));
+  try {
+    const store = createPromptTemplateStore({ app: { getPath: () => dir } });
+    await store.load();
+    await assert.rejects(store.upsert({ id: "default", name: "x", system: "", user: "" }), /read-only/);
+
+    const copy = await store.duplicate("default");
+    assert.equal(copy.version, 1);
+    assert.equal((await store.upsert({ ...copy, name: "Renamed" })).version, 1);
+    const edited = await store.upsert({ id: copy.id, name: "Renamed", system: "{{defaultSystemPrompt}}\nMore", user: copy.user });
+    assert.equal(edited.version, 2);
+    const withoutSources = await store.upsert({ ...edited, provenance: false });
+    assert.equal(withoutSources.version, 3);
+    assert.equal(store.list().templates.find((t) => t.id === copy.id).provenance, false);
+
+    await store.select(copy.id);
+    const reloaded = createPromptTemplateStore({ app: { getPath: () => dir } });
+    await reloaded.load();
+    assert.equal(reloaded.getSelected().version, 3);
+    await reloaded.remove(copy.id);
+    assert.equal(reloaded.getSelected().id, "default");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,109 @@
+import { toHalfWidth } from "../../shared/numerals.js";
+import { isTranslationLine, matchSectionHeading } from "./recipeFormatter.js";
+import { stripListMarker } from "./recipeModel.js";
+
+// Appended to every system prompt. The model reports where each line came from in a trailing HTML
+// comment, which keeps the visible Markdown free of "[caption]"/"[image]" tags.
+export const PROVENANCE_INSTRUCTIONS = `
+Provenance (machine-readable, not shown to the user):
+- After the Markdown, append exactly one HTML comment in this form:
+<!-- provenance
+{"lines":[{"text":"<recipe line without list marker>","source":"caption","quote":"<exact caption excerpt>"},{"text":"<recipe line>","source":"image","image":2,"quote":"<text seen in the image>"}]}
+-->
+- Add one entry for every ingredient, step, quantity and tool line you wrote.
+- "source" is "caption" or "image"; "image" is the 1-based position of the attached image.
+- "quote" must be copied verbatim from the caption (or from the image text), in its original language.
+- This comment is the only place where sources may be mentioned.
+`.trim();
+
+const BLOCK_RE = /<!--\s*provenance\b([\s\S]*?)(?:-->|$)/i;
+const FENCE_RE = /^\s*(`{3,}|~{3,})\w*\s*\n?([\s\S]*?)\n?\s*\1\s*$/;
+
+export function extractProvenanceBlock(output) {
+  const text = String(output ?? "");
+  const m = BLOCK_RE.exec(text);
+  if (!m) return { markdown: text, entries: [] };
+  const markdown = `${text.slice(0, m.index)}${text.slice(m.index + m[0].length)}`.replace(/\s+$/, "");
+  let body = m[1].trim();
+  const fenced = FENCE_RE.exec(body);
+  if (fenced) body = fenced[2];
+  try {
+    const parsed = JSON.parse(body);
+    const lines = Array.isArray(parsed) ? parsed : parsed?.lines;
+    return { markdown, entries: Array.isArray(lines) ? lines.filter((l) => l && typeof l === "object") : [] };
+  } catch {
+    return { markdown, entries: [] };
+  }
+}
+
+function normalizeForMatch(text) {
+  return toHalfWidth(String(text ?? ""))
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+// Maps positions in `normalized` back to the caption; normalization only collapses whitespace
+// and changes letter case/width, so offsets are rebuilt character by character.
+function findCaptionSpan(caption, quote) {
+  const needle = normalizeForMatch(quote);
+  if (!needle) return null;
+  const exact = caption.indexOf(String(quote).trim());
+  if (exact !== -1) return { start: exact, end: exact + String(quote).trim().length };
+
+  const map = [];
+  let normalized = "";
+  let lastSpace = true;
+  for (let i = 0; i < caption.length; i += 1) {
+    const ch = toHalfWidth(caption[i]).toLowerCase();
+    if (/\s/.test(ch)) {
+      if (lastSpace) continue;
+      normalized += " ";
+      lastSpace = true;
+    } else {
+      normalized += ch;
+      lastSpace = false;
+    }
+    map.push(i);
+  }
+  const idx = normalized.indexOf(needle);
+  if (idx === -1) return null;
+  return { start: map[idx], end: map[idx + needle.length - 1] + 1 };
+}
+
+// Resolves the model's entries against the final Markdown and caption. `imageIndexes[n]` is the
+// index in the request's `images` array of the n-th image actually attached (images can fail to download).
+export function resolveProvenance({ markdown, entries, caption, imageIndexes = [] }) {
+  const pending = (entries ?? [])
+    .map((e) => ({ ...e, key: normalizeForMatch(stripListMarker(e.text)) }))
+    .filter((e) => e.key);
+  const captionText = String(caption ?? "");
+  const lines = [];
+  let section = null;
+  const rows = String(markdown ?? "").split("\n");
+  for (let i = 0; i < rows.length; i += 1) {
+    const heading = matchSectionHeading(rows[i]);
+    if (heading) {
+      section = heading.key;
+      continue;
+    }
+    if (isTranslationLine(rows[i])) continue;
+    const text = stripListMarker(rows[i]);
+    const key = normalizeForMatch(text);
+    if (!key || !section || section === "title") continue;
+    const idx = pending.findIndex((e) => e.key === key);
+    const entry = idx === -1 ? null : pending.splice(idx, 1)[0];
+    if (!entry) continue;
+
+    const quote = String(entry.quote ?? "").trim();
+    if (entry.source === "image") {
+      const position = Number(entry.image);
+      const requestIndex = Number.isInteger(position) ? imageIndexes[position - 1] : undefined;
+      lines.push({ line: i, text, source: "image", image: requestIndex ?? null, quote, span: null });
+    } else {
+      const span = findCaptionSpan(captionText, quote) ?? findCaptionSpan(captionText, text);
+      lines.push({ line: i, text, source: "caption", image: null, quote, span });
+    }
+  }
+  return { lines };
+}
@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractProvenanceBlock, resolveProvenance } from "./provenance.js";
+
+const output = `# 标题
+番茄炒蛋
+
+## 食材
+- 鸡蛋 2个
+- 番茄 1个
+
+## 步骤
+1. 鸡蛋打散
+
+<!-- provenance
+\`\`\`json
+{"lines":[{"text":"鸡蛋 2个","source":"caption","quote":"鸡蛋  2个"},{"text":"番茄 1个","source":"image","image":2,"quote":"番茄1个"},{"text":"鸡蛋打散","source":"caption","quote":"打散"}]}
+\`\`\`
+-->`;
+
+test("extractProvenanceBlock strips the comment and parses fenced JSON", () => {
+  const { markdown, entries } = extractProvenanceBlock(output);
+  assert.ok(markdown.endsWith("1. 鸡蛋打散"));
+  assert.equal(entries.length, 3);
+  assert.deepEqual(extractProvenanceBlock("# x\n<!-- provenance not json -->"), { markdown: "# x", entries: [] });
+  assert.deepEqual(extractProvenanceBlock("# x\n").entries, []);
+});
+
+test("resolveProvenance maps entries to lines, caption spans and requested image indexes", () => {
+  const { markdown, entries } = extractProvenanceBlock(output);
+  const caption = "今天做番茄炒蛋：鸡蛋 2个，先打散";
+  const { lines } = resolveProvenance({ markdown, entries, caption, imageIndexes: [0, 3] });
+  assert.deepEqual(lines, [
+    { line: 4, text: "鸡蛋 2个", source: "caption", image: null, quote: "鸡蛋  2个", span: { start: 8, end: 13 } },
+    { line: 5, text: "番茄 1个", source: "image", image: 3, quote: "番茄1个", span: null },
+    { line: 8, text: "鸡蛋打散", source: "caption", image: null, quote: "打散", span: { start: 15, end: 17 } },
+  ]);
+  assert.equal(caption.slice(8, 13), "鸡蛋 2个");
+});
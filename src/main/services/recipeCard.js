@@ -0,0 +1,82 @@
+import { resolveLanguageSpec } from "./languageSpecs.js";
+
+export const PAGE_SIZES = ["A4", "Letter"];
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function headingText(heading) {
+  return heading.replace(/^#+\s*/, "");
+}
+
+// Items are strings or { text, translation } for bilingual recipes.
+function list(tag, items, className) {
+  if (!items.length) return "";
+  const li = (item) =>
+    typeof item === "string"
+      ? `<li>${escapeHtml(item)}</li>`
+      : `<li>${escapeHtml(item.text)}${item.translation ? `<br /><span class="translation">${escapeHtml(item.translation)}</span>` : ""}</li>`;
+  return `<${tag} class="${className}">${items.map(li).join("")}</${tag}>`;
+}
+
+function section(title, body) {
+  return body ? `<section><h2>${escapeHtml(title)}</h2>${body}</section>` : "";
+}
+
+const CARD_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 11pt/1.5 -apple-system, "Segoe UI", "PingFang SC", "Microsoft YaHei", "Noto Sans CJK SC", sans-serif; color: #1b1b1b; }
+  .card { display: flex; flex-direction: column; min-height: 100%; }
+  .cover { width: 100%; max-height: 80mm; object-fit: cover; border-radius: 3mm; margin-bottom: 5mm; }
+  h1 { font-size: 20pt; margin: 0 0 4mm; }
+  h2 { font-size: 12pt; margin: 5mm 0 2mm; padding-bottom: 1mm; border-bottom: 0.3mm solid #ccc; }
+  .columns { display: grid; grid-template-columns: 1fr 1.6fr; gap: 8mm; }
+  ul, ol { margin: 0; padding-left: 5mm; }
+  li { margin: 0 0 1.2mm; break-inside: avoid; }
+  .steps li { margin-bottom: 2mm; }
+  .translation { color: #555; font-size: 10pt; }
+  .notes { color: #444; font-size: 10pt; }
+  footer { margin-top: auto; padding-top: 6mm; font-size: 8.5pt; color: #666; word-break: break-all; }
+`;
+
+export function renderRecipeCardHtml(recipe, { coverDataUrl, pageSize = "A4" } = {}) {
+  const spec = resolveLanguageSpec(recipe.source.outputLanguage);
+  const size = PAGE_SIZES.includes(pageSize) ? pageSize : "A4";
+  const title = recipe.title || headingText(spec.headings.title);
+  const ingredients = recipe.ingredients.map((i) => ({ text: i.raw, translation: i.translation }));
+  const side = [
+    section(headingText(spec.headings.ingredients), list("ul", ingredients, "ingredients")),
+    section(headingText(spec.headings.quantities), list("ul", recipe.quantities, "quantities")),
+    section(headingText(spec.headings.tools), list("ul", recipe.tools, "tools")),
+  ].join("");
+  const main = [
+    section(headingText(spec.headings.steps), list("ol", recipe.steps, "steps")),
+    recipe.notes.length ? list("ul", recipe.notes, "notes") : "",
+  ].join("");
+  const sourceText = recipe.source.url || recipe.source.label;
+  const footer = sourceText ? `<footer>${escapeHtml(sourceText)}</footer>` : "";
+
+  return `<!doctype html>
+<html lang="${escapeHtml(spec.lang)}">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: ${size}; margin: 14mm; }${CARD_CSS}</style>
+</head>
+<body>
+<article class="card">
+${coverDataUrl ? `<img class="cover" src="${escapeHtml(coverDataUrl)}" alt="" />\n` : ""}<h1>${escapeHtml(title)}</h1>
+<div class="columns"><div>${side}</div><div>${main}</div></div>
+${footer}
+</article>
+</body>
+</html>
+`;
+}
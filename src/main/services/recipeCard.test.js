@@ -0,0 +1,26 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildRecipeFromMarkdown } from "./recipeModel.js";
+import { renderRecipeCardHtml } from "./recipeCard.js";
+
+const recipe = buildRecipeFromMarkdown("# Title\nEggs <& Tomato>\n## Ingredients\n- 2 eggs\n## Steps\n1. Whisk\n2. Fry\n", {
+  outputLanguage: "en",
+  source: { url: "https://www.xiaohongshu.com/explore/abc?x=1&y=2" },
+});
+
+test("renderRecipeCardHtml escapes content and lays out the card", () => {
+  const html = renderRecipeCardHtml(recipe, { coverDataUrl: "data:image/jpeg;base64,AAAA", pageSize: "Letter" });
+  assert.match(html, /@page \{ size: Letter;/);
+  assert.match(html, /<h1>Eggs &lt;&amp; Tomato&gt;<\/h1>/);
+  assert.match(html, /<img class="cover" src="data:image\/jpeg;base64,AAAA"/);
+  assert.match(html, /<h2>Ingredients<\/h2><ul class="ingredients"><li>2 eggs<\/li><\/ul>/);
+  assert.match(html, /<ol class="steps"><li>Whisk<\/li><li>Fry<\/li><\/ol>/);
+  assert.match(html, /<footer>https:\/\/www\.xiaohongshu\.com\/explore\/abc\?x=1&amp;y=2<\/footer>/);
+  assert.doesNotMatch(html, /Tools\/Appliances/);
+});
+
+test("renderRecipeCardHtml falls back to A4 and omits a missing cover", () => {
+  const html = renderRecipeCardHtml(recipe, { pageSize: "Legal" });
+  assert.match(html, /@page \{ size: A4;/);
+  assert.doesNotMatch(html, /<img/);
+});
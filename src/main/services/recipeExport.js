@@ -0,0 +1,207 @@
+import crypto from "node:crypto";
+import path from "node:path";
+import zlib from "node:zlib";
+
+import { formatQuantityNumber, parseQuantity } from "../../shared/quantity.js";
+import { resolveLanguageSpec } from "./languageSpecs.js";
+import { renderRecipeCardHtml } from "./recipeCard.js";
+import { RECIPE_FORMAT_VERSION } from "./recipeModel.js";
+import { createZipArchive } from "./zipArchive.js";
+
+export const APP_JSON_FORMAT = "xhs-recipe";
+
+function imageRef(image) {
+  if (image?.kind === "url") return image.url;
+  if (image?.kind === "dataUrl") return image.dataUrl;
+  return null;
+}
+
+export function toSchemaOrgRecipe(recipe, { image } = {}) {
+  const cover = imageRef(image);
+  const description = [...recipe.notes, ...recipe.quantities].join("\n");
+  return {
+    "@context": "https://schema.org",
+    "@type": "Recipe",
+    name: recipe.title || "Recipe",
+    ...(description ? { description } : {}),
+    ...(cover ? { image: [cover] } : {}),
+    ...(recipe.source.url ? { url: recipe.source.url, isBasedOn: recipe.source.url } : {}),
+    inLanguage: resolveLanguageSpec(recipe.source.outputLanguage).lang,
+    dateCreated: recipe.source.generatedAt,
+    recipeIngredient: recipe.ingredients.map((i) => i.raw),
+    recipeInstructions: recipe.steps.map((s) => ({ "@type": "HowToStep", position: s.index, text: s.text })),
+    ...(recipe.tools.length ? { tool: recipe.tools.map((name) => ({ "@type": "HowToTool", name })) } : {}),
+  };
+}
+
+export function toAppRecipeJson(recipe, { markdown, image } = {}) {
+  return {
+    format: APP_JSON_FORMAT,
+    version: RECIPE_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    recipe,
+    markdown: String(markdown ?? ""),
+    image: image ?? null,
+  };
+}
+
+function cooklangText(text) {
+  return String(text ?? "")
+    .replace(/[@#~{}\n\r]/g, "")
+    .trim();
+}
+
+function cooklangQuantity(quantityText) {
+  const q = parseQuantity(quantityText);
+  if (q.kind === "exact") {
+    const amount = formatQuantityNumber(q.value);
+    return q.unitText ? `${amount}%${q.unitText}` : amount;
+  }
+  return cooklangText(quantityText).replace(/%/g, "");
+}
+
+function markupSteps(steps, items) {
+  const ordered = [...items].sort((a, b) => b.name.length - a.name.length);
+  const used = new Set();
+  const lines = steps.map((step) => {
+    const tokens = [];
+    let text = cooklangText(step.text);
+    for (const item of ordered) {
+      if (used.has(item) || !item.name) continue;
+      const idx = text.toLowerCase().indexOf(item.name.toLowerCase());
+      if (idx === -1) continue;
+      used.add(item);
+      tokens.push(item.markup);
+      text = `${text.slice(0, idx)}\u0000${tokens.length - 1}\u0000${text.slice(idx + item.name.length)}`;
+    }
+    return text.replace(/\u0000(\d+)\u0000/g, (_m, i) => tokens[Number(i)]);
+  });
+  return { lines, unused: items.filter((item) => !used.has(item)) };
+}
+
+export function toCooklang(recipe) {
+  const items = [
+    ...recipe.ingredients.map((i) => {
+      const name = cooklangText(i.name);
+      return { name, markup: `@${name}{${i.quantity ? cooklangQuantity(i.quantity) : ""}}` };
+    }),
+    ...recipe.tools.map((t) => {
+      const name = cooklangText(t);
+      return { name, markup: `#${name}{}` };
+    }),
+  ];
+  const { lines, unused } = markupSteps(recipe.steps, items);
+
+  const out = [];
+  if (recipe.title) out.push(`>> title: ${cooklangText(recipe.title)}`);
+  if (recipe.source.url || recipe.source.label) out.push(`>> source: ${recipe.source.url || recipe.source.label}`);
+  if (out.length) out.push("");
+  for (const note of [...recipe.notes, ...recipe.quantities]) out.push(`-- ${cooklangText(note)}`);
+  if (recipe.notes.length || recipe.quantities.length) out.push("");
+  if (unused.length) out.push(unused.map((item) => item.markup).join(", "), "");
+  for (const line of lines) out.push(line, "");
+  return `${out.join("\n").trim()}\n`;
+}
+
+function paprikaTimestamp(iso) {
+  const d = new Date(iso);
+  const date = Number.isNaN(d.getTime()) ? new Date() : d;
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+export function toPaprikaRecipe(recipe, { coverJpeg, image } = {}) {
+  const uid = crypto.randomUUID().toUpperCase();
+  const notes = [...recipe.notes, ...recipe.quantities];
+  if (recipe.tools.length) notes.push(`Tools: ${recipe.tools.join(", ")}`);
+  const photo = coverJpeg ? Buffer.from(coverJpeg) : null;
+  const out = {
+    uid,
+    name: recipe.title || "Recipe",
+    ingredients: recipe.ingredients.map((i) => i.raw).join("\n"),
+    directions: recipe.steps.map((s) => s.text).join("\n"),
+    notes: notes.join("\n"),
+    description: "",
+    source: recipe.source.url ? "Xiaohongshu" : (recipe.source.label ?? ""),
+    source_url: recipe.source.url,
+    image_url: image?.kind === "url" ? image.url : "",
+    photo: photo ? `${uid}.jpg` : null,
+    photo_data: photo ? photo.toString("base64") : null,
+    photo_hash: photo ? crypto.createHash("sha256").update(photo).digest("hex") : null,
+    photos: [],
+    categories: [],
+    servings: "",
+    prep_time: "",
+    cook_time: "",
+    total_time: "",
+    difficulty: "",
+    rating: 0,
+    nutritional_info: "",
+    created: paprikaTimestamp(recipe.source.generatedAt),
+  };
+  out.hash = crypto.createHash("sha256").update(JSON.stringify(out)).digest("hex");
+  return out;
+}
+
+export function buildPaprikaArchive(recipe, { coverJpeg, image } = {}) {
+  const entry = toPaprikaRecipe(recipe, { coverJpeg, image });
+  const fileName = `${String(entry.name).replace(/[<>:"/\\|?*\u0000-\u001F]/g, "_")}.paprikarecipe`;
+  const data = zlib.gzipSync(Buffer.from(JSON.stringify(entry), "utf8"));
+  return createZipArchive([{ name: fileName, data }]);
+}
+
+async function buildCardHtml({ recipe, image, loadCoverJpeg, pageSize }) {
+  const coverJpeg = image && loadCoverJpeg ? await loadCoverJpeg(image) : null;
+  const coverDataUrl = coverJpeg ? `data:image/jpeg;base64,${Buffer.from(coverJpeg).toString("base64")}` : null;
+  return renderRecipeCardHtml(recipe, { coverDataUrl, pageSize });
+}
+
+export const EXPORT_FORMATS = [
+  {
+    id: "markdown",
+    name: "Markdown",
+    extensions: ["md"],
+    serialize: ({ markdown }) => String(markdown ?? ""),
+  },
+  {
+    id: "jsonld",
+    name: "Schema.org Recipe (JSON-LD)",
+    extensions: ["jsonld"],
+    serialize: ({ recipe, image }) => `${JSON.stringify(toSchemaOrgRecipe(recipe, { image }), null, 2)}\n`,
+  },
+  {
+    id: "json",
+    name: "XHS Recipe JSON",
+    extensions: ["json"],
+    serialize: ({ recipe, markdown, image }) => `${JSON.stringify(toAppRecipeJson(recipe, { markdown, image }), null, 2)}\n`,
+  },
+  {
+    id: "cooklang",
+    name: "Cooklang",
+    extensions: ["cook"],
+    serialize: ({ recipe }) => toCooklang(recipe),
+  },
+  {
+    id: "paprika",
+    name: "Paprika",
+    extensions: ["paprikarecipes"],
+    serialize: async ({ recipe, image, loadCoverJpeg }) =>
+      buildPaprikaArchive(recipe, { image, coverJpeg: image && loadCoverJpeg ? await loadCoverJpeg(image) : null }),
+  },
+  {
+    id: "html",
+    name: "Recipe card (HTML)",
+    extensions: ["html"],
+    serialize: (context) => buildCardHtml(context),
+  },
+  {
+    id: "pdf",
+    name: "Recipe card (PDF)",
+    extensions: ["pdf"],
+    serialize: async (context) => context.renderPdf(await buildCardHtml(context), { pageSize: context.pageSize }),
+  },
+];
+
+export function resolveExportFormat(filePath) {
+  const ext = path.extname(String(filePath ?? "")).slice(1).toLowerCase();
+  return EXPORT_FORMATS.find((f) => f.extensions.includes(ext)) ?? EXPORT_FORMATS[0];
+}
@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+import { buildRecipeFromMarkdown } from "./recipeModel.js";
+import { buildPaprikaArchive, resolveExportFormat, toAppRecipeJson, toCooklang, toSchemaOrgRecipe } from "./recipeExport.js";
+import { crc32 } from "./zipArchive.js";
+
+const recipe = buildRecipeFromMarkdown("# 标题\n番茄炒蛋\n## 食材\n- 鸡蛋 2个\n## 步骤\n1. 炒\n## 工具/器具\n- 炒锅\n", {
+  outputLanguage: "zh-Hans",
+  source: { url: "https://www.xiaohongshu.com/explore/abc", generatedAt: "2026-01-01T00:00:00.000Z" },
+});
+
+test("toSchemaOrgRecipe maps the recipe onto schema.org Recipe fields", () => {
+  assert.deepEqual(toSchemaOrgRecipe(recipe, { image: { kind: "url", url: "https://img.example/cover.jpg" } }), {
+    "@context": "https://schema.org",
+    "@type": "Recipe",
+    name: "番茄炒蛋",
+    image: ["https://img.example/cover.jpg"],
+    url: "https://www.xiaohongshu.com/explore/abc",
+    isBasedOn: "https://www.xiaohongshu.com/explore/abc",
+    inLanguage: "zh-Hans",
+    dateCreated: "2026-01-01T00:00:00.000Z",
+    recipeIngredient: ["鸡蛋 2个"],
+    recipeInstructions: [{ "@type": "HowToStep", position: 1, text: "炒" }],
+    tool: [{ "@type": "HowToTool", name: "炒锅" }],
+  });
+});
+
+test("toAppRecipeJson and resolveExportFormat", () => {
+  const json = toAppRecipeJson(recipe, { markdown: "# 标题\n" });
+  assert.equal(json.format, "xhs-recipe");
+  assert.equal(json.recipe, recipe);
+  assert.equal(json.image, null);
+  assert.equal(resolveExportFormat("C:\\\\out\\\\a.jsonld").id, "jsonld");
+  assert.equal(resolveExportFormat("/tmp/a.JSON").id, "json");
+  assert.equal(resolveExportFormat("/tmp/a.md").id, "markdown");
+  assert.equal(resolveExportFormat("/tmp/a").id, "markdown");
+});
+
+test("toCooklang marks up ingredients and tools on first mention in the steps", () => {
+  const r = buildRecipeFromMarkdown(
+    "# 标题\n番茄炒蛋\n## 食材\n- 鸡蛋 2个\n- 盐 适量\n- 葱花\n## 步骤\n1. 鸡蛋打散\n2. 炒锅加鸡蛋和盐\n## 工具/器具\n- 炒锅\n",
+    { outputLanguage: "zh-Hans", source: { url: "https://www.xiaohongshu.com/explore/abc" } }
+  );
+  assert.equal(
+    toCooklang(r),
+    ">> title: 番茄炒蛋\n>> source: https://www.xiaohongshu.com/explore/abc\n\n@葱花{}\n\n@鸡蛋{2%个}打散\n\n#炒锅{}加鸡蛋和@盐{适量}\n"
+  );
+});
+
+test("manual posts without a URL export their source label", () => {
+  const r = buildRecipeFromMarkdown("# 标题\n红烧肉\n## 食材\n- 五花肉 500g\n## 步骤\n1. 焯水\n", {
+    outputLanguage: "zh-Hans",
+    source: { url: "", label: "WeChat: 妈妈" },
+  });
+  assert.equal(r.source.label, "WeChat: 妈妈");
+  assert.equal(toCooklang(r).split("\n")[1], ">> source: WeChat: 妈妈");
+  assert.equal(toSchemaOrgRecipe(r).url, undefined);
+  assert.equal(recipe.source.label, null);
+});
+
+test("buildPaprikaArchive writes a zip with one gzipped recipe entry", () => {
+  const zip = buildPaprikaArchive(recipe, { coverJpeg: Buffer.from([0xff, 0xd8, 0xff]) });
+  assert.equal(zip.readUInt32LE(0), 0x04034b50);
+  const nameLength = zip.readUInt16LE(26);
+  const size = zip.readUInt32LE(18);
+  assert.equal(zip.subarray(30, 30 + nameLength).toString("utf8"), "番茄炒蛋.paprikarecipe");
+  const data = zip.subarray(30 + nameLength, 30 + nameLength + size);
+  assert.equal(zip.readUInt32LE(14), crc32(data));
+  const entry = JSON.parse(zlib.gunzipSync(data).toString("utf8"));
+  assert.equal(entry.name, "番茄炒蛋");
+  assert.equal(entry.ingredients, "鸡蛋 2个");
+  assert.equal(entry.source_url, "https://www.xiaohongshu.com/explore/abc");
+  assert.equal(entry.photo_data, "/9j/");
+  assert.equal(entry.created, "2026-01-01 00:00:00");
+  assert.equal(resolveExportFormat("/tmp/a.paprikarecipes").id, "paprika");
+  assert.equal(resolveExportFormat("/tmp/a.cook").id, "cooklang");
+});
+
+test("crc32 falls back to a table when zlib.crc32 is missing (Node < 20.15)", () => {
+  const native = zlib.crc32;
+  try {
+    zlib.crc32 = undefined;
+    assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+  } finally {
+    zlib.crc32 = native;
+  }
+});
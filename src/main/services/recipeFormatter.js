@@ -1,6 +1,232 @@
-export function normalizeMarkdownRecipe(markdown) {
-  const text = String(markdown ?? "").trim();
-  if (!text) return "";
-  return text.endsWith("\n") ? text : `${text}\n`;
+import { LANGUAGE_SPECS, resolveLanguageSpec } from "./languageSpecs.js";
+
+export const SECTION_ORDER = ["title", "ingredients", "steps", "quantities", "tools"];
+
+const HEADING_RE = /^\s{0,3}(#{1,6})\s*(.*?)\s*#*\s*$/;
+const THEMATIC_BREAK_RE = /^\s{0,3}(?:-{3,}|\*{3,}|_{3,})\s*$/;
+const WHOLE_FENCE_RE = /^\s*(`{3,}|~{3,})[\w-]*[^\S\n]*\n([\s\S]*?)\n[^\S\n]*\1\s*$/;
+const INNER_FENCE_RE = /(`{3,}|~{3,})(?:markdown|md)?[^\S\n]*\n([\s\S]*?)\n[^\S\n]*\1/i;
+
+const TRANSLATION_RE = new RegExp(`^\\s*(?:[-*+]\\s+)?${LANGUAGE_SPECS.bilingual.translationPrefix}\\s*(.*)$`, "i");
+const LIST_MARKER_RE = /^(\s*(?:[-*+]|\d+[.)、])\s+)/;
+
+export function isTranslationLine(line) {
+  return TRANSLATION_RE.test(String(line ?? ""));
+}
+
+export function normalizeHeadingText(text) {
+  return String(text ?? "")
+    .replace(/^#+\s*/, "")
+    .replace(/[*_`]/g, "")
+    .replace(/[：:]\s*$/, "")
+    .trim()
+    .toLowerCase();
+}
+
+function buildHeadingLookup() {
+  const lookup = new Map();
+  for (const spec of Object.values(LANGUAGE_SPECS)) {
+    for (const key of SECTION_ORDER) {
+      const heading = spec.headings?.[key];
+      if (heading) lookup.set(normalizeHeadingText(heading), key);
+    }
+  }
+  return lookup;
+}
+
+const HEADING_LOOKUP = buildHeadingLookup();
+
+export function matchSectionHeading(line) {
+  const m = HEADING_RE.exec(String(line ?? ""));
+  if (!m) return null;
+  const text = m[2];
+  return { level: m[1].length, text, key: HEADING_LOOKUP.get(normalizeHeadingText(text)) ?? null };
+}
+
+function stripCodeFences(text) {
+  const whole = WHOLE_FENCE_RE.exec(text);
+  if (whole) return { text: whole[2], stripped: true };
+  const inner = INNER_FENCE_RE.exec(text);
+  if (inner && /^\s{0,3}#/m.test(inner[2])) return { text: inner[2], stripped: true };
+  return { text, stripped: false };
+}
+
+function trimBlankLines(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && !lines[start].trim()) start += 1;
+  while (end > start && !lines[end - 1].trim()) end -= 1;
+  const out = [];
+  for (const line of lines.slice(start, end)) {
+    const blank = !line.trim();
+    if (blank && out.length && !out[out.length - 1].trim()) continue;
+    out.push(blank ? "" : line.replace(/\s+$/, ""));
+  }
+  return out;
+}
+
+function dropTrailingChatter(lines) {
+  for (let i = lines.length - 1; i >= 0; i -= 1) {
+    if (!THEMATIC_BREAK_RE.test(lines[i])) continue;
+    const tail = lines.slice(i + 1);
+    if (!tail.some((l) => l.trim())) return { lines: lines.slice(0, i), dropped: false };
+    return { lines: lines.slice(0, i), dropped: true };
+  }
+  return { lines, dropped: false };
+}
+
+function normalizeTranslationLine(line, spec) {
+  const m = TRANSLATION_RE.exec(line);
+  return m ? `  ${spec.translationPrefix} ${m[1].trim()}` : line;
+}
+
+export function normalizeMarkdownRecipe(markdown, { outputLanguage } = {}) {
+  const input = String(markdown ?? "").replace(/\r\n?/g, "\n").trim();
+  if (!input) return { markdown: "", repairs: [] };
+
+  const spec = resolveLanguageSpec(outputLanguage);
+  const repairs = [];
+
+  const fenced = stripCodeFences(input);
+  if (fenced.stripped) repairs.push({ code: "stripped_code_fence" });
+
+  const sections = new Map(); // key -> { lines }
+  const seenOrder = [];
+  const extras = []; // { heading, lines }
+  const preamble = [];
+  let current = null;
+
+  for (const line of fenced.text.split("\n")) {
+    const heading = matchSectionHeading(line);
+    if (!heading) {
+      if (current) current.lines.push(spec.translationPrefix ? normalizeTranslationLine(line, spec) : line);
+      else if (line.trim()) preamble.push(line);
+      continue;
+    }
+
+    if (heading.key) {
+      if (normalizeHeadingText(heading.text) !== normalizeHeadingText(spec.headings[heading.key])) {
+        repairs.push({ code: "localized_heading", section: heading.key, from: heading.text.trim() });
+      }
+      if (sections.has(heading.key)) {
+        repairs.push({ code: "merged_duplicate_section", section: heading.key });
+        current = sections.get(heading.key);
+        // Continue a list without a gap (a blank line would make it loose); separate other blocks.
+        while (current.lines.length && !current.lines.at(-1).trim()) current.lines.pop();
+        if (current.lines.length && !LIST_MARKER_RE.test(current.lines.at(-1))) current.lines.push("");
+      } else {
+        current = { lines: [] };
+        sections.set(heading.key, current);
+        seenOrder.push(heading.key);
+      }
+      continue;
+    }
+
+    if (heading.level === 1 && !sections.has("title") && heading.text.trim()) {
+      repairs.push({ code: "title_from_heading", from: heading.text.trim() });
+      current = { lines: [heading.text.trim()] };
+      sections.set("title", current);
+      seenOrder.push("title");
+      continue;
+    }
+
+    current = { heading: line.trim(), lines: [] };
+    extras.push(current);
+    repairs.push({ code: "unknown_section", from: heading.text.trim() });
+  }
+
+  if (seenOrder.length === 0 && extras.length === 0) {
+    repairs.push({ code: "no_sections_found" });
+    extras.push({ heading: null, lines: preamble.splice(0, preamble.length) });
+  }
+  if (preamble.length) repairs.push({ code: "removed_preamble", lines: preamble.length });
+
+  const lastKey = extras.length ? null : seenOrder[seenOrder.length - 1];
+  const last = lastKey ? sections.get(lastKey) : extras[extras.length - 1];
+  if (last) {
+    const { lines, dropped } = dropTrailingChatter(last.lines);
+    last.lines = lines;
+    if (dropped) repairs.push({ code: "removed_trailing_chatter" });
+  }
+
+  const presentInOrder = SECTION_ORDER.filter((key) => sections.has(key));
+  if (presentInOrder.some((key, i) => seenOrder[i] !== key)) repairs.push({ code: "reordered_sections" });
+
+  const blocks = [];
+  for (const key of SECTION_ORDER) {
+    const section = sections.get(key);
+    if (!section) repairs.push({ code: "added_missing_heading", section: key });
+    blocks.push([spec.headings[key], ...trimBlankLines(section?.lines ?? [])].join("\n"));
+  }
+  for (const extra of extras) {
+    const body = trimBlankLines(extra.lines);
+    if (!extra.heading && body.length === 0) continue;
+    blocks.push([extra.heading, ...body].filter((l) => l != null).join("\n"));
+  }
+
+  return { markdown: `${blocks.join("\n\n")}\n`, repairs };
+}
+
+// Splits bilingual output back into one Chinese and one English recipe with the same line layout.
+// Lines without an English translation are kept as-is in both.
+export function splitBilingualRecipe(markdown) {
+  const entries = [];
+  for (const line of String(markdown ?? "").replace(/\r\n?/g, "\n").split("\n")) {
+    const translation = TRANSLATION_RE.exec(line);
+    const last = entries[entries.length - 1];
+    if (translation) {
+      if (last && !last.heading && last.line.trim() && last.en == null) last.en = translation[1].trim();
+      continue;
+    }
+    const heading = matchSectionHeading(line);
+    entries.push({ line, heading: heading?.key ? heading : null, en: null });
+  }
+
+  const render = (outputLanguage) => {
+    const spec = LANGUAGE_SPECS[outputLanguage];
+    return entries
+      .map((entry) => {
+        if (entry.heading) return spec.headings[entry.heading.key];
+        if (outputLanguage !== "en" || entry.en == null) return entry.line;
+        const marker = LIST_MARKER_RE.exec(entry.line)?.[1] ?? "";
+        return `${marker}${entry.en}`;
+      })
+      .join("\n");
+  };
+
+  return { "zh-Hans": render("zh-Hans"), en: render("en") };
 }
 
+// Body lines of each known section, keyed by SECTION_ORDER key; sections with other headings are skipped.
+export function splitRecipeSections(markdown) {
+  const sections = new Map();
+  let current = null;
+  for (const line of String(markdown ?? "").replace(/\r\n?/g, "\n").split("\n")) {
+    const heading = matchSectionHeading(line);
+    if (heading) {
+      current = heading.key && !sections.has(heading.key) ? [] : null;
+      if (current) sections.set(heading.key, current);
+      continue;
+    }
+    current?.push(line);
+  }
+  return new Map(Array.from(sections, ([key, lines]) => [key, trimBlankLines(lines)]));
+}
+
+// Replaces the `keys` sections of `target` with those of `source`; everything else in `target` is kept.
+export function mergeRecipeSections(target, source, keys, { outputLanguage } = {}) {
+  const picked = splitRecipeSections(normalizeMarkdownRecipe(source, { outputLanguage }).markdown);
+  const out = [];
+  let replacing = false;
+  for (const line of normalizeMarkdownRecipe(target, { outputLanguage }).markdown.split("\n")) {
+    const heading = matchSectionHeading(line);
+    if (heading) {
+      replacing = Boolean(heading.key && keys.includes(heading.key));
+      out.push(line);
+      if (replacing) out.push(...(picked.get(heading.key) ?? []), "");
+      continue;
+    }
+    if (!replacing) out.push(line);
+  }
+  return normalizeMarkdownRecipe(out.join("\n"), { outputLanguage }).markdown;
+}
@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mergeRecipeSections, normalizeMarkdownRecipe, splitBilingualRecipe } from "./recipeFormatter.js";
+
+function codes(repairs) {
+  return repairs.map((r) => (r.section ? `${r.code}:${r.section}` : r.code));
+}
+
+test("normalizeMarkdownRecipe leaves well-formed output alone", () => {
+  const markdown = "# 标题\n番茄炒蛋\n\n## 食材\n- 鸡蛋 2个\n\n## 步骤\n1. 炒\n\n## 用量/计量\n\n## 工具/器具\n- 炒锅\n";
+  const res = normalizeMarkdownRecipe(markdown, { outputLanguage: "zh-Hans" });
+  assert.equal(res.markdown, markdown);
+  assert.deepEqual(res.repairs, []);
+});
+
+test("normalizeMarkdownRecipe strips fences and chatter and rebuilds the heading order", () => {
+  const raw = [
+    "好的，以下是整理后的食谱：",
+    "```markdown",
+    "# 标题",
+    "番茄炒蛋",
+    "## Steps",
+    "1. 炒",
+    "## 食材",
+    "- 鸡蛋 2个",
+    "## 食材",
+    "- 番茄 1个",
+    "```",
+    "希望对你有帮助！",
+  ].join("\n");
+
+  const res = normalizeMarkdownRecipe(raw, { outputLanguage: "zh-Hans" });
+  assert.equal(
+    res.markdown,
+    "# 标题\n番茄炒蛋\n\n## 食材\n- 鸡蛋 2个\n- 番茄 1个\n\n## 步骤\n1. 炒\n\n## 用量/计量\n\n## 工具/器具\n"
+  );
+  assert.deepEqual(codes(res.repairs), [
+    "stripped_code_fence",
+    "localized_heading:steps",
+    "merged_duplicate_section:ingredients",
+    "reordered_sections",
+    "added_missing_heading:quantities",
+    "added_missing_heading:tools",
+  ]);
+});
+
+test("normalizeMarkdownRecipe moves a custom H1 under the title heading and drops a preamble", () => {
+  const res = normalizeMarkdownRecipe("Sure! Here you go.\n\n# Mapo Tofu\n## Ingredients\n- tofu\n\n---\nEnjoy!", {
+    outputLanguage: "en",
+  });
+  assert.equal(
+    res.markdown,
+    "# Title\nMapo Tofu\n\n## Ingredients\n- tofu\n\n## Steps\n\n## Quantities/Measurements\n\n## Tools/Appliances\n"
+  );
+  assert.deepEqual(codes(res.repairs), [
+    "title_from_heading",
+    "removed_preamble",
+    "removed_trailing_chatter",
+    "added_missing_heading:steps",
+    "added_missing_heading:quantities",
+    "added_missing_heading:tools",
+  ]);
+});
+
+test("splitBilingualRecipe returns one recipe per language with the same layout", () => {
+  const { markdown } = normalizeMarkdownRecipe(
+    "# 标题 / Title\n番茄炒蛋\nEN: Tomato and egg\n## 食材 / Ingredients\n- 鸡蛋 2个\n  - EN: 2 eggs\n- 盐 适量\n## 步骤 / Steps\n1. 炒\n   EN: Stir-fry\n",
+    { outputLanguage: "bilingual" }
+  );
+  assert.match(markdown, /^- 鸡蛋 2个\n {2}EN: 2 eggs$/m);
+  const split = splitBilingualRecipe(markdown);
+  assert.equal(
+    split["zh-Hans"],
+    "# 标题\n番茄炒蛋\n\n## 食材\n- 鸡蛋 2个\n- 盐 适量\n\n## 步骤\n1. 炒\n\n## 用量/计量\n\n## 工具/器具\n"
+  );
+  assert.equal(
+    split.en,
+    "# Title\nTomato and egg\n\n## Ingredients\n- 2 eggs\n- 盐 适量\n\n## Steps\n1. Stir-fry\n\n## Quantities/Measurements\n\n## Tools/Appliances\n"
+  );
+});
+
+test("mergeRecipeSections takes the picked sections from another generation", () => {
+  const current = "# 标题\n番茄炒蛋\n\n## 食材\n- 鸡蛋 2个\n\n## 步骤\n1. 炒\n\n## 用量/计量\n\n## 工具/器具\n- 炒锅\n\n## 小贴士\n- 趁热吃\n";
+  const older = "# 标题\n西红柿炒鸡蛋\n\n## 食材\n- 鸡蛋 3个\n- 番茄 2个\n\n## 步骤\n1. 打蛋\n2. 炒\n\n## 用量/计量\n\n## 工具/器具\n";
+  assert.equal(
+    mergeRecipeSections(current, older, ["ingredients", "tools"], { outputLanguage: "zh-Hans" }),
+    "# 标题\n番茄炒蛋\n\n## 食材\n- 鸡蛋 3个\n- 番茄 2个\n\n## 步骤\n1. 炒\n\n## 用量/计量\n\n## 工具/器具\n\n## 小贴士\n- 趁热吃\n"
+  );
+});
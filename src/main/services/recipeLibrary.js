@@ -0,0 +1,207 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { z } from "zod";
+
+import { RecipeSchema } from "./recipeModel.js";
+import { buildSearchDocument, createSearchIndex } from "./recipeSearch.js";
+
+const ENTRY_FILE = "entry.json";
+const COVER_FILE = "cover.jpg";
+const ID_RE = /^[0-9a-zA-Z-]{1,64}$/;
+
+const LibraryEntrySchema = z.object({
+  id: z.string().regex(ID_RE),
+  title: z.string(),
+  recipe: RecipeSchema,
+  markdown: z.string(),
+  sourceUrl: z.string(),
+  feedId: z.string().nullable().default(null),
+  author: z.string().nullable().default(null),
+  tags: z.array(z.string()).default([]),
+  caption: z.string(),
+  model: z.string().nullable().default(null),
+  hasCover: z.boolean().default(false),
+  createdAt: z.string(),
+  updatedAt: z.string(),
+});
+
+export function toLibrarySummary(entry) {
+  return {
+    id: entry.id,
+    title: entry.title,
+    sourceUrl: entry.sourceUrl,
+    sourceLabel: entry.recipe.source.label ?? null,
+    feedId: entry.feedId,
+    author: entry.author,
+    tags: entry.tags,
+    model: entry.model,
+    outputLanguage: entry.recipe.source.outputLanguage,
+    hasCover: entry.hasCover,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+  };
+}
+
+// One folder per recipe under userData/library: entry.json plus an optional cover.jpg.
+export function createRecipeLibrary({ app, logger }) {
+  const state = {
+    root: null,
+    entries: new Map(), // id -> entry
+    index: createSearchIndex(),
+    loaded: false,
+  };
+
+  function getRoot() {
+    if (state.root) return state.root;
+    state.root = path.join(app.getPath("userData"), "library");
+    return state.root;
+  }
+
+  function entryDir(id) {
+    if (!ID_RE.test(String(id))) throw new Error(`Invalid library id: ${id}`);
+    return path.join(getRoot(), id);
+  }
+
+  async function load() {
+    state.entries = new Map();
+    state.index = createSearchIndex();
+    let names = [];
+    try {
+      names = await fs.readdir(getRoot());
+    } catch (err) {
+      if (String(err?.code) !== "ENOENT") logger?.warn("library load failed", { err: String(err) });
+    }
+    for (const name of names) {
+      if (!ID_RE.test(name)) continue;
+      try {
+        const raw = await fs.readFile(path.join(getRoot(), name, ENTRY_FILE), "utf8");
+        const entry = LibraryEntrySchema.parse(JSON.parse(raw));
+        if (entry.id !== name) continue;
+        state.entries.set(entry.id, entry);
+        state.index.add(entry.id, buildSearchDocument(entry));
+      } catch (err) {
+        logger?.warn("library entry skipped", { id: name, err: String(err?.message ?? err) });
+      }
+    }
+    state.loaded = true;
+  }
+
+  async function ensureLoaded() {
+    if (!state.loaded) await load();
+  }
+
+  async function writeEntry(entry) {
+    const dir = entryDir(entry.id);
+    await fs.mkdir(dir, { recursive: true });
+    const target = path.join(dir, ENTRY_FILE);
+    const tmp = `${target}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(entry, null, 2), "utf8");
+    await fs.rename(tmp, target);
+    state.entries.set(entry.id, entry);
+    state.index.add(entry.id, buildSearchDocument(entry));
+  }
+
+  async function list() {
+    await ensureLoaded();
+    return Array.from(state.entries.values())
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(toLibrarySummary);
+  }
+
+  // `query` is free text; see matchesSearchFilters for the other filters.
+  async function search({ query = "", ...filters } = {}) {
+    await ensureLoaded();
+    const results = state.index.search(query, filters);
+    const ranked = query.trim()
+      ? results
+      : results.sort((a, b) => state.entries.get(b.id).updatedAt.localeCompare(state.entries.get(a.id).updatedAt));
+    return ranked.map((r) => ({ ...toLibrarySummary(state.entries.get(r.id)), score: r.score }));
+  }
+
+  async function get(id) {
+    await ensureLoaded();
+    const entry = state.entries.get(id);
+    if (!entry) throw new Error(`Recipe not found in library: ${id}`);
+    return entry;
+  }
+
+  // The entry saved from the same post (same feed id, or same URL ignoring query and hash), or null.
+  async function findBySource({ sourceUrl, feedId }) {
+    await ensureLoaded();
+    const bare = (url) => String(url ?? "").split(/[?#]/)[0];
+    for (const entry of state.entries.values()) {
+      if (feedId && entry.feedId === feedId) return toLibrarySummary(entry);
+      if (sourceUrl && bare(entry.sourceUrl) === bare(sourceUrl)) return toLibrarySummary(entry);
+    }
+    return null;
+  }
+
+  async function readCover(id) {
+    const entry = await get(id);
+    if (!entry.hasCover) return null;
+    try {
+      return await fs.readFile(path.join(entryDir(id), COVER_FILE));
+    } catch (err) {
+      logger?.warn("library cover read failed", { id, err: String(err) });
+      return null;
+    }
+  }
+
+  // Creates an entry when `id` is omitted. `cover` is a JPEG buffer; undefined keeps the stored one.
+  async function save({ id, title, recipe, markdown, caption, author, tags, cover }) {
+    await ensureLoaded();
+    const prev = id ? await get(id) : null;
+    const now = new Date().toISOString();
+    const entryId = prev?.id ?? crypto.randomUUID();
+    if (cover) {
+      await fs.mkdir(entryDir(entryId), { recursive: true });
+      await fs.writeFile(path.join(entryDir(entryId), COVER_FILE), cover);
+    }
+    const entry = LibraryEntrySchema.parse({
+      id: entryId,
+      title: String(title ?? prev?.title ?? "").trim() || recipe.title || "Untitled",
+      recipe,
+      markdown,
+      sourceUrl: recipe.source.url,
+      feedId: recipe.source.feedId,
+      author: author === undefined ? (prev?.author ?? null) : author,
+      tags: tags ?? prev?.tags ?? [],
+      caption: String(caption ?? ""),
+      model: recipe.source.model,
+      hasCover: cover === undefined ? Boolean(prev?.hasCover) : Boolean(cover),
+      createdAt: prev?.createdAt ?? now,
+      updatedAt: now,
+    });
+    if (cover === null && prev?.hasCover) await fs.rm(path.join(entryDir(entryId), COVER_FILE), { force: true });
+    await writeEntry(entry);
+    return toLibrarySummary(entry);
+  }
+
+  async function rename(id, title) {
+    const prev = await get(id);
+    const next = String(title ?? "").trim();
+    if (!next) throw new Error("Title cannot be empty.");
+    const entry = { ...prev, title: next, updatedAt: new Date().toISOString() };
+    await writeEntry(entry);
+    return toLibrarySummary(entry);
+  }
+
+  async function setTags(id, tags) {
+    const prev = await get(id);
+    const next = Array.from(new Set(tags.map((t) => String(t).trim()).filter(Boolean)));
+    const entry = { ...prev, tags: next, updatedAt: new Date().toISOString() };
+    await writeEntry(entry);
+    return toLibrarySummary(entry);
+  }
+
+  async function remove(id) {
+    await ensureLoaded();
+    await fs.rm(entryDir(id), { recursive: true, force: true });
+    state.entries.delete(id);
+    state.index.remove(id);
+    return list();
+  }
+
+  return { load, list, search, get, findBySource, readCover, save, rename, setTags, remove, getRoot };
+}
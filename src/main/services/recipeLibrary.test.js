@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createRecipeLibrary } from "./recipeLibrary.js";
+import { buildRecipeFromMarkdown } from "./recipeModel.js";
+
+const MARKDOWN = "# 标题\n番茄炒蛋\n\n## 食材\n- 鸡蛋 2个\n\n## 步骤\n1. 炒\n\n## 用量/计量\n\n## 工具/器具\n";
+
+function makeRecipe() {
+  return buildRecipeFromMarkdown(MARKDOWN, {
+    outputLanguage: "zh-Hans",
+    source: { url: "https://www.xiaohongshu.com/explore/abc12345", feedId: "abc12345", model: "gpt-4o-mini" },
+  });
+}
+
+test("library saves, renames, reloads and deletes entries with covers", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "xhs-library-"));
+  try {
+    const library = createRecipeLibrary({ app: { getPath: () => dir } });
+    const saved = await library.save({ recipe: makeRecipe(), markdown: MARKDOWN, caption: "原文", cover: Buffer.from([1, 2, 3]) });
+    assert.equal(saved.title, "番茄炒蛋");
+    assert.equal(saved.feedId, "abc12345");
+    assert.equal(saved.hasCover, true);
+
+    await library.rename(saved.id, "周末早餐");
+    const updated = await library.save({ id: saved.id, recipe: makeRecipe(), markdown: `${MARKDOWN}\n`, caption: "改过" });
+    assert.equal(updated.title, "周末早餐");
+    assert.equal(updated.createdAt, saved.createdAt);
+
+    const reloaded = createRecipeLibrary({ app: { getPath: () => dir } });
+    const [summary] = await reloaded.list();
+    assert.equal(summary.id, saved.id);
+    const entry = await reloaded.get(saved.id);
+    assert.equal(entry.caption, "改过");
+    assert.equal(entry.model, "gpt-4o-mini");
+    assert.deepEqual([...(await reloaded.readCover(saved.id))], [1, 2, 3]);
+    assert.equal((await reloaded.findBySource({ sourceUrl: "https://www.xiaohongshu.com/explore/abc12345?xsec_token=t" }))?.id, saved.id);
+    assert.equal((await reloaded.findBySource({ sourceUrl: "https://xhslink.com/x", feedId: "abc12345" }))?.id, saved.id);
+    assert.equal(await reloaded.findBySource({ sourceUrl: "https://xhslink.com/x", feedId: null }), null);
+
+    assert.deepEqual(await reloaded.remove(saved.id), []);
+    await assert.rejects(reloaded.get(saved.id), /not found/);
+    await assert.rejects(reloaded.remove("../escape"), /Invalid library id/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
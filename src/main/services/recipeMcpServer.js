@@ -0,0 +1,118 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { z } from "zod";
+
+import { OUTPUT_LANGUAGE_IDS } from "./languageSpecs.js";
+import { extractFirstHttpsUrl } from "../../shared/urlSanitizer.js";
+
+export const MCP_SERVER_NAME = "xhs-recipe";
+const SEARCH_LIMIT_DEFAULT = 10;
+const SEARCH_LIMIT_MAX = 50;
+const EXTRACT_STEPS = ["fetching", "images", "generating"];
+
+function jsonContent(value) {
+  return { type: "text", text: JSON.stringify(value, null, 2) };
+}
+
+// MCP tools over the fetch → generate pipeline (`pipeline.extractRecipe`) and the recipe library.
+// The app serves it over streamable HTTP and the CLI over stdio; build one server per connection.
+export function createRecipeMcpServer({ version, logger, pipeline, library }) {
+  const server = new McpServer({ name: MCP_SERVER_NAME, version });
+
+  server.registerTool(
+    "extract_recipe",
+    {
+      title: "Extract recipe",
+      description:
+        "Fetch a Xiaohongshu (RED) post and turn its caption and images into a recipe. Returns Markdown plus the structured recipe.",
+      inputSchema: {
+        url: z.string().min(1).max(5000).describe("Post URL or the app's share text containing it"),
+        language: z
+          .enum(OUTPUT_LANGUAGE_IDS)
+          .optional()
+          .describe("Output language; defaults to the app setting"),
+      },
+    },
+    async ({ url, language }, extra) => {
+      const postUrl = extractFirstHttpsUrl(url);
+      if (!postUrl) return { isError: true, content: [{ type: "text", text: "No https:// URL found in `url`." }] };
+
+      // Progress notifications only when the client asked for them.
+      const progressToken = extra._meta?.progressToken;
+      const onStep = (step) => {
+        if (progressToken === undefined) return;
+        const progress = EXTRACT_STEPS.indexOf(step) + 1;
+        extra
+          .sendNotification({
+            method: "notifications/progress",
+            params: { progressToken, progress, total: EXTRACT_STEPS.length, message: step },
+          })
+          .catch(() => {});
+      };
+      logger.info("mcp extract_recipe", { url: postUrl, language: language ?? null });
+      const { markdown, recipe, post } = await pipeline.extractRecipe(postUrl, { signal: extra.signal, onStep, outputLanguage: language });
+      return {
+        content: [{ type: "text", text: markdown }],
+        structuredContent: { sourceUrl: post.sourceUrl, title: recipe.title, markdown, recipe },
+      };
+    }
+  );
+
+  server.registerTool(
+    "search_library",
+    {
+      title: "Search saved recipes",
+      description: "Search the recipes saved in the app's library by title, ingredients, steps, caption and tags.",
+      inputSchema: {
+        query: z.string().max(500).optional().describe("Free text; Chinese works without spaces. Empty lists the newest recipes"),
+        ingredient: z.string().max(500).optional().describe("Only recipes using this ingredient"),
+        tag: z.string().max(500).optional().describe("Only recipes with this tag"),
+        limit: z.number().int().min(1).max(SEARCH_LIMIT_MAX).optional().describe(`Default ${SEARCH_LIMIT_DEFAULT}`),
+      },
+    },
+    async ({ limit = SEARCH_LIMIT_DEFAULT, ...filters }) => {
+      const results = (await library.search(filters)).slice(0, limit);
+      return { content: [jsonContent(results)], structuredContent: { results } };
+    }
+  );
+
+  server.registerTool(
+    "get_recipe",
+    {
+      title: "Get saved recipe",
+      description: "Get one saved recipe (Markdown and structured recipe) by the id from search_library.",
+      inputSchema: { id: z.string().min(1).max(64) },
+    },
+    async ({ id }) => {
+      const entry = await library.get(id);
+      return {
+        content: [{ type: "text", text: entry.markdown }],
+        structuredContent: {
+          id: entry.id,
+          title: entry.title,
+          sourceUrl: entry.sourceUrl,
+          author: entry.author,
+          tags: entry.tags,
+          markdown: entry.markdown,
+          recipe: entry.recipe,
+        },
+      };
+    }
+  );
+
+  return server;
+}
+
+// Raw local API route handler for streamable HTTP in stateless mode: a fresh server and transport per request.
+export function createMcpHttpHandler(createServer) {
+  return async ({ req, res, body }) => {
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    res.on("close", () => {
+      void transport.close();
+      void server.close();
+    });
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  };
+}
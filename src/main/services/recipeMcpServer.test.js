@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { createLocalApi } from "./localApi.js";
+import { createMcpHttpHandler, createRecipeMcpServer } from "./recipeMcpServer.js";
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+async function connect({ pipeline, library }) {
+  const server = createRecipeMcpServer({ version: "0.0.0", logger: silentLogger, pipeline, library });
+  const client = new Client({ name: "test", version: "0.0.0" });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return { client, close: () => Promise.all([client.close(), server.close()]) };
+}
+
+test("MCP server extracts recipes and reads the library", async () => {
+  const calls = [];
+  const entry = { id: "r1", title: "番茄炒蛋", sourceUrl: "https://x/1", author: null, tags: ["快手"], markdown: "# 番茄炒蛋", recipe: { title: "番茄炒蛋" } };
+  const { client, close } = await connect({
+    pipeline: {
+      extractRecipe: async (url, { outputLanguage, onStep }) => {
+        calls.push({ url, outputLanguage });
+        onStep("fetching");
+        return { markdown: "# Tomato eggs", recipe: { title: "Tomato eggs" }, post: { sourceUrl: url } };
+      },
+    },
+    library: {
+      search: async (filters) => {
+        calls.push({ filters });
+        return [{ id: "r1" }, { id: "r2" }];
+      },
+      get: async (id) => {
+        if (id !== "r1") throw new Error(`Recipe not found in library: ${id}`);
+        return entry;
+      },
+    },
+  });
+  try {
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.map((t) => t.name).sort(), ["extract_recipe", "get_recipe", "search_library"]);
+
+    const extracted = await client.callTool({
+      name: "extract_recipe",
+      arguments: { url: "看看这个 https://www.xiaohongshu.com/explore/abc 复制本条信息", language: "en" },
+    });
+    assert.equal(extracted.content[0].text, "# Tomato eggs");
+    assert.equal(extracted.structuredContent.title, "Tomato eggs");
+    assert.deepEqual(calls[0], { url: "https://www.xiaohongshu.com/explore/abc", outputLanguage: "en" });
+
+    const noUrl = await client.callTool({ name: "extract_recipe", arguments: { url: "no link here" } });
+    assert.equal(noUrl.isError, true);
+
+    const found = await client.callTool({ name: "search_library", arguments: { query: "鸡蛋", limit: 1 } });
+    assert.deepEqual(found.structuredContent.results, [{ id: "r1" }]);
+    assert.deepEqual(calls[1], { filters: { query: "鸡蛋" } });
+
+    const recipe = await client.callTool({ name: "get_recipe", arguments: { id: "r1" } });
+    assert.equal(recipe.content[0].text, "# 番茄炒蛋");
+    assert.deepEqual(recipe.structuredContent.tags, ["快手"]);
+    const missing = await client.callTool({ name: "get_recipe", arguments: { id: "nope" } });
+    assert.equal(missing.isError, true);
+  } finally {
+    await close();
+  }
+});
+
+test("MCP server answers over streamable HTTP behind the API token", async () => {
+  const library = { search: async () => [{ id: "r1" }], get: async () => null };
+  const api = createLocalApi({
+    logger: silentLogger,
+    routes: [
+      {
+        method: "POST",
+        path: /^\/mcp$/,
+        raw: true,
+        handler: createMcpHttpHandler(() => createRecipeMcpServer({ version: "0.0.0", logger: silentLogger, pipeline: {}, library })),
+      },
+    ],
+  });
+  const { port } = await api.apply({ enabled: true, host: "127.0.0.1", port: 0, token: "secret" });
+  const client = new Client({ name: "test", version: "0.0.0" });
+  try {
+    const url = new URL(`http://127.0.0.1:${port}/mcp`);
+    await assert.rejects(client.connect(new StreamableHTTPClientTransport(url)));
+
+    await client.connect(new StreamableHTTPClientTransport(url, { requestInit: { headers: { Authorization: "Bearer secret" } } }));
+    const found = await client.callTool({ name: "search_library", arguments: {} });
+    assert.deepEqual(found.structuredContent.results, [{ id: "r1" }]);
+  } finally {
+    await client.close();
+    await api.close();
+  }
+});
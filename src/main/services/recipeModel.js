@@ -0,0 +1,175 @@
+import { z } from "zod";
+
+import { resolveLanguageId } from "./languageSpecs.js";
+import { matchSectionHeading, splitBilingualRecipe } from "./recipeFormatter.js";
+
+export const RECIPE_FORMAT_VERSION = 1;
+
+const VAGUE_QUANTITIES = ["适量", "少许", "若干", "少量", "一点", "一些", "一小撮", "to taste", "as needed", "a pinch"];
+const DIGITS = "0-9０-９.．/⁄½¼¾⅓⅔⅛～~\\-–—";
+const CN_NUMERALS = "一二两三四五六七八九十百千半几";
+const MEASURE_WORDS = "个只颗根片瓣块勺匙杯克斤两碗袋包盒把滴条棵张";
+const WESTERN_UNITS = "kg|g|mg|ml|l|oz|lb|lbs|cups?|tbsp|tsp|tablespoons?|teaspoons?|pcs?|cloves?|slices?";
+
+const TRAILING_QUANTITY_RE = new RegExp(
+  `^(.+?)\\s*((?:约|大约|about\\s*)?(?:[${DIGITS}]*[0-9０-９½¼¾⅓⅔⅛]|[${CN_NUMERALS}]+(?=[${MEASURE_WORDS}]))\\S*(?:\\s+(?:${WESTERN_UNITS})\\b)?)$`,
+  "i"
+);
+const LEADING_QUANTITY_RE = new RegExp(
+  `^((?:about\\s+)?[0-9½¼¾⅓⅔⅛][${DIGITS}\\s]*(?:\\s*(?:${WESTERN_UNITS})\\b)?|[${CN_NUMERALS}]+[${MEASURE_WORDS}])\\s*(.+)$`,
+  "i"
+);
+const LIST_MARKER_RE = /^\s*(?:[-*+•·]\s+|\d{1,3}\s*[.)、．]\s*|[（(]\d{1,3}[)）]\s*|(?:step|步骤)\s*\d{1,3}\s*[:：.、]\s*)/i;
+
+const IngredientSchema = z.object({
+  name: z.string(),
+  quantity: z.string(),
+  raw: z.string(),
+  translation: z.string().optional(),
+});
+
+const StepSchema = z.object({
+  index: z.number().int().min(1),
+  text: z.string(),
+  translation: z.string().optional(),
+});
+
+const RecipeSourceSchema = z.object({
+  url: z.string(),
+  label: z.string().nullable().default(null), // where a manual post came from, when there is no URL
+  feedId: z.string().nullable().default(null),
+  model: z.string().nullable().default(null),
+  promptTemplate: z
+    .object({ id: z.string(), name: z.string(), version: z.number().int().min(1) })
+    .nullable()
+    .default(null),
+  outputLanguage: z.string(),
+  images: z.number().int().min(0).default(0),
+  generatedAt: z.string(),
+});
+
+export const RecipeSchema = z.object({
+  version: z.literal(RECIPE_FORMAT_VERSION),
+  title: z.string(),
+  ingredients: z.array(IngredientSchema),
+  steps: z.array(StepSchema),
+  quantities: z.array(z.string()),
+  tools: z.array(z.string()),
+  notes: z.array(z.string()),
+  source: RecipeSourceSchema,
+});
+
+export function stripListMarker(line) {
+  return String(line ?? "")
+    .replace(LIST_MARKER_RE, "")
+    .replace(/^\[[ xX]\]\s*/, "")
+    .trim();
+}
+
+export function splitIngredientLine(line) {
+  const raw = stripListMarker(line);
+  if (!raw) return null;
+
+  const colon = /^(.+?)\s*[：:]\s*(.+)$/.exec(raw);
+  if (colon) return { name: colon[1].trim(), quantity: colon[2].trim(), raw };
+
+  for (const vague of VAGUE_QUANTITIES) {
+    if (raw.toLowerCase().endsWith(vague) && raw.length > vague.length) {
+      return { name: raw.slice(0, raw.length - vague.length).trim(), quantity: raw.slice(raw.length - vague.length), raw };
+    }
+  }
+
+  const trailing = TRAILING_QUANTITY_RE.exec(raw);
+  if (trailing) return { name: trailing[1].trim(), quantity: trailing[2].trim(), raw };
+
+  const leading = LEADING_QUANTITY_RE.exec(raw);
+  if (leading) return { name: leading[2].trim(), quantity: leading[1].trim(), raw };
+
+  return { name: raw, quantity: "", raw };
+}
+
+function splitSections(markdown) {
+  const sections = { title: [], ingredients: [], steps: [], quantities: [], tools: [], notes: [] };
+  let headingTitle = "";
+  let current = "notes";
+
+  for (const line of String(markdown ?? "").split(/\r?\n/)) {
+    const heading = matchSectionHeading(line);
+    if (heading) {
+      if (heading.key) {
+        current = heading.key;
+        continue;
+      }
+      if (heading.level === 1 && !headingTitle) {
+        headingTitle = heading.text.trim();
+        current = "notes";
+        continue;
+      }
+      current = "notes";
+      if (heading.text.trim()) sections.notes.push(heading.text.trim());
+      continue;
+    }
+    const text = line.trim();
+    if (!text || /^(?:-{3,}|\*{3,}|_{3,})$/.test(text) || /^```/.test(text)) continue;
+    sections[current].push(text);
+  }
+
+  return { sections, headingTitle };
+}
+
+function parseRecipeFields(markdown) {
+  const { sections, headingTitle } = splitSections(markdown);
+
+  const titleLines = sections.title.map(stripListMarker).filter(Boolean);
+  return {
+    title: titleLines[0] || headingTitle || "",
+    ingredients: sections.ingredients.map(splitIngredientLine).filter(Boolean),
+    steps: sections.steps
+      .map(stripListMarker)
+      .filter(Boolean)
+      .map((text, i) => ({ index: i + 1, text })),
+    quantities: sections.quantities.map(stripListMarker).filter(Boolean),
+    tools: sections.tools.map(stripListMarker).filter(Boolean),
+    notes: [...titleLines.slice(1), ...sections.notes.map(stripListMarker).filter(Boolean)],
+  };
+}
+
+function attachTranslations(items, translated, textOf) {
+  if (translated.length !== items.length) return items;
+  return items.map((item, i) => {
+    const translation = textOf(translated[i]);
+    return translation && translation !== textOf(item) ? { ...item, translation } : item;
+  });
+}
+
+// Bilingual recipes keep the Chinese text as primary and carry the English lines as `translation`.
+function parseBilingualFields(markdown) {
+  const split = splitBilingualRecipe(markdown);
+  const zh = parseRecipeFields(split["zh-Hans"]);
+  const en = parseRecipeFields(split.en);
+  return {
+    ...zh,
+    ingredients: attachTranslations(zh.ingredients, en.ingredients, (i) => i.raw),
+    steps: attachTranslations(zh.steps, en.steps, (s) => s.text),
+  };
+}
+
+export function buildRecipeFromMarkdown(markdown, { outputLanguage, source } = {}) {
+  const language = resolveLanguageId(outputLanguage);
+  const fields = language === "bilingual" ? parseBilingualFields(markdown) : parseRecipeFields(markdown);
+
+  return RecipeSchema.parse({
+    version: RECIPE_FORMAT_VERSION,
+    ...fields,
+    source: {
+      url: String(source?.url ?? ""),
+      label: source?.label || null,
+      feedId: source?.feedId ?? null,
+      model: source?.model ?? null,
+      promptTemplate: source?.promptTemplate ?? null,
+      outputLanguage: language,
+      images: Number(source?.images ?? 0) || 0,
+      generatedAt: source?.generatedAt ?? new Date().toISOString(),
+    },
+  });
+}
@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildRecipeFromMarkdown, splitIngredientLine } from "./recipeModel.js";
+
+test("splitIngredientLine keeps the raw quantity text", () => {
+  assert.deepEqual(splitIngredientLine("- 鸡蛋 2个"), { name: "鸡蛋", quantity: "2个", raw: "鸡蛋 2个" });
+  assert.deepEqual(splitIngredientLine("面粉100g"), { name: "面粉", quantity: "100g", raw: "面粉100g" });
+  assert.deepEqual(splitIngredientLine("生抽：2勺"), { name: "生抽", quantity: "2勺", raw: "生抽：2勺" });
+  assert.deepEqual(splitIngredientLine("盐 适量"), { name: "盐", quantity: "适量", raw: "盐 适量" });
+  assert.deepEqual(splitIngredientLine("半个柠檬"), { name: "柠檬", quantity: "半个", raw: "半个柠檬" });
+  assert.deepEqual(splitIngredientLine("1/2 cup milk"), { name: "milk", quantity: "1/2 cup", raw: "1/2 cup milk" });
+  assert.deepEqual(splitIngredientLine("十三香"), { name: "十三香", quantity: "", raw: "十三香" });
+  assert.equal(splitIngredientLine("-   "), null);
+});
+
+test("buildRecipeFromMarkdown reads sections from either language's headings", () => {
+  const markdown = [
+    "# 标题",
+    "番茄炒蛋",
+    "",
+    "## 食材",
+    "- 鸡蛋 2个",
+    "- 番茄 1个",
+    "",
+    "## Steps",
+    "1. 打散鸡蛋",
+    "2. 下锅翻炒",
+    "",
+    "## 用量/计量",
+    "",
+    "## 工具/器具",
+    "- 炒锅",
+  ].join("\n");
+
+  const recipe = buildRecipeFromMarkdown(markdown, {
+    outputLanguage: "zh-Hans",
+    source: { url: "https://www.xiaohongshu.com/explore/abc", model: "gpt-4o-mini", images: 1 },
+  });
+
+  assert.equal(recipe.title, "番茄炒蛋");
+  assert.deepEqual(
+    recipe.ingredients.map((i) => [i.name, i.quantity]),
+    [
+      ["鸡蛋", "2个"],
+      ["番茄", "1个"],
+    ]
+  );
+  assert.deepEqual(recipe.steps, [
+    { index: 1, text: "打散鸡蛋" },
+    { index: 2, text: "下锅翻炒" },
+  ]);
+  assert.deepEqual(recipe.quantities, []);
+  assert.deepEqual(recipe.tools, ["炒锅"]);
+  assert.equal(recipe.source.url, "https://www.xiaohongshu.com/explore/abc");
+  assert.equal(recipe.source.model, "gpt-4o-mini");
+  assert.equal(recipe.source.images, 1);
+});
+
+test("buildRecipeFromMarkdown falls back to a custom H1 as title and keeps stray lines as notes", () => {
+  const recipe = buildRecipeFromMarkdown("# Mapo Tofu\n\nFrom a friend.\n\n## Ingredients\n- tofu 1 block\n", {
+    outputLanguage: "en",
+  });
+  assert.equal(recipe.title, "Mapo Tofu");
+  assert.deepEqual(recipe.notes, ["From a friend."]);
+  assert.equal(recipe.source.outputLanguage, "en");
+});
+
+test("buildRecipeFromMarkdown keeps English lines of bilingual output as translations", () => {
+  const recipe = buildRecipeFromMarkdown(
+    "# 标题 / Title\n番茄炒蛋\n  EN: Tomato and egg\n## 食材 / Ingredients\n- 鸡蛋 2个\n  EN: 2 eggs\n- 盐 适量\n## 步骤 / Steps\n1. 炒\n  EN: Stir-fry\n",
+    { outputLanguage: "bilingual" }
+  );
+  assert.equal(recipe.title, "番茄炒蛋");
+  assert.deepEqual(recipe.ingredients, [
+    { name: "鸡蛋", quantity: "2个", raw: "鸡蛋 2个", translation: "2 eggs" },
+    { name: "盐", quantity: "适量", raw: "盐 适量" },
+  ]);
+  assert.deepEqual(recipe.steps, [{ index: 1, text: "炒", translation: "Stir-fry" }]);
+  assert.deepEqual(recipe.notes, []);
+  assert.equal(recipe.source.outputLanguage, "bilingual");
+});
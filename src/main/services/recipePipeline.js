@@ -0,0 +1,214 @@
+import { createOpenAIClient } from "./openaiClient.js";
+import { templateRef, usesProvenance } from "./promptTemplates.js";
+import { buildSystemPrompt, buildUserPrompt } from "./prompt.js";
+import { normalizeMarkdownRecipe } from "./recipeFormatter.js";
+import { buildRecipeFromMarkdown } from "./recipeModel.js";
+import { validateRecipeGrounding } from "./groundingValidator.js";
+import { PROVENANCE_INSTRUCTIONS, extractProvenanceBlock, resolveProvenance } from "./provenance.js";
+import { toHistoryImage } from "./generationHistory.js";
+
+const ABORTED = Object.freeze({ __aborted: true });
+export const MAX_POST_IMAGES = 40;
+
+function toOutcome(promise) {
+  return Promise.resolve(promise).then(
+    (value) => ({ ok: true, value }),
+    (error) => ({ ok: false, error })
+  );
+}
+
+// fetch → generate, shared by the Electron app and the CLI. The image helpers are injected because
+// the app downloads and resizes with `net`/`nativeImage` and the CLI uses plain Node (imageFetch.js).
+// `configStore` only needs getResolvedConfig() and getOpenAIApiKey(); `history` is optional.
+export function createRecipePipeline({ logger, configStore, promptTemplates, xhsClient, history, downloadImage, preprocessImage }) {
+  // Aborting also drops the MCP connection unless `disconnectOnAbort` is false (batch items share it).
+  async function fetchPost(url, { signal, disconnectOnAbort = true }) {
+    logger.info("fetch start", { url });
+    const abortPromise = new Promise((resolve) => {
+      if (signal.aborted) return resolve(ABORTED);
+      signal.addEventListener("abort", () => resolve(ABORTED), { once: true });
+    });
+
+    const winner = await Promise.race([toOutcome(xhsClient.getPost(url)), toOutcome(abortPromise)]);
+    if (winner.ok && winner.value?.__aborted) {
+      if (disconnectOnAbort) await xhsClient.disconnect?.().catch(() => {});
+      throw new Error("Request aborted");
+    }
+    if (!winner.ok) throw winner.error;
+    const post = winner.value;
+    logger.info("fetch done", { url, images: post.images.length, captionLen: post.caption.length });
+    return post;
+  }
+
+  // Image download → model → formatting, grounding and provenance; records the result in the history
+  // when there is one. `parsed` has the shape of GenerateRecipeSchema in main.js; `outputLanguage`
+  // overrides the configured language for this call.
+  async function generateRecipe(parsed, { signal, onStep, outputLanguage: languageOverride }) {
+    const cfg = await configStore.getResolvedConfig();
+    const outputLanguage = languageOverride ?? cfg.ui?.outputLanguage;
+    const apiKey = await configStore.getOpenAIApiKey();
+    if (!apiKey) throw new Error("Missing OpenAI API key. Set OPENAI_API_KEY in .env.");
+
+    const abortPromise = new Promise((resolve) => {
+      if (signal.aborted) return resolve(ABORTED);
+      signal.addEventListener("abort", () => resolve(ABORTED), { once: true });
+    });
+    const abortOutcome = toOutcome(abortPromise);
+
+    onStep?.("images");
+    const requested = parsed.images ?? [];
+    const imageDataUrls = [];
+    const attachedIndexes = []; // attached image n -> index in `requested`
+    const failures = [];
+    for (const [index, img] of requested.entries()) {
+      if (signal.aborted) throw new Error("Request aborted");
+      if (img.kind === "dataUrl" && img.dataUrl) {
+        imageDataUrls.push(img.dataUrl);
+        attachedIndexes.push(index);
+        continue;
+      }
+      if (img.kind === "url" && img.url) {
+        const downloadWinner = await Promise.race([
+          toOutcome(downloadImage(img.url, logger, { referer: parsed.sourceUrl, signal })),
+          abortOutcome,
+        ]);
+        if (downloadWinner.ok && downloadWinner.value?.__aborted) throw new Error("Request aborted");
+        if (!downloadWinner.ok) throw downloadWinner.error;
+        const downloaded = downloadWinner.value;
+        if (!downloaded) {
+          failures.push({ kind: "url", url: img.url, reason: "download_failed" });
+          continue;
+        }
+        const processed = preprocessImage(downloaded, logger);
+        if (!processed) {
+          failures.push({ kind: "url", url: img.url, reason: "preprocess_failed" });
+          continue;
+        }
+        imageDataUrls.push(processed);
+        attachedIndexes.push(index);
+      }
+    }
+
+    onStep?.("generating");
+    const template = promptTemplates.getSelected();
+    logger.info("openai generate start", {
+      model: cfg.openai.model,
+      images: imageDataUrls.length,
+      template: `${template.id}@${template.version}`,
+    });
+    const openaiClient = createOpenAIClient({ logger, apiKey, model: cfg.openai.model });
+    const promptInput = { outputLanguage, template, sourceUrl: parsed.sourceUrl, caption: parsed.caption };
+    const systemPrompt = usesProvenance(template)
+      ? `${buildSystemPrompt(promptInput)}\n\n${PROVENANCE_INSTRUCTIONS}`
+      : buildSystemPrompt(promptInput);
+    const userPrompt = buildUserPrompt(promptInput);
+    async function runModel(modelName) {
+      const client = modelName === cfg.openai.model ? openaiClient : createOpenAIClient({ logger, apiKey, model: modelName });
+      const winner = await Promise.race([
+        toOutcome(
+          client.generateRecipeMarkdown({
+            systemPrompt,
+            userPrompt,
+            imageDataUrls,
+            signal,
+          })
+        ),
+        abortOutcome,
+      ]);
+      if (winner.ok && winner.value?.__aborted) throw new Error("Request aborted");
+      if (!winner.ok) throw winner.error;
+      return winner.value;
+    }
+
+    let markdown;
+    let usedModel = cfg.openai.model;
+    try {
+      markdown = await runModel(cfg.openai.model);
+    } catch (err) {
+      const msg = String(err?.message ?? err);
+      const isBlank = msg.includes("blank content") || msg.includes("no content") || msg.includes("incomplete (max_output_tokens)");
+      if (!isBlank || !/^gpt-5/i.test(cfg.openai.model)) throw err;
+      const fallbackModel = "gpt-4o-mini";
+      logger.warn("openai primary model returned empty; retrying with fallback model", { primary: cfg.openai.model, fallback: fallbackModel });
+      markdown = await runModel(fallbackModel);
+      usedModel = fallbackModel;
+    }
+
+    const { markdown: body, entries: provenanceEntries } = extractProvenanceBlock(markdown);
+    const { markdown: normalized, repairs } = normalizeMarkdownRecipe(body, { outputLanguage });
+    if (repairs.length) logger.info("recipe markdown repaired", { repairs: repairs.map((r) => r.code) });
+    const recipe = buildRecipeFromMarkdown(normalized, {
+      outputLanguage,
+      source: {
+        url: parsed.sourceUrl,
+        label: parsed.sourceLabel ?? null,
+        feedId: parsed.feedId ?? null,
+        model: usedModel,
+        images: imageDataUrls.length,
+        promptTemplate: templateRef(template),
+      },
+    });
+    const validation = validateRecipeGrounding({
+      markdown: normalized,
+      caption: parsed.caption,
+      outputLanguage,
+    });
+    const provenance = resolveProvenance({
+      markdown: normalized,
+      entries: provenanceEntries,
+      caption: parsed.caption,
+      imageIndexes: attachedIndexes,
+    });
+    logger.info("openai generate done", {
+      chars: normalized.length,
+      ingredients: recipe.ingredients.length,
+      steps: recipe.steps.length,
+      grounding: validation.summary,
+      provenance: { entries: provenanceEntries.length, lines: provenance.lines.length },
+    });
+    const historyEntry = await history
+      ?.record(
+        { sourceUrl: parsed.sourceUrl, feedId: parsed.feedId ?? null },
+        {
+          model: usedModel,
+          promptTemplate: templateRef(template),
+          outputLanguage: recipe.source.outputLanguage ?? null,
+          images: attachedIndexes.map((index) => toHistoryImage(requested[index])),
+          caption: parsed.caption,
+          markdown: normalized,
+          recipe,
+          provenance,
+        }
+      )
+      .catch((err) => {
+        logger.warn("generation history record failed", { err: String(err?.message ?? err) });
+        return null;
+      });
+    return {
+      markdown: normalized,
+      recipe,
+      validation,
+      provenance,
+      history: historyEntry ?? null,
+      meta: {
+        images: { requested: requested.length, attached: imageDataUrls.length, failures },
+        format: { repairs },
+      },
+    };
+  }
+
+  // Both steps for one URL, with every image of the post unless `images` is false; resolves to the
+  // generate result plus the fetched `post`. `onStep` also receives "fetching".
+  async function extractRecipe(url, { signal, onStep, outputLanguage, images = true }) {
+    onStep?.("fetching");
+    const post = await fetchPost(url, { signal, disconnectOnAbort: false });
+    const sources = images ? post.images.map((img) => img.source).filter(Boolean).slice(0, MAX_POST_IMAGES) : [];
+    const generated = await generateRecipe(
+      { sourceUrl: post.sourceUrl, feedId: post.feedId ?? null, caption: post.caption, images: sources },
+      { signal, onStep, outputLanguage }
+    );
+    return { ...generated, post, images: sources };
+  }
+
+  return { fetchPost, generateRecipe, extractRecipe };
+}
@@ -0,0 +1,168 @@
+// In-memory inverted index over library entries. Chinese/Japanese/Korean text has no word breaks,
+// so runs of those scripts are indexed as single characters plus overlapping character bigrams.
+// A query needs every character to match and ranks entries containing its bigrams higher, so
+// "豆腐蚝油" finds "蚝油豆腐" without spaces.
+
+const CJK_RUN = "[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}]+";
+const RUN_RE = new RegExp(`${CJK_RUN}|[\\p{L}\\p{N}]+`, "gu");
+const CJK_RE = new RegExp(`^${CJK_RUN}$`, "u");
+
+export const SEARCH_FIELD_WEIGHTS = { title: 6, tags: 5, ingredients: 3, author: 2, steps: 1, caption: 1 };
+
+export function normalizeSearchText(text) {
+  return String(text ?? "")
+    .normalize("NFKC")
+    .toLowerCase();
+}
+
+// `unigrams` adds every CJK character as a token next to the bigrams.
+export function tokenize(text, { unigrams = false } = {}) {
+  const tokens = [];
+  for (const [run] of normalizeSearchText(text).matchAll(RUN_RE)) {
+    if (!CJK_RE.test(run)) {
+      tokens.push(run);
+      continue;
+    }
+    const chars = Array.from(run);
+    if (chars.length === 1 || unigrams) tokens.push(...chars);
+    for (let i = 0; i + 1 < chars.length; i += 1) tokens.push(`${chars[i]}${chars[i + 1]}`);
+  }
+  return tokens;
+}
+
+function queryTerms(query) {
+  const required = [];
+  const bonus = [];
+  for (const token of new Set(tokenize(query, { unigrams: true }))) {
+    if (CJK_RE.test(token) && Array.from(token).length === 2) bonus.push(token);
+    else required.push(token);
+  }
+  return { required, bonus };
+}
+
+export function buildSearchDocument(entry) {
+  const recipe = entry.recipe;
+  const ingredients = recipe.ingredients.flatMap((i) => [i.raw, i.translation ?? ""]);
+  const steps = [...recipe.steps.flatMap((s) => [s.text, s.translation ?? ""]), ...recipe.quantities, ...recipe.tools];
+  return {
+    fields: {
+      title: [entry.title, recipe.title].join("\n"),
+      tags: (entry.tags ?? []).join("\n"),
+      ingredients: ingredients.join("\n"),
+      author: entry.author ?? "",
+      steps: steps.join("\n"),
+      caption: entry.caption,
+    },
+    meta: {
+      ingredients: recipe.ingredients.flatMap((i) => [i.name || i.raw, i.translation ?? ""]).filter(Boolean).map(normalizeSearchText),
+      tags: (entry.tags ?? []).map(normalizeSearchText),
+      author: normalizeSearchText(entry.author),
+      date: String(entry.createdAt).slice(0, 10),
+    },
+  };
+}
+
+function splitFilterList(value) {
+  return String(value ?? "")
+    .split(/[,，、]/)
+    .map((v) => normalizeSearchText(v).trim())
+    .filter(Boolean);
+}
+
+// Filters: `ingredient` and `tag` (comma-separated, all must match), `author` (substring),
+// `from`/`to` (inclusive YYYY-MM-DD, compared against the entry's creation date).
+export function matchesSearchFilters(meta, { ingredient, tag, author, from, to } = {}) {
+  for (const wanted of splitFilterList(ingredient)) {
+    if (!meta.ingredients.some((name) => name.includes(wanted))) return false;
+  }
+  for (const wanted of splitFilterList(tag)) {
+    if (!meta.tags.includes(wanted)) return false;
+  }
+  const authorQuery = normalizeSearchText(author).trim();
+  if (authorQuery && !meta.author.includes(authorQuery)) return false;
+  if (from && meta.date < from) return false;
+  if (to && meta.date > to) return false;
+  return true;
+}
+
+export function createSearchIndex() {
+  const postings = new Map(); // token -> Map(id -> weighted term frequency)
+  const docs = new Map(); // id -> { tokens, meta }
+
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    for (const token of doc.tokens) {
+      const posting = postings.get(token);
+      posting?.delete(id);
+      if (posting && posting.size === 0) postings.delete(token);
+    }
+    docs.delete(id);
+  }
+
+  function add(id, { fields, meta }) {
+    remove(id);
+    const tokens = new Set();
+    for (const [field, text] of Object.entries(fields)) {
+      const weight = SEARCH_FIELD_WEIGHTS[field] ?? 1;
+      for (const token of tokenize(text, { unigrams: true })) {
+        let posting = postings.get(token);
+        if (!posting) postings.set(token, (posting = new Map()));
+        posting.set(id, (posting.get(id) ?? 0) + weight);
+        tokens.add(token);
+      }
+    }
+    docs.set(id, { tokens, meta });
+  }
+
+  // The last non-CJK query word also matches as a prefix so results update while typing.
+  function postingsFor(token, isLast) {
+    if (!isLast || CJK_RE.test(token)) return postings.get(token) ?? null;
+    const merged = new Map();
+    for (const [key, posting] of postings) {
+      if (!key.startsWith(token)) continue;
+      for (const [id, score] of posting) merged.set(id, (merged.get(id) ?? 0) + score);
+    }
+    return merged.size ? merged : null;
+  }
+
+  // Required terms must all match (AND); results are ordered by summed field-weighted frequency,
+  // with bigram hits counted twice.
+  function search(query, filters = {}) {
+    const { required, bonus } = queryTerms(query);
+    let scores = null;
+    if (required.length) {
+      const lists = [];
+      for (const [i, token] of required.entries()) {
+        const posting = postingsFor(token, i === required.length - 1);
+        if (!posting) return [];
+        lists.push(posting);
+      }
+      lists.sort((a, b) => a.size - b.size);
+      scores = new Map();
+      for (const [id, score] of lists[0]) {
+        let total = score;
+        let matched = true;
+        for (const list of lists.slice(1)) {
+          const s = list.get(id);
+          if (s === undefined) {
+            matched = false;
+            break;
+          }
+          total += s;
+        }
+        if (!matched) continue;
+        for (const token of bonus) total += 2 * (postings.get(token)?.get(id) ?? 0);
+        scores.set(id, total);
+      }
+    }
+    const ids = scores ? scores.keys() : docs.keys();
+    const results = [];
+    for (const id of ids) {
+      if (matchesSearchFilters(docs.get(id).meta, filters)) results.push({ id, score: scores?.get(id) ?? 0 });
+    }
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  return { add, remove, search };
+}
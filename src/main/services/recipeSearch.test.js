@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildSearchDocument, createSearchIndex, tokenize } from "./recipeSearch.js";
+import { buildRecipeFromMarkdown } from "./recipeModel.js";
+
+function entry({ id, title, ingredients, caption = "", author = null, tags = [], createdAt = "2024-05-01T08:00:00.000Z" }) {
+  const markdown = `# 标题\n${title}\n\n## 食材\n${ingredients.map((i) => `- ${i}`).join("\n")}\n\n## 步骤\n1. 翻炒\n\n## 用量/计量\n\n## 工具/器具\n`;
+  const recipe = buildRecipeFromMarkdown(markdown, { outputLanguage: "zh-Hans", source: { url: "" } });
+  return { id, title, recipe, caption, author, tags, createdAt };
+}
+
+function indexOf(entries) {
+  const index = createSearchIndex();
+  for (const e of entries) index.add(e.id, buildSearchDocument(e));
+  return index;
+}
+
+test("tokenize splits CJK runs into bigrams and keeps Latin words", () => {
+  assert.deepEqual(tokenize("豆腐蚝油 Tofu"), ["豆腐", "腐蚝", "蚝油", "tofu"]);
+  assert.deepEqual(tokenize("鸡蛋", { unigrams: true }), ["鸡", "蛋", "鸡蛋"]);
+  assert.deepEqual(tokenize("蛋"), ["蛋"]);
+  assert.deepEqual(tokenize("ＡＢ１"), ["ab1"]);
+});
+
+test("search matches CJK queries without spaces and ranks title hits first", () => {
+  const index = indexOf([
+    entry({ id: "a", title: "蚝油豆腐", ingredients: ["豆腐 1块", "蚝油 1勺"] }),
+    entry({ id: "b", title: "番茄炒蛋", ingredients: ["鸡蛋 2个"], caption: "不放豆腐，也不放蚝油" }),
+    entry({ id: "c", title: "Tomato soup", ingredients: ["tomatoes 3"] }),
+  ]);
+  assert.deepEqual(index.search("豆腐蚝油").map((r) => r.id), ["a", "b"]);
+  assert.deepEqual(index.search("豆腐 牛肉").map((r) => r.id), []);
+  assert.deepEqual(index.search("蛋").map((r) => r.id), ["b"]);
+  assert.deepEqual(index.search("tom").map((r) => r.id), ["c"]);
+});
+
+test("search filters by ingredient, tag, author and date range", () => {
+  const index = indexOf([
+    entry({ id: "a", title: "蚝油豆腐", ingredients: ["豆腐 1块", "蚝油 1勺"], author: "小厨娘", tags: ["快手菜"] }),
+    entry({ id: "b", title: "麻婆豆腐", ingredients: ["豆腐 1块", "豆瓣酱 1勺"], author: "川菜王", createdAt: "2023-12-30T08:00:00.000Z" }),
+  ]);
+  const ids = (filters, query = "豆腐") => index.search(query, filters).map((r) => r.id).sort();
+  assert.deepEqual(ids({ ingredient: "蚝油" }), ["a"]);
+  assert.deepEqual(ids({ ingredient: "豆腐, 豆瓣酱" }), ["b"]);
+  assert.deepEqual(ids({ tag: "快手菜" }), ["a"]);
+  assert.deepEqual(ids({ author: "川菜" }, ""), ["b"]);
+  assert.deepEqual(ids({ from: "2024-01-01" }), ["a"]);
+  assert.deepEqual(ids({ to: "2023-12-31" }), ["b"]);
+
+  index.remove("a");
+  assert.deepEqual(ids({}), ["b"]);
+});
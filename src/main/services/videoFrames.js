@@ -0,0 +1,146 @@
+// Video notes: download the video (size-limited) and grab evenly spaced frames with the bundled ffmpeg.
+import { spawn } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import ffmpegStaticPath from "ffmpeg-static";
+
+import { IMAGE_MAX_DIM, IMAGE_REQUEST_HEADERS, isAbortError } from "./imageFetch.js";
+
+export const VIDEO_MAX_BYTES = 200 * 1024 * 1024;
+export const VIDEO_DOWNLOAD_TIMEOUT_MS = 120_000;
+export const VIDEO_FRAME_COUNT = 8;
+const FRAME_TIMEOUT_MS = 20_000;
+const FRAME_JPEG_QSCALE = 4; // ffmpeg mjpeg scale, 2 (best) … 31
+
+// ffmpeg-static resolves inside app.asar when packaged; the binary itself lives in app.asar.unpacked.
+export function resolveFfmpegPath(binaryPath = ffmpegStaticPath) {
+  if (!binaryPath) return null;
+  return binaryPath.replace(`${path.sep}app.asar${path.sep}`, `${path.sep}app.asar.unpacked${path.sep}`);
+}
+
+// Seconds from ffmpeg's "Duration: 00:01:23.45" banner line; null when absent (e.g. "N/A").
+export function parseFfmpegDuration(stderr) {
+  const match = /Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(String(stderr ?? ""));
+  if (!match) return null;
+  const seconds = Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+  return seconds > 0 ? seconds : null;
+}
+
+// Midpoints of `count` equal slices, so neither the first black frame nor the outro is picked.
+export function frameTimestamps(durationSec, count = VIDEO_FRAME_COUNT) {
+  const duration = Number(durationSec);
+  if (!Number.isFinite(duration) || duration <= 0) return [0];
+  const n = Math.max(1, Math.min(count, Math.floor(duration)));
+  return Array.from({ length: n }, (_, i) => Math.round(((i + 0.5) * duration * 10) / n) / 10);
+}
+
+export function formatTimestamp(sec) {
+  const total = Math.floor(Number(sec) || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function runFfmpeg(ffmpegPath, args, { signal, timeoutMs = FRAME_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Request aborted"));
+    const child = spawn(ffmpegPath, ["-hide_banner", "-nostdin", ...args], { windowsHide: true });
+    const stdout = [];
+    let stderr = "";
+    let failure = null;
+    const stop = (err) => {
+      failure ??= err;
+      child.kill();
+    };
+    const timer = setTimeout(() => stop(new Error(`ffmpeg timed out after ${timeoutMs}ms`)), timeoutMs);
+    const onAbort = () => stop(new Error("Request aborted"));
+    signal?.addEventListener("abort", onAbort, { once: true });
+    child.stdout.on("data", (chunk) => stdout.push(chunk));
+    child.stderr.on("data", (chunk) => {
+      if (stderr.length < 64 * 1024) stderr += chunk.toString("utf8");
+    });
+    child.on("error", (err) => stop(err));
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      if (failure) reject(failure);
+      else resolve({ code, stdout: Buffer.concat(stdout), stderr });
+    });
+  });
+}
+
+// Streams the video to `filePath`, failing once it exceeds `maxBytes`.
+export async function downloadVideo(url, filePath, { signal, referer, maxBytes = VIDEO_MAX_BYTES } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), VIDEO_DOWNLOAD_TIMEOUT_MS);
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  let file = null;
+  try {
+    const res = await fetch(url, {
+      signal: controller.signal,
+      headers: { ...IMAGE_REQUEST_HEADERS, Accept: "video/*,*/*;q=0.8", Referer: referer || "https://www.xiaohongshu.com/" },
+    });
+    if (!res.ok) throw new Error(`video download failed: HTTP ${res.status}`);
+    const declared = Number(res.headers.get("content-length"));
+    if (Number.isFinite(declared) && declared > maxBytes) {
+      throw new Error(`video too large (${Math.round(declared / 1024 / 1024)} MB; limit ${maxBytes / 1024 / 1024} MB)`);
+    }
+    file = await fs.open(filePath, "w");
+    let total = 0;
+    for await (const chunk of res.body) {
+      total += chunk.byteLength;
+      if (total > maxBytes) throw new Error(`video too large (over ${maxBytes / 1024 / 1024} MB)`);
+      await file.write(chunk);
+    }
+    if (total === 0) throw new Error("video download returned no data");
+    return total;
+  } catch (err) {
+    if (signal?.aborted) throw new Error("Request aborted");
+    if (controller.signal.aborted || isAbortError(err)) throw new Error(`video download timed out after ${VIDEO_DOWNLOAD_TIMEOUT_MS}ms`);
+    throw err;
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener("abort", onAbort);
+    await file?.close().catch(() => {});
+  }
+}
+
+// Downloads `url` into a temp folder and returns `[{ timeSec, buffer }]` JPEG frames no larger than
+// IMAGE_MAX_DIM. `durationSec` from the post saves a probe; without it ffmpeg reads it from the file.
+export async function extractVideoFrames(
+  url,
+  { logger, signal, referer, durationSec = null, count = VIDEO_FRAME_COUNT, maxBytes = VIDEO_MAX_BYTES, ffmpegPath = resolveFfmpegPath() } = {}
+) {
+  const missing = "The bundled ffmpeg decoder is missing. Reinstall the app's dependencies (npm install) to extract video frames.";
+  if (!ffmpegPath) throw new Error(missing);
+  try {
+    await fs.access(ffmpegPath);
+  } catch {
+    throw new Error(missing);
+  }
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "xhs-video-"));
+  try {
+    const videoPath = path.join(dir, "video");
+    const bytes = await downloadVideo(url, videoPath, { signal, referer, maxBytes });
+    let duration = Number(durationSec) > 0 ? Number(durationSec) : null;
+    if (!duration) duration = parseFfmpegDuration((await runFfmpeg(ffmpegPath, ["-i", videoPath], { signal })).stderr);
+    logger?.info("video downloaded", { bytes, durationSec: duration });
+
+    const scale = `scale='min(${IMAGE_MAX_DIM},iw)':'min(${IMAGE_MAX_DIM},ih)':force_original_aspect_ratio=decrease`;
+    const frames = [];
+    for (const timeSec of frameTimestamps(duration, count)) {
+      // -ss before -i seeks to the nearest keyframe, then decodes up to the exact time.
+      const args = ["-loglevel", "error", "-ss", String(timeSec), "-i", videoPath, "-frames:v", "1", "-vf", scale];
+      args.push("-c:v", "mjpeg", "-q:v", String(FRAME_JPEG_QSCALE), "-f", "image2pipe", "pipe:1");
+      const { code, stdout, stderr } = await runFfmpeg(ffmpegPath, args, { signal });
+      if (code === 0 && stdout.length > 0) frames.push({ timeSec, buffer: stdout });
+      else logger?.warn("video frame extraction failed", { timeSec, code, err: stderr.trim().slice(0, 500) });
+    }
+    if (frames.length === 0) throw new Error("Could not decode any frames from the video.");
+    return frames;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
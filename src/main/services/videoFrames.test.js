@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { downloadVideo, extractVideoFrames, formatTimestamp, frameTimestamps, parseFfmpegDuration, resolveFfmpegPath } from "./videoFrames.js";
+
+test("frame timestamps, durations and ffmpeg paths", () => {
+  assert.deepEqual(frameTimestamps(80, 8), [5, 15, 25, 35, 45, 55, 65, 75]);
+  assert.deepEqual(frameTimestamps(3, 8), [0.5, 1.5, 2.5]);
+  assert.deepEqual(frameTimestamps(null), [0]);
+  assert.equal(parseFfmpegDuration("Input #0, mov,mp4\n  Duration: 00:01:23.45, start: 0.000000, bitrate: 1200 kb/s"), 83.45);
+  assert.equal(parseFfmpegDuration("  Duration: N/A, bitrate: N/A"), null);
+  assert.equal(formatTimestamp(83.45), "1:23");
+  const packed = path.join("app", "resources", "app.asar", "node_modules", "ffmpeg-static", "ffmpeg");
+  assert.equal(resolveFfmpegPath(packed), path.join("app", "resources", "app.asar.unpacked", "node_modules", "ffmpeg-static", "ffmpeg"));
+  assert.equal(resolveFfmpegPath(null), null);
+});
+
+test("downloadVideo stops at the size limit and extractVideoFrames needs the decoder", async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "video/mp4" });
+    if (req.url === "/big") res.write(Buffer.alloc(2048));
+    res.end(Buffer.alloc(1024));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "video-test-"));
+  try {
+    assert.equal(await downloadVideo(`${base}/small`, path.join(dir, "a"), { maxBytes: 2000 }), 1024);
+    assert.equal((await fs.stat(path.join(dir, "a"))).size, 1024);
+    await assert.rejects(downloadVideo(`${base}/big`, path.join(dir, "b"), { maxBytes: 2000 }), /too large/);
+    await assert.rejects(extractVideoFrames(`${base}/small`, { ffmpegPath: path.join(dir, "no-ffmpeg") }), /ffmpeg decoder is missing/);
+  } finally {
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
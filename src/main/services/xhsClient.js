@@ -16,7 +16,8 @@ function withTimeout(promise, ms, label) {
   return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
 }
 
-async function resolveFinalUrl(inputUrl, logger) {
+// Follows redirects (xhslink.com short links → explore/<id>); the input URL when that fails.
+export async function resolveFinalUrl(inputUrl, logger) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), URL_RESOLVE_TIMEOUT_MS);
   try {
@@ -48,7 +49,7 @@ function extractFromHash(urlObj, key) {
   return sp.get(key);
 }
 
-function extractFeedIdAndToken(urlStr) {
+export function extractFeedId(urlStr) {
   let u;
   try {
     u = new URL(urlStr);
@@ -56,33 +57,39 @@ function extractFeedIdAndToken(urlStr) {
     return null;
   }
 
-  const xsecToken =
-    u.searchParams.get("xsec_token") ||
-    u.searchParams.get("xsecToken") ||
-    extractFromHash(u, "xsec_token") ||
-    extractFromHash(u, "xsecToken");
-
   const feedIdFromParams =
     u.searchParams.get("feed_id") ||
     u.searchParams.get("feedId") ||
     u.searchParams.get("note_id") ||
     u.searchParams.get("noteId") ||
     u.searchParams.get("id");
+  if (feedIdFromParams) return feedIdFromParams;
+
+  const segments = u.pathname.split("/").filter(Boolean);
+  for (let i = segments.length - 1; i >= 0; i -= 1) {
+    const seg = segments[i];
+    if (!seg) continue;
+    if (["explore", "discovery", "item", "items"].includes(seg.toLowerCase())) continue;
+    if (/^[0-9a-zA-Z]{8,}$/.test(seg)) return seg;
+  }
+  return null;
+}
 
-  let feedId = feedIdFromParams;
-  if (!feedId) {
-    const segments = u.pathname.split("/").filter(Boolean);
-    for (let i = segments.length - 1; i >= 0; i -= 1) {
-      const seg = segments[i];
-      if (!seg) continue;
-      if (["explore", "discovery", "item", "items"].includes(seg.toLowerCase())) continue;
-      if (/^[0-9a-zA-Z]{8,}$/.test(seg)) {
-        feedId = seg;
-        break;
-      }
-    }
+function extractFeedIdAndToken(urlStr) {
+  let u;
+  try {
+    u = new URL(urlStr);
+  } catch {
+    return null;
   }
 
+  const xsecToken =
+    u.searchParams.get("xsec_token") ||
+    u.searchParams.get("xsecToken") ||
+    extractFromHash(u, "xsec_token") ||
+    extractFromHash(u, "xsecToken");
+
+  const feedId = extractFeedId(urlStr);
   if (!feedId || !xsecToken) return null;
   return { feedId, xsecToken };
 }
@@ -160,7 +167,31 @@ function normalizeImages(images) {
   return out;
 }
 
-function normalizePost({ sourceUrl, raw }) {
+const isHttpUrl = (value) => typeof value === "string" && /^https?:\/\//i.test(value);
+
+// Video notes: `{ url, durationSec }`, preferring H.264 streams (the most widely decodable); `url` is
+// null when the payload marks a video without a playable link. Null for image notes.
+function normalizeVideo(note, obj) {
+  const video = note?.video ?? obj?.video ?? null;
+  if (!video && note?.type !== "video" && obj?.type !== "video") return null;
+  if (typeof video === "string") return { url: isHttpUrl(video) ? video : null, durationSec: null };
+
+  const stream = video?.media?.stream ?? {};
+  const candidates = [];
+  for (const codec of ["h264", "h265", "av1"]) {
+    for (const item of Array.isArray(stream[codec]) ? stream[codec] : []) {
+      candidates.push(item?.masterUrl, ...(Array.isArray(item?.backupUrls) ? item.backupUrls : []));
+    }
+  }
+  candidates.push(video?.url, video?.masterUrl, video?.videoUrl, note?.videoUrl, obj?.videoUrl);
+  const originKey = video?.consumer?.originVideoKey;
+  if (originKey) candidates.push(`https://sns-video-bd.xhscdn.com/${originKey}`);
+
+  const durationSec = Number(video?.capa?.duration) || Number(video?.media?.video?.duration) / 1000 || Number(video?.duration) || null;
+  return { url: candidates.find(isHttpUrl) ?? null, durationSec };
+}
+
+export function normalizePost({ sourceUrl, raw, feedId }) {
   const obj = raw && typeof raw === "object" ? raw : null;
 
   const feedDetailNote = obj?.data?.note;
@@ -180,10 +211,21 @@ function normalizePost({ sourceUrl, raw }) {
     (obj && (obj.images || obj.imageUrls || obj.pictures || obj.photos || obj.media || obj.imgs)) ||
     [];
 
+  // Video notes usually carry the cover in the image list; otherwise fall back to the cover field.
+  const video = normalizeVideo(feedDetailNote, obj);
+  const cover = (feedDetailNote && feedDetailNote.cover) || (obj && (obj.cover || obj.coverUrl));
+  const postImages = normalizeImages(images);
+
+  const user = (feedDetailNote && feedDetailNote.user) || (obj && (obj.user || obj.author));
+  const author = typeof user === "string" ? user : user?.nickname || user?.nickName || user?.name || null;
+
   return {
     sourceUrl,
+    feedId: feedId ?? null,
+    author: author ? String(author).trim() : null,
     caption: String(caption ?? "").trim(),
-    images: normalizeImages(images),
+    images: video && postImages.length === 0 && cover ? normalizeImages([cover]) : postImages,
+    video,
     raw,
   };
 }
@@ -410,7 +452,7 @@ export function createXhsClient({ logger, configStore }) {
     const text = extractTextFromToolResult(toolResult);
     const parsed = tryParseJson(text);
     const raw = parsed ?? (text ? { caption: text } : toolResult);
-    const post = normalizePost({ sourceUrl: finalUrl, raw });
+    const post = normalizePost({ sourceUrl: finalUrl, raw, feedId: feedArgs?.feedId ?? extractFeedId(finalUrl) });
 
     if (!post.caption && post.images.length === 0) {
       logger.warn("mcp returned empty post", { toolName, toolResult: safeToString(toolResult) });
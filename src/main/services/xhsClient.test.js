@@ -0,0 +1,30 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizePost } from "./xhsClient.js";
+
+test("normalizePost detects video notes and keeps the cover", () => {
+  const raw = {
+    data: {
+      note: {
+        type: "video",
+        title: "红烧肉",
+        desc: "做法看视频",
+        imageList: [{ urlDefault: "https://sns-img.xhscdn.com/cover.jpg" }],
+        video: {
+          capa: { duration: 95 },
+          media: { stream: { h265: [{ masterUrl: "https://v.xhscdn.com/a.h265.mp4" }], h264: [{ masterUrl: "https://v.xhscdn.com/a.mp4" }] } },
+        },
+      },
+    },
+  };
+  const post = normalizePost({ sourceUrl: "https://www.xiaohongshu.com/explore/abc", raw, feedId: "abc" });
+  assert.deepEqual(post.video, { url: "https://v.xhscdn.com/a.mp4", durationSec: 95 });
+  assert.equal(post.images.length, 1);
+  assert.equal(post.images[0].source.url, "https://sns-img.xhscdn.com/cover.jpg");
+
+  const noLink = normalizePost({ sourceUrl: "", raw: { type: "video", caption: "x", cover: "https://img/c.jpg" } });
+  assert.deepEqual(noLink.video, { url: null, durationSec: null });
+  assert.deepEqual(noLink.images.map((i) => i.previewUrl), ["https://img/c.jpg"]);
+
+  assert.equal(normalizePost({ sourceUrl: "", raw: { caption: "x", images: ["https://img/1.jpg"] } }).video, null);
+});
@@ -1,4 +1,7 @@
 import { extractFirstHttpsUrl } from "../shared/urlSanitizer.js";
+import { scaleQuantitiesInText, scaleQuantity } from "../shared/quantity.js";
+import { diffLines, summarizeDiff } from "../shared/textDiff.js";
+import { convertMeasurementsInText, convertQuantityText, convertTemperaturesInText } from "../shared/unitConversion.js";
 
 const $ = (id) => document.getElementById(id);
 
@@ -13,6 +16,8 @@ const ui = {
 
   fetchBtn: $("fetchBtn"),
   clearBtn: $("clearBtn"),
+  manualPostBtn: $("manualPostBtn"),
+  libraryBtn: $("libraryBtn"),
   settingsBtn: $("settingsBtn"),
   statusLine: $("statusLine"),
 
@@ -21,8 +26,19 @@ const ui = {
 
   generateBtn: $("generateBtn"),
   copyBtn: $("copyBtn"),
+  saveLibraryBtn: $("saveLibraryBtn"),
   exportBtn: $("exportBtn"),
   outputBox: $("outputBox"),
+  outputHighlights: $("outputHighlights"),
+  derivedView: $("derivedView"),
+  derivedViewHint: $("derivedViewHint"),
+  scaleSelect: $("scaleSelect"),
+  unitsSelect: $("unitsSelect"),
+  languageViewGroup: $("languageViewGroup"),
+  languageViewSelect: $("languageViewSelect"),
+  customServings: $("customServings"),
+  servingsFromInput: $("servingsFromInput"),
+  servingsToInput: $("servingsToInput"),
 
   logsPanel: $("logsPanel"),
   refreshLogsBtn: $("refreshLogsBtn"),
@@ -30,6 +46,7 @@ const ui = {
   logsBox: $("logsBox"),
 
   refreshImagesBtn: $("refreshImagesBtn"),
+  addImagesBtn: $("addImagesBtn"),
   resetEditsBtn: $("resetEditsBtn"),
 
   settingsDialog: $("settingsDialog"),
@@ -41,8 +58,84 @@ const ui = {
   mcpCommandInput: $("mcpCommandInput"),
   mcpArgsInput: $("mcpArgsInput"),
   mcpToolInput: $("mcpToolInput"),
+  pageSizeInput: $("pageSizeInput"),
+  watchClipboardInput: $("watchClipboardInput"),
+  apiEnabledInput: $("apiEnabledInput"),
+  apiPortInput: $("apiPortInput"),
+  apiAllowLanInput: $("apiAllowLanInput"),
+  apiTokenInput: $("apiTokenInput"),
+  copyApiTokenBtn: $("copyApiTokenBtn"),
+  regenerateApiTokenBtn: $("regenerateApiTokenBtn"),
+  apiStatus: $("apiStatus"),
+  promptTemplateSelect: $("promptTemplateSelect"),
+  usePromptTemplateBtn: $("usePromptTemplateBtn"),
+  newPromptTemplateBtn: $("newPromptTemplateBtn"),
+  duplicatePromptTemplateBtn: $("duplicatePromptTemplateBtn"),
+  deletePromptTemplateBtn: $("deletePromptTemplateBtn"),
+  promptTemplateMeta: $("promptTemplateMeta"),
+  promptTemplateNameInput: $("promptTemplateNameInput"),
+  promptTemplateSystemInput: $("promptTemplateSystemInput"),
+  promptTemplateUserInput: $("promptTemplateUserInput"),
+  promptTemplateProvenanceInput: $("promptTemplateProvenanceInput"),
+  promptPlaceholdersHint: $("promptPlaceholdersHint"),
+  savePromptTemplateBtn: $("savePromptTemplateBtn"),
   saveSettingsBtn: $("saveSettingsBtn"),
 
+  libraryDialog: $("libraryDialog"),
+  librarySearchInput: $("librarySearchInput"),
+  libraryIngredientInput: $("libraryIngredientInput"),
+  libraryTagInput: $("libraryTagInput"),
+  libraryAuthorInput: $("libraryAuthorInput"),
+  libraryFromInput: $("libraryFromInput"),
+  libraryToInput: $("libraryToInput"),
+  clearLibrarySearchBtn: $("clearLibrarySearchBtn"),
+  libraryCount: $("libraryCount"),
+  libraryList: $("libraryList"),
+  openLibraryFolderBtn: $("openLibraryFolderBtn"),
+  shoppingListBtn: $("shoppingListBtn"),
+  shoppingDialog: $("shoppingDialog"),
+  shoppingFormatSelect: $("shoppingFormatSelect"),
+  shoppingListBox: $("shoppingListBox"),
+  copyShoppingListBtn: $("copyShoppingListBtn"),
+  exportShoppingListBtn: $("exportShoppingListBtn"),
+  batchBtn: $("batchBtn"),
+  batchDialog: $("batchDialog"),
+  batchInput: $("batchInput"),
+  importBatchFileBtn: $("importBatchFileBtn"),
+  batchConcurrencyInput: $("batchConcurrencyInput"),
+  batchDestinationSelect: $("batchDestinationSelect"),
+  pickBatchFolderBtn: $("pickBatchFolderBtn"),
+  batchFolderLabel: $("batchFolderLabel"),
+  enqueueBatchBtn: $("enqueueBatchBtn"),
+  batchSummary: $("batchSummary"),
+  batchList: $("batchList"),
+  cancelBatchBtn: $("cancelBatchBtn"),
+  clearFinishedBatchBtn: $("clearFinishedBatchBtn"),
+  historyBtn: $("historyBtn"),
+  historyDialog: $("historyDialog"),
+  historyLeftSelect: $("historyLeftSelect"),
+  historyRightSelect: $("historyRightSelect"),
+  historySummary: $("historySummary"),
+  historyDiff: $("historyDiff"),
+  cherryPickBtn: $("cherryPickBtn"),
+  restoreGenerationBtn: $("restoreGenerationBtn"),
+  plannerBtn: $("plannerBtn"),
+  plannerDialog: $("plannerDialog"),
+  plannerPrevBtn: $("plannerPrevBtn"),
+  plannerNextBtn: $("plannerNextBtn"),
+  plannerThisWeekBtn: $("plannerThisWeekBtn"),
+  plannerWeekLabel: $("plannerWeekLabel"),
+  plannerSearchInput: $("plannerSearchInput"),
+  plannerRecipeList: $("plannerRecipeList"),
+  plannerGrid: $("plannerGrid"),
+  plannerShoppingListBtn: $("plannerShoppingListBtn"),
+  plannerExportIcsBtn: $("plannerExportIcsBtn"),
+
+  manualPostDialog: $("manualPostDialog"),
+  manualCaptionInput: $("manualCaptionInput"),
+  manualSourceInput: $("manualSourceInput"),
+  createManualPostBtn: $("createManualPostBtn"),
+
   confirmClearDialog: $("confirmClearDialog"),
   confirmClearBtn: $("confirmClearBtn"),
 };
@@ -52,6 +145,22 @@ const state = {
   selectedImageId: null,
   deletedImageIds: new Set(),
   imagePreviews: new Map(), // id -> dataUrl
+  recipe: null,
+  recipeMarkdown: null,
+  languageView: null,
+  promptTemplates: null,
+  provenance: null,
+  provenanceImageIds: [],
+  validation: null,
+  validationCaption: null,
+  libraryEntryId: null, // library entry the output was opened from or last saved to
+  librarySelection: new Set(), // library ids ticked for the shopping list
+  shoppingList: null, // { items, markdown, text }
+  batchItems: [], // snapshots from batch:update
+  batchUnsub: null,
+  generations: [], // generation summaries for the current post, newest first
+  generationCache: new Map(), // generation id -> full generation
+  plannerWeek: null, // { weekStart, meals, slots, baseServings } from planner:get
   fetching: false,
   generating: false,
   config: null,
@@ -60,6 +169,7 @@ const state = {
   currentFetchRequestId: null,
   currentGenerateRequestId: null,
   mcpStatusUnsub: null,
+  clipboardUnsub: null,
 };
 
 function getBridge() {
@@ -100,7 +210,8 @@ function setBanner(key, { kind = "info", title, message, actions = [] }) {
     btn.className = "ghost small";
     btn.textContent = a.label;
     btn.addEventListener("click", () => {
-      if (a.id === "openSettings") ui.settingsBtn.click();
+      if (a.onClick) a.onClick();
+      else if (a.id === "openSettings") ui.settingsBtn.click();
     });
     right.appendChild(btn);
   }
@@ -117,40 +228,220 @@ function clearBanner(key) {
   banners.delete(key);
 }
 
-function detectHallucinationCues(markdown, outputLanguage) {
-  const text = String(markdown ?? "");
-  const patterns =
-    outputLanguage === "en"
-      ? [
-          /\boptional\b/gi,
-          /\bsubstitut(e|ion)s?\b/gi,
-          /\brecommend\b/gi,
-          /\busually\b/gi,
-          /\bgenerally\b/gi,
-          /\btips?\b/gi,
-        ]
-      : [/建议/g, /最好/g, /通常/g, /可选/g, /替换/g, /小贴士/g, /贴士/g];
-
-  const hits = new Set();
-  for (const re of patterns) {
-    const m = text.match(re);
-    if (!m) continue;
-    for (const w of m) hits.add(String(w).toLowerCase());
-  }
-  return Array.from(hits).slice(0, 8);
-}
-
-function updateHallucinationBanner({ markdown }) {
-  const lang = state.config?.ui?.outputLanguage ?? ui.outputLanguageInput.value ?? "zh-Hans";
-  const hits = detectHallucinationCues(markdown, lang);
-  if (hits.length === 0) {
-    clearBanner("hallucination");
+const GROUNDING_CLAIM_LABELS = {
+  ingredient: "ingredient",
+  tool: "tool",
+  quantity: "quantity",
+  time: "time",
+  temperature: "temperature",
+  text: "text",
+  cue: "inferred wording",
+};
+
+function updateGroundingBanner(validation) {
+  const summary = validation?.summary;
+  if (!summary || (summary.notFound === 0 && summary.partial === 0)) {
+    clearBanner("grounding");
     return;
   }
-  setBanner("hallucination", {
+  const parts = [];
+  if (summary.notFound) parts.push(`${summary.notFound} line(s) not found in source`);
+  if (summary.partial) parts.push(`${summary.partial} line(s) partly found`);
+  setBanner("grounding", {
     kind: "warn",
-    title: "Validation",
-    message: "Output may include inferred content; consider regenerating.",
+    title: "Grounding",
+    message: `${parts.join(", ")}. Highlighted lines may include inferred content; consider regenerating.`,
+  });
+}
+
+// Provenance entries carry the stripped line text, so they are re-matched after edits move lines.
+function getProvenanceByLine() {
+  const byLine = new Map();
+  const pending = [...(state.provenance?.lines ?? [])];
+  ui.outputBox.value.split("\n").forEach((row, i) => {
+    const entry = takeMatch(pending, row.trim(), (p) => p.text);
+    if (entry) byLine.set(i, entry);
+  });
+  return byLine;
+}
+
+function renderGroundingHighlights() {
+  if (!ui.outputHighlights) return;
+  const byLine = new Map((state.validation?.lines ?? []).map((l) => [l.line, l]));
+  const provenance = getProvenanceByLine();
+  const frag = document.createDocumentFragment();
+  const rows = ui.outputBox.value.split("\n");
+  rows.forEach((row, i) => {
+    const result = byLine.get(i);
+    const el = document.createElement(result && result.status !== "unchecked" ? "mark" : "span");
+    if (el.tagName === "MARK") el.dataset.status = result.status;
+    if (provenance.has(i)) el.dataset.provenance = provenance.get(i).source;
+    el.dataset.line = String(i);
+    el.textContent = row;
+    frag.appendChild(el);
+    if (i < rows.length - 1) frag.appendChild(document.createTextNode("\n"));
+  });
+  frag.appendChild(document.createTextNode(" "));
+  ui.outputHighlights.replaceChildren(frag);
+  ui.outputHighlights.scrollTop = ui.outputBox.scrollTop;
+}
+
+function describeGroundingLine(result) {
+  if (!result) return "";
+  if (result.status === "unchecked") return "Nothing to check on this line";
+  return result.claims
+    .map((c) => {
+      const label = GROUNDING_CLAIM_LABELS[c.kind] ?? c.kind;
+      if (c.kind === "cue") return `${label} "${c.text}"`;
+      return c.found ? `${label} "${c.text}": found in ${c.source}` : `${label} "${c.text}": not found in source`;
+    })
+    .join("\n");
+}
+
+function describeProvenance(entry) {
+  if (!entry) return "";
+  const quote = entry.quote ? ` "${entry.quote}"` : "";
+  if (entry.source === "image") {
+    const position = entry.image == null ? "?" : entry.image + 1;
+    return `Source: image ${position}${quote} (Ctrl+click to show)`;
+  }
+  return `Source: caption${quote}${entry.span ? " (Ctrl+click to show)" : ""}`;
+}
+
+function describeOutputLine(lineIndex) {
+  const result = (state.validation?.lines ?? []).find((l) => l.line === lineIndex);
+  return [describeProvenance(getProvenanceByLine().get(lineIndex)), describeGroundingLine(result)].filter(Boolean).join("\n");
+}
+
+function updateGroundingTooltip() {
+  const caret = ui.outputBox.selectionStart ?? 0;
+  ui.outputBox.title = describeOutputLine(ui.outputBox.value.slice(0, caret).split("\n").length - 1);
+}
+
+// The highlight overlay mirrors the textarea's wrapping, so its per-line spans locate the row under the pointer.
+function outputLineAtPoint(x, y) {
+  for (const el of ui.outputHighlights.querySelectorAll("[data-line]")) {
+    for (const rect of el.getClientRects()) {
+      if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) return Number(el.dataset.line);
+    }
+  }
+  return null;
+}
+
+function flashElement(el) {
+  el.classList.remove("flash");
+  void el.offsetWidth;
+  el.classList.add("flash");
+  setTimeout(() => el.classList.remove("flash"), 1600);
+}
+
+function jumpToProvenance(entry) {
+  if (entry.source === "image") {
+    const id = entry.image == null ? null : state.provenanceImageIds[entry.image];
+    const thumb = id ? [...ui.imagesGrid.querySelectorAll(".thumb")].find((el) => el.dataset.imageId === id) : null;
+    if (!thumb) {
+      setStatus("Source image is no longer in the list");
+      return;
+    }
+    thumb.scrollIntoView({ block: "nearest", behavior: "smooth" });
+    flashElement(thumb);
+    return;
+  }
+  const caption = ui.captionBox.value;
+  const quote = entry.quote || entry.text;
+  const useSpan = caption === state.validationCaption && entry.span;
+  const start = useSpan ? entry.span.start : caption.indexOf(quote);
+  const end = useSpan ? entry.span.end : start + quote.length;
+  if (start < 0) {
+    setStatus("Source text is no longer in the caption");
+    return;
+  }
+  ui.captionBox.focus();
+  ui.captionBox.setSelectionRange(start, end);
+  // Re-focusing scrolls the selection into view.
+  ui.captionBox.blur();
+  ui.captionBox.focus();
+}
+
+function setValidation(validation) {
+  state.validation = validation ?? null;
+  renderGroundingHighlights();
+  updateGroundingBanner(state.validation);
+}
+
+let revalidateTimer = null;
+function scheduleRevalidation() {
+  if (revalidateTimer) clearTimeout(revalidateTimer);
+  if (state.validation) {
+    state.validation = null;
+    renderGroundingHighlights();
+  }
+  if (state.validationCaption == null || !ui.outputBox.value.trim()) {
+    clearBanner("grounding");
+    return;
+  }
+  const token = state.sessionToken;
+  revalidateTimer = setTimeout(async () => {
+    revalidateTimer = null;
+    try {
+      const markdown = ui.outputBox.value;
+      const validation = await getBridge().validateRecipe({ markdown, caption: state.validationCaption });
+      if (state.sessionToken !== token || ui.outputBox.value !== markdown) return;
+      setValidation(validation);
+    } catch (err) {
+      setStatus(`Error: ${err?.message ?? err}`);
+    }
+  }, 500);
+}
+
+const SECTION_LABELS = {
+  title: "Title",
+  ingredients: "Ingredients",
+  steps: "Steps",
+  quantities: "Quantities",
+  tools: "Tools",
+};
+
+function describeFormatRepair(repair) {
+  const section = SECTION_LABELS[repair?.section] ?? repair?.section ?? "";
+  switch (repair?.code) {
+    case "stripped_code_fence":
+      return "removed code fence";
+    case "removed_preamble":
+      return "removed text before the first heading";
+    case "removed_trailing_chatter":
+      return "removed text after the last section";
+    case "added_missing_heading":
+      return `added missing ${section} heading`;
+    case "merged_duplicate_section":
+      return `merged duplicate ${section} sections`;
+    case "localized_heading":
+      return `replaced heading "${repair.from}"`;
+    case "reordered_sections":
+      return "reordered sections";
+    case "title_from_heading":
+      return "moved title under the Title heading";
+    case "unknown_section":
+      return `kept extra section "${repair.from}"`;
+    case "no_sections_found":
+      return "no recipe headings found";
+    default:
+      return String(repair?.code ?? "");
+  }
+}
+
+function updateFormatBanner(repairs) {
+  const list = Array.isArray(repairs) ? repairs : [];
+  if (list.length === 0) {
+    clearBanner("format");
+    return;
+  }
+  const descriptions = Array.from(new Set(list.map(describeFormatRepair).filter(Boolean)));
+  const noSections = list.some((r) => r.code === "no_sections_found");
+  setBanner("format", {
+    kind: noSections ? "warn" : "info",
+    title: "Format",
+    message: `Output was repaired: ${descriptions.join("; ")}.`,
   });
 }
 
@@ -161,7 +452,12 @@ function setBusy({ fetching, generating }) {
   ui.fetchBtn.disabled = state.fetching || state.generating;
   ui.generateBtn.disabled = state.generating || !state.post;
   ui.copyBtn.disabled = state.generating || !ui.outputBox.value.trim();
+  ui.historyBtn.disabled = state.generating || !state.post;
+  ui.saveLibraryBtn.disabled = state.generating || !ui.outputBox.value.trim();
   ui.exportBtn.disabled = state.generating || !ui.outputBox.value.trim();
+  ui.scaleSelect.disabled = state.generating || !ui.outputBox.value.trim();
+  ui.unitsSelect.disabled = state.generating || !ui.outputBox.value.trim();
+  ui.languageViewSelect.disabled = state.generating || !ui.outputBox.value.trim();
 }
 
 function validateUrl(input) {
@@ -259,7 +555,8 @@ function renderImages() {
     const div = document.createElement("button");
     div.className = "thumb";
     div.type = "button";
-    div.title = img.id;
+    div.title = img.name ?? img.id;
+    div.dataset.imageId = img.id;
     if (img.id === state.selectedImageId) div.dataset.selected = "true";
 
     const el = document.createElement("img");
@@ -319,21 +616,276 @@ function resetEdits() {
 ui.refreshImagesBtn.addEventListener("click", downloadPreviewsForCurrentPost);
 ui.resetEditsBtn.addEventListener("click", resetEdits);
 
-function getSelectedImagePayloads() {
+const MAX_POST_IMAGES = 40;
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(reader.error ?? new Error(`Could not read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
+
+// Appends imported images to the current post, or starts a post without a URL (caption typed by hand).
+function addLocalImages({ images, skipped, key }) {
+  const skippedNote = skipped?.length ? `; skipped ${skipped.join(", ")}` : "";
+  if (!images?.length) {
+    setStatus(`No images added${skippedNote}`);
+    return;
+  }
+  if (!state.post) {
+    state.post = { sourceUrl: "", feedId: key, author: null, caption: ui.captionBox.value ?? "", images: [] };
+    state.libraryEntryId = null;
+    state.deletedImageIds = new Set();
+    state.imagePreviews = new Map();
+  }
+  const added = images.slice(0, Math.max(0, MAX_POST_IMAGES - state.post.images.length));
+  state.post.images = [...state.post.images, ...added];
+  for (const img of added) state.imagePreviews.set(img.id, img.previewUrl);
+  if (!state.selectedImageId || state.deletedImageIds.has(state.selectedImageId)) state.selectedImageId = added[0]?.id ?? null;
+  renderImages();
+  setBusy({});
+  const overflowNote = added.length < images.length ? `; ${images.length - added.length} over the ${MAX_POST_IMAGES}-image limit` : "";
+  setStatus(`Added ${added.length} image(s)${overflowNote}${skippedNote}`);
+}
+
+async function importImageFiles(files) {
+  const images = files.filter((f) => f.type.startsWith("image/"));
+  if (images.length === 0) return;
+  try {
+    setStatus("Adding images...");
+    const payload = await Promise.all(
+      images.slice(0, MAX_POST_IMAGES).map(async (f) => ({ name: f.name || "pasted image", dataUrl: await readFileAsDataUrl(f) }))
+    );
+    addLocalImages(await getBridge().importLocalImages(payload));
+  } catch (err) {
+    setStatus(`Error: ${err?.message ?? err}`);
+  }
+}
+
+ui.addImagesBtn.addEventListener("click", async () => {
+  try {
+    const res = await getBridge().pickLocalImages();
+    if (!res?.canceled) addLocalImages(res);
+  } catch (err) {
+    setStatus(`Error: ${err?.message ?? err}`);
+  }
+});
+
+// Files dropped anywhere in the window are added (and never open as a page).
+function draggingFiles(ev) {
+  return Array.from(ev.dataTransfer?.types ?? []).includes("Files");
+}
+
+document.addEventListener("dragover", (ev) => {
+  if (!draggingFiles(ev)) return;
+  ev.preventDefault();
+  ev.dataTransfer.dropEffect = "copy";
+  ui.imagesGrid.classList.add("dropActive");
+});
+
+document.addEventListener("dragleave", (ev) => {
+  if (!ev.relatedTarget) ui.imagesGrid.classList.remove("dropActive");
+});
+
+document.addEventListener("drop", (ev) => {
+  if (!draggingFiles(ev)) return;
+  ev.preventDefault();
+  ui.imagesGrid.classList.remove("dropActive");
+  void importImageFiles(Array.from(ev.dataTransfer.files ?? []));
+});
+
+// Pasted images (e.g. a screenshot) are added; pasted text is left alone.
+document.addEventListener("paste", (ev) => {
+  if (document.querySelector("dialog[open]")) return;
+  const files = Array.from(ev.clipboardData?.files ?? []).filter((f) => f.type.startsWith("image/"));
+  if (files.length === 0) return;
+  ev.preventDefault();
+  void importImageFiles(files);
+});
+
+function getSelectedImages() {
   if (!state.post) return [];
   const images = (state.post.images ?? []).filter((img) => !state.deletedImageIds.has(img.id));
   if (images.length === 0) return [];
   const selected = images.find((i) => i.id === state.selectedImageId) ?? images[0];
-  const ordered = [selected, ...images.filter((i) => i.id !== selected.id)];
-  return ordered.map((i) => i.source).filter(Boolean);
+  return [selected, ...images.filter((i) => i.id !== selected.id)].filter((i) => i.source);
+}
+
+function getSelectedImagePayloads() {
+  return getSelectedImages().map((i) => i.source);
+}
+
+async function getCurrentRecipe() {
+  const markdown = ui.outputBox.value;
+  if (!markdown.trim()) return null;
+  if (state.recipe && state.recipeMarkdown === markdown) return state.recipe;
+  const recipe = await getBridge().parseRecipe({
+    markdown,
+    sourceUrl: state.recipe?.source?.url ?? state.post?.sourceUrl,
+    sourceLabel: state.recipe?.source?.label ?? state.post?.sourceLabel ?? undefined,
+    feedId: state.recipe?.source?.feedId ?? state.post?.feedId ?? undefined,
+    model: state.recipe?.source?.model ?? undefined,
+    promptTemplate: state.recipe?.source?.promptTemplate ?? undefined,
+  });
+  state.recipe = recipe;
+  state.recipeMarkdown = markdown;
+  return recipe;
+}
+
+function getScaleFactor() {
+  if (ui.scaleSelect.value !== "custom") return Number(ui.scaleSelect.value) || 1;
+  const from = Number(ui.servingsFromInput.value);
+  const to = Number(ui.servingsToInput.value);
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from <= 0 || to <= 0) return 1;
+  return to / from;
 }
 
+function deriveLine(row, raw, transform) {
+  const idx = row.lastIndexOf(raw);
+  if (idx === -1 || row.slice(idx + raw.length).trim()) return null;
+  const next = transform(raw);
+  return { text: `${row.slice(0, idx)}${next.text}`, notes: next.notes ?? [] };
+}
+
+function takeMatch(pending, trimmed, getRaw) {
+  const idx = pending.findIndex((item) => getRaw(item) && trimmed.endsWith(getRaw(item)));
+  return idx === -1 ? null : pending.splice(idx, 1)[0];
+}
+
+function buildDerivedLines(markdown, recipe, { factor, units }) {
+  const pendingIngredients = [...(recipe?.ingredients ?? [])];
+  const pendingQuantities = [...(recipe?.quantities ?? [])];
+  const pendingSteps = [...(recipe?.steps ?? [])];
+
+  function deriveIngredient(ingredient) {
+    return (raw) => {
+      if (!ingredient.quantity) return { text: raw };
+      const scaled = scaleQuantity(ingredient.quantity, factor);
+      const converted = convertQuantityText(scaled, { system: units, ingredientName: ingredient.name });
+      return { text: raw.replace(ingredient.quantity, converted.text), notes: converted.notes };
+    };
+  }
+
+  function deriveQuantities(raw) {
+    return convertMeasurementsInText(scaleQuantitiesInText(raw, factor), { system: units });
+  }
+
+  function deriveStep(raw) {
+    return convertTemperaturesInText(raw, units);
+  }
+
+  return String(markdown ?? "")
+    .split("\n")
+    .map((row) => {
+      const trimmed = row.trim();
+      let derived = null;
+      const ingredient = takeMatch(pendingIngredients, trimmed, (i) => i.raw);
+      if (ingredient) derived = deriveLine(row, ingredient.raw, deriveIngredient(ingredient));
+      else {
+        const quantityLine = takeMatch(pendingQuantities, trimmed, (q) => q);
+        if (quantityLine) derived = deriveLine(row, quantityLine, deriveQuantities);
+        else {
+          const step = takeMatch(pendingSteps, trimmed, (st) => st.text);
+          if (step) derived = deriveLine(row, step.text, deriveStep);
+        }
+      }
+      const text = derived?.text ?? row;
+      return { text, original: row, changed: text !== row, notes: derived?.notes ?? [] };
+    });
+}
+
+function showDerivedView(visible) {
+  ui.derivedView.hidden = !visible;
+  ui.derivedViewHint.hidden = !visible;
+  ui.outputHighlights.hidden = visible;
+}
+
+// Single-language view of bilingual output; null when showing the text as written.
+async function getLanguageView() {
+  const lang = ui.languageViewSelect.value;
+  const markdown = ui.outputBox.value;
+  if (ui.languageViewGroup.hidden || lang === "both" || !markdown.trim()) return null;
+  if (state.languageView?.lang === lang && state.languageView.source === markdown) return state.languageView;
+  const res = await getBridge().splitBilingualRecipe({
+    markdown,
+    lang,
+    sourceUrl: state.recipe?.source?.url ?? state.post?.sourceUrl,
+    sourceLabel: state.recipe?.source?.label ?? state.post?.sourceLabel ?? undefined,
+    model: state.recipe?.source?.model ?? undefined,
+  });
+  state.languageView = { lang, source: markdown, markdown: res.markdown, recipe: res.recipe };
+  return state.languageView;
+}
+
+let derivedViewSeq = 0;
+async function renderDerivedView() {
+  const seq = (derivedViewSeq += 1);
+  ui.customServings.hidden = ui.scaleSelect.value !== "custom";
+  const factor = getScaleFactor();
+  const units = ui.unitsSelect.value;
+  const splitLanguage = !ui.languageViewGroup.hidden && ui.languageViewSelect.value !== "both";
+  if ((factor === 1 && units === "original" && !splitLanguage) || !ui.outputBox.value.trim()) {
+    showDerivedView(false);
+    return;
+  }
+  try {
+    const languageView = await getLanguageView();
+    const recipe = languageView?.recipe ?? (await getCurrentRecipe());
+    if (seq !== derivedViewSeq) return;
+    const lines = buildDerivedLines(languageView?.markdown ?? ui.outputBox.value, recipe, { factor, units });
+    const frag = document.createDocumentFragment();
+    lines.forEach((line, i) => {
+      if (line.changed || line.notes.length) {
+        const mark = document.createElement("mark");
+        mark.textContent = line.text;
+        mark.title = [line.original.trim(), ...line.notes].join("\n");
+        if (line.notes.length) mark.dataset.notes = "true";
+        frag.appendChild(mark);
+      } else {
+        frag.appendChild(document.createTextNode(line.text));
+      }
+      if (i < lines.length - 1) frag.appendChild(document.createTextNode("\n"));
+    });
+    ui.derivedView.replaceChildren(frag);
+    showDerivedView(true);
+  } catch (err) {
+    setStatus(`Error: ${err?.message ?? err}`);
+  }
+}
+
+function resetDerivedView() {
+  ui.scaleSelect.value = "1";
+  void renderDerivedView();
+}
+
+ui.scaleSelect.addEventListener("change", renderDerivedView);
+ui.unitsSelect.addEventListener("change", renderDerivedView);
+ui.languageViewSelect.addEventListener("change", renderDerivedView);
+ui.servingsFromInput.addEventListener("input", renderDerivedView);
+ui.servingsToInput.addEventListener("input", renderDerivedView);
+
 function suggestedFileName(markdown) {
   const firstLine = String(markdown ?? "").split("\n")[0] ?? "";
   const title = firstLine.replace(/^#+\s*/, "").trim();
   return title || "recipe";
 }
 
+function renderOutputLanguageOptions(languages) {
+  const ids = languages.map((l) => l.id).join(",");
+  if (ui.outputLanguageInput.dataset.ids === ids) return;
+  ui.outputLanguageInput.replaceChildren(
+    ...languages.map((l) => {
+      const option = document.createElement("option");
+      option.value = l.id;
+      option.textContent = l.label;
+      return option;
+    })
+  );
+  ui.outputLanguageInput.dataset.ids = ids;
+}
+
 async function refreshConfig() {
   state.config = await getBridge().getConfig();
   ui.modelInput.value = state.config?.openai?.model ?? "gpt-4o-mini";
@@ -343,7 +895,16 @@ async function refreshConfig() {
   ui.mcpArgsInput.value = Array.isArray(state.config?.mcp?.args) ? state.config.mcp.args.join(" ") : "";
   ui.mcpToolInput.value = state.config?.mcp?.toolName ?? "";
   ui.mcpExePathInput.value = state.config?.mcp?.exePath ?? "";
+  renderOutputLanguageOptions(state.config?.outputLanguages ?? []);
   ui.outputLanguageInput.value = state.config?.ui?.outputLanguage ?? "zh-Hans";
+  ui.pageSizeInput.value = state.config?.ui?.pageSize ?? "A4";
+  ui.watchClipboardInput.checked = Boolean(state.config?.ui?.watchClipboard);
+  ui.apiEnabledInput.checked = Boolean(state.config?.api?.enabled);
+  ui.apiPortInput.value = String(state.config?.api?.port ?? 18061);
+  ui.apiAllowLanInput.checked = Boolean(state.config?.api?.allowLan);
+  ui.apiTokenInput.value = state.config?.api?.token ?? "";
+  ui.languageViewGroup.hidden = ui.outputLanguageInput.value !== "bilingual";
+  void renderDerivedView();
 
   if (state.config?.openai?.hasApiKey) setStatus("OpenAI key: OK");
   else setStatus("OpenAI key missing: set OPENAI_API_KEY in .env");
@@ -360,6 +921,16 @@ function updateSettingsVisibility() {
 
 ui.mcpTransportInput.addEventListener("change", updateSettingsVisibility);
 
+async function refreshApiStatus() {
+  const status = await getBridge().getApiStatus();
+  if (status.running) {
+    const host = status.host === "0.0.0.0" ? "this computer's LAN address" : status.host;
+    ui.apiStatus.textContent = `Listening on http://${host}:${status.port} (send the token as "Authorization: Bearer …")`;
+  } else {
+    ui.apiStatus.textContent = status.error ? `Not running: ${status.error}` : "Off";
+  }
+}
+
 async function refreshLogs() {
   const logs = await getBridge().getLogs();
   ui.logsBox.textContent = logs
@@ -370,16 +941,131 @@ async function refreshLogs() {
     .join("\n");
 }
 
+function currentPromptTemplate() {
+  return state.promptTemplates?.templates.find((t) => t.id === ui.promptTemplateSelect.value) ?? null;
+}
+
+function renderPromptTemplateEditor() {
+  const template = currentPromptTemplate();
+  const readOnly = !template || template.builtIn;
+  ui.promptTemplateNameInput.value = template?.name ?? "";
+  ui.promptTemplateSystemInput.value = template?.system ?? "";
+  ui.promptTemplateUserInput.value = template?.user ?? "";
+  ui.promptTemplateProvenanceInput.checked = Boolean(template?.provenance);
+  ui.promptTemplateProvenanceInput.disabled = readOnly;
+  for (const el of [ui.promptTemplateNameInput, ui.promptTemplateSystemInput, ui.promptTemplateUserInput]) el.readOnly = readOnly;
+  ui.savePromptTemplateBtn.disabled = readOnly;
+  ui.deletePromptTemplateBtn.disabled = readOnly;
+  ui.usePromptTemplateBtn.disabled = !template || template.id === state.promptTemplates.selectedId;
+  const parts = template ? [`v${template.version}`] : [];
+  if (template?.builtIn) parts.push("built-in, read-only (duplicate to edit)");
+  if (template?.id === state.promptTemplates?.selectedId) parts.push("used for generation");
+  ui.promptTemplateMeta.textContent = parts.join(" · ");
+}
+
+function renderPromptTemplates(data, focusId) {
+  state.promptTemplates = data;
+  ui.promptTemplateSelect.replaceChildren(
+    ...data.templates.map((t) => {
+      const option = document.createElement("option");
+      option.value = t.id;
+      option.textContent = `${t.name}${t.builtIn ? " (built-in)" : ""}${t.id === data.selectedId ? " ✓" : ""}`;
+      return option;
+    })
+  );
+  ui.promptTemplateSelect.value = focusId && data.templates.some((t) => t.id === focusId) ? focusId : data.selectedId;
+  ui.promptPlaceholdersHint.textContent = `Placeholders: ${data.placeholders.map((p) => `{{${p.name}}} ${p.description}`).join("; ")}`;
+  renderPromptTemplateEditor();
+}
+
+async function refreshPromptTemplates(focusId) {
+  renderPromptTemplates(await getBridge().listPromptTemplates(), focusId);
+}
+
+async function runPromptTemplateAction(action) {
+  try {
+    await action();
+  } catch (err) {
+    setStatus(`Error: ${err?.message ?? err}`);
+  }
+}
+
+ui.promptTemplateSelect.addEventListener("change", renderPromptTemplateEditor);
+ui.usePromptTemplateBtn.addEventListener("click", () =>
+  runPromptTemplateAction(async () => {
+    const id = ui.promptTemplateSelect.value;
+    renderPromptTemplates(await getBridge().selectPromptTemplate(id), id);
+    setStatus("Prompt template selected");
+  })
+);
+ui.newPromptTemplateBtn.addEventListener("click", () =>
+  runPromptTemplateAction(async () => {
+    const created = await getBridge().savePromptTemplate({
+      name: "New template",
+      system: "{{defaultSystemPrompt}}",
+      user: "Source URL:\n{{sourceUrl}}\n\nCaption:\n{{caption}}",
+      provenance: true,
+    });
+    await refreshPromptTemplates(created.id);
+  })
+);
+ui.duplicatePromptTemplateBtn.addEventListener("click", () =>
+  runPromptTemplateAction(async () => {
+    const created = await getBridge().duplicatePromptTemplate(ui.promptTemplateSelect.value);
+    await refreshPromptTemplates(created.id);
+  })
+);
+ui.deletePromptTemplateBtn.addEventListener("click", () =>
+  runPromptTemplateAction(async () => {
+    renderPromptTemplates(await getBridge().deletePromptTemplate(ui.promptTemplateSelect.value));
+  })
+);
+ui.savePromptTemplateBtn.addEventListener("click", () =>
+  runPromptTemplateAction(async () => {
+    const saved = await getBridge().savePromptTemplate({
+      id: ui.promptTemplateSelect.value,
+      name: ui.promptTemplateNameInput.value.trim() || "Untitled",
+      system: ui.promptTemplateSystemInput.value,
+      user: ui.promptTemplateUserInput.value,
+      provenance: ui.promptTemplateProvenanceInput.checked,
+    });
+    await refreshPromptTemplates(saved.id);
+    setStatus(`Prompt template saved (v${saved.version})`);
+  })
+);
+
 ui.settingsBtn.addEventListener("click", async () => {
   try {
     await refreshConfig();
+    await refreshPromptTemplates();
     updateSettingsVisibility();
+    await refreshApiStatus();
     ui.settingsDialog.showModal();
   } catch (err) {
     setStatus(`Error: ${err?.message ?? err}`);
   }
 });
 
+ui.copyApiTokenBtn.addEventListener("click", async () => {
+  try {
+    if (!ui.apiTokenInput.value) throw new Error("Enable the API and save to create a token.");
+    await getBridge().copyToClipboard(ui.apiTokenInput.value);
+    setStatus("API token copied");
+  } catch (err) {
+    setStatus(`Error: ${err?.message ?? err}`);
+  }
+});
+
+ui.regenerateApiTokenBtn.addEventListener("click", async () => {
+  try {
+    state.config = await getBridge().saveConfig({ api: { regenerateToken: true } });
+    ui.apiTokenInput.value = state.config.api.token;
+    setStatus("New API token created; the old one no longer works");
+  } catch (err) {
+    setStatus(`Error: ${err?.message ?? err}`);
+  }
+});
+
 ui.browseMcpExeBtn.addEventListener("click", async () => {
   try {
     if (!getBridge().pickMcpExecutable) throw new Error("File picker not available in this build.");
@@ -407,6 +1093,12 @@ ui.saveSettingsBtn.addEventListener("click", async (ev) => {
       args: ui.mcpArgsInput.value,
       toolName: ui.mcpToolInput.value.trim(),
     },
+    ui: { pageSize: ui.pageSizeInput.value, watchClipboard: ui.watchClipboardInput.checked },
+    api: {
+      enabled: ui.apiEnabledInput.checked,
+      port: Math.round(Number(ui.apiPortInput.value)) || 18061,
+      allowLan: ui.apiAllowLanInput.checked,
+    },
   };
   try {
     await getBridge().saveConfig(patch);
@@ -435,17 +1127,21 @@ ui.fetchBtn.addEventListener("click", async () => {
   try {
     sanitizeUrlInputIfNeeded();
     const url = validateUrl(ui.urlInput.value);
+    clearBanner("video");
     setBusy({ fetching: true });
     setStatus("Fetching...");
     const post = await getBridge().fetchPost({ url, requestId });
     if (state.sessionToken !== token || state.currentFetchRequestId !== requestId) return;
     state.post = post;
+    state.libraryEntryId = null;
     state.selectedImageId = post.images?.[0]?.id ?? null;
     state.deletedImageIds = new Set();
     ui.captionBox.value = post.caption ?? "";
 
     await downloadPreviewsForCurrentPost();
     renderImages();
+    if (post.video) await addVideoFrames(post, token);
+    if (state.sessionToken !== token || state.post !== post) return;
     setStatus(`Fetched (${post.images.length} image(s))`);
 
     const recent = [url, ...(state.config?.recentUrls ?? [])];
@@ -469,6 +1165,60 @@ ui.fetchBtn.addEventListener("click", async () => {
   }
 });
 
+// Video notes arrive with just the cover; keyframes from the downloaded video are appended after it.
+async function addVideoFrames(post, token) {
+  if (!post.video.url) {
+    setBanner("video", { kind: "warn", title: "Video note", message: "The MCP response has no video URL; only the cover is available." });
+    return;
+  }
+  setStatus("Extracting video frames...");
+  try {
+    const { images } = await getBridge().extractVideoFrames({
+      url: post.video.url,
+      referer: post.sourceUrl,
+      durationSec: post.video.durationSec ?? null,
+      requestId: makeRequestId("video"),
+    });
+    if (state.sessionToken !== token || state.post !== post) return;
+    post.images = [...post.images, ...images].slice(0, MAX_POST_IMAGES);
+    state.selectedImageId ??= post.images[0]?.id ?? null;
+    renderImages();
+  } catch (err) {
+    if (state.sessionToken !== token || isAbortError(err)) return;
+    setBanner("video", {
+      kind: "warn",
+      title: "Video note",
+      message: `Could not extract frames (${err?.message ?? err}); the cover and caption can still be used.`,
+    });
+  }
+}
+
+function extractClipboardLink(url) {
+  clearBanner("clipboard");
+  ui.urlInput.value = url;
+  if (state.fetching || state.generating) {
+    setStatus("Copied link is in the URL box; fetch it when the current request finishes");
+    return;
+  }
+  ui.fetchBtn.click();
+}
+
+// From the main-process clipboard watcher; `extract` is set when the system notification was clicked.
+function handleClipboardLink({ url, extract }) {
+  if (extract) {
+    extractClipboardLink(url);
+    return;
+  }
+  setBanner("clipboard", {
+    title: "Extract this recipe?",
+    message: url,
+    actions: [
+      { id: "extractClipboard", label: "Extract", onClick: () => extractClipboardLink(url) },
+      { id: "dismissClipboard", label: "Dismiss", onClick: () => clearBanner("clipboard") },
+    ],
+  });
+}
+
 ui.urlInput.addEventListener("keydown", (ev) => {
   if (ev.key === "Enter") ui.fetchBtn.click();
 });
@@ -481,23 +1231,36 @@ ui.generateBtn.addEventListener("click", async () => {
   const token = state.sessionToken;
   const requestId = makeRequestId("generate");
   state.currentGenerateRequestId = requestId;
+  const caption = ui.captionBox.value ?? "";
   try {
-    if (!state.post) throw new Error("Fetch a post first.");
-    clearBanner("hallucination");
+    if (!state.post) throw new Error("Fetch a post or add images first.");
+    clearBanner("format");
     setBusy({ generating: true });
     setStatus("Generating...");
+    const images = getSelectedImages();
     const res = await getBridge().generateRecipe({
       sourceUrl: state.post.sourceUrl,
-      caption: ui.captionBox.value ?? "",
-      images: getSelectedImagePayloads(),
+      sourceLabel: state.post.sourceLabel ?? null,
+      feedId: state.post.feedId ?? null,
+      caption,
+      images: images.map((i) => i.source),
       requestId,
     });
     if (state.sessionToken !== token || state.currentGenerateRequestId !== requestId) return;
     ui.outputBox.value = res.markdown ?? "";
-    updateHallucinationBanner({ markdown: ui.outputBox.value });
+    state.provenance = res.provenance ?? null;
+    state.provenanceImageIds = images.map((i) => i.id);
+    state.recipe = res.recipe ?? null;
+    state.recipeMarkdown = state.recipe ? ui.outputBox.value : null;
+    state.validationCaption = caption;
+    setValidation(res.validation);
+    resetDerivedView();
+    updateFormatBanner(res?.meta?.format?.repairs);
     const meta = res?.meta?.images;
-    if (meta?.attached > 0) setStatus(`Completed (${meta.attached}/${meta.requested} image(s) sent)`);
-    else setStatus("Completed (no image sent)");
+    const template = res?.recipe?.source?.promptTemplate;
+    const templateNote = template ? `; template ${template.name} v${template.version}` : "";
+    if (meta?.attached > 0) setStatus(`Completed (${meta.attached}/${meta.requested} image(s) sent${templateNote})`);
+    else setStatus(`Completed (no image sent${templateNote})`);
   } catch (err) {
     if (state.sessionToken !== token) return;
     if (isAbortError(err)) return;
@@ -511,11 +1274,35 @@ ui.generateBtn.addEventListener("click", async () => {
 
 ui.outputBox.addEventListener("input", () => {
   setBusy({});
+  scheduleRevalidation();
+});
+
+ui.outputBox.addEventListener("scroll", () => {
+  if (ui.outputHighlights) ui.outputHighlights.scrollTop = ui.outputBox.scrollTop;
+});
+
+ui.outputBox.addEventListener("click", (ev) => {
+  if (ev.ctrlKey || ev.metaKey) {
+    const line = outputLineAtPoint(ev.clientX, ev.clientY);
+    const entry = line == null ? null : getProvenanceByLine().get(line);
+    if (entry) {
+      ev.preventDefault();
+      jumpToProvenance(entry);
+      return;
+    }
+  }
+  updateGroundingTooltip();
+});
+ui.outputBox.addEventListener("keyup", updateGroundingTooltip);
+ui.outputBox.addEventListener("mousemove", (ev) => {
+  const line = outputLineAtPoint(ev.clientX, ev.clientY);
+  ui.outputBox.title = line == null ? "" : describeOutputLine(line);
 });
 
 ui.copyBtn.addEventListener("click", async () => {
   try {
-    await getBridge().copyToClipboard(ui.outputBox.value);
+    const languageView = await getLanguageView();
+    await getBridge().copyToClipboard(languageView?.markdown ?? ui.outputBox.value);
     setStatus("Copied to clipboard");
   } catch (err) {
     setStatus(`Error: ${err?.message ?? err}`);
@@ -524,9 +1311,12 @@ ui.copyBtn.addEventListener("click", async () => {
 
 ui.exportBtn.addEventListener("click", async () => {
   try {
-    const markdown = ui.outputBox.value;
-    const suggestedName = suggestedFileName(markdown);
-    const res = await getBridge().exportMarkdown({ markdown, suggestedName });
+    const languageView = await getLanguageView();
+    const markdown = languageView?.markdown ?? ui.outputBox.value;
+    const recipe = languageView?.recipe ?? (await getCurrentRecipe().catch(() => null));
+    const suggestedName = recipe?.title || suggestedFileName(markdown);
+    const [image] = getSelectedImagePayloads();
+    const res = await getBridge().exportRecipe({ markdown, recipe: recipe ?? undefined, image, suggestedName });
     if (res.canceled) setStatus("Export canceled");
     else setStatus(`Exported: ${res.filePath}`);
   } catch (err) {
@@ -534,6 +1324,761 @@ ui.exportBtn.addEventListener("click", async () => {
   }
 });
 
+ui.saveLibraryBtn.addEventListener("click", async () => {
+  try {
+    const recipe = await getCurrentRecipe();
+    if (!recipe) throw new Error("Nothing to save yet.");
+    const [image] = getSelectedImagePayloads();
+    const saved = await getBridge().saveToLibrary({
+      id: state.libraryEntryId ?? undefined,
+      markdown: ui.outputBox.value,
+      recipe,
+      caption: state.validationCaption ?? ui.captionBox.value,
+      author: state.post?.author ?? undefined,
+      image,
+    });
+    state.libraryEntryId = saved.id;
+    setStatus(`Saved to library: ${saved.title}`);
+  } catch (err) {
+    setStatus(`Error: ${err?.message ?? err}`);
+  }
+});
+
+async function runLibraryAction(action) {
+  try {
+    await action();
+  } catch (err) {
+    setStatus(`Error: ${err?.message ?? err}`);
+  }
+}
+
+function libraryButton(label, handler) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "ghost small";
+  btn.textContent = label;
+  btn.addEventListener("click", () => runLibraryAction(() => handler(btn)));
+  return btn;
+}
+
+// Swaps `el` for a text input; Enter or blur commits, Escape cancels.
+function startLibraryInlineEdit(el, value, onCommit) {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = value;
+  input.className = "libraryInlineEdit";
+  let done = false;
+  const finish = (commit) =>
+    runLibraryAction(async () => {
+      if (done) return;
+      done = true;
+      if (commit && input.value.trim() !== value) await onCommit(input.value.trim());
+      await refreshLibrary();
+    });
+  input.addEventListener("keydown", (ev) => {
+    if (ev.key === "Enter") {
+      ev.preventDefault();
+      void finish(true);
+    } else if (ev.key === "Escape") {
+      ev.preventDefault();
+      void finish(false);
+    }
+  });
+  input.addEventListener("blur", () => void finish(true));
+  el.replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+function renderLibraryRow(entry) {
+  const row = document.createElement("div");
+  row.className = "libraryRow";
+  if (entry.id === state.libraryEntryId) row.dataset.current = "true";
+
+  const select = document.createElement("input");
+  select.type = "checkbox";
+  select.className = "librarySelect";
+  select.title = "Include in shopping list";
+  select.checked = state.librarySelection.has(entry.id);
+  select.addEventListener("change", () => {
+    if (select.checked) state.librarySelection.add(entry.id);
+    else state.librarySelection.delete(entry.id);
+    updateShoppingListButton();
+  });
+
+  const title = document.createElement("div");
+  title.className = "libraryTitle";
+  title.textContent = entry.title;
+  const meta = document.createElement("div");
+  meta.className = "hint";
+  meta.textContent = [new Date(entry.updatedAt).toLocaleString(), entry.author, entry.model, entry.sourceUrl || entry.sourceLabel]
+    .filter(Boolean)
+    .join(" · ");
+  const tags = document.createElement("div");
+  tags.className = "libraryTags";
+  tags.textContent = entry.tags.map((t) => `#${t}`).join(" ");
+  tags.hidden = entry.tags.length === 0;
+  const info = document.createElement("div");
+  info.className = "libraryInfo";
+  info.append(title, tags, meta);
+
+  const actions = document.createElement("div");
+  actions.className = "libraryActions";
+  actions.append(
+    libraryButton("Open", () => openLibraryEntry(entry.id)),
+    libraryButton("Rename", () =>
+      startLibraryInlineEdit(title, entry.title, async (next) => {
+        if (next) await getBridge().renameLibraryEntry(entry.id, next);
+      })
+    ),
+    libraryButton("Tags", () => {
+      tags.hidden = false;
+      startLibraryInlineEdit(tags, entry.tags.join(", "), (next) => getBridge().setLibraryTags(entry.id, next.split(/[,，、]/)));
+    }),
+    libraryButton("Export…", async () => {
+      const res = await getBridge().exportLibraryEntry(entry.id);
+      setStatus(res.canceled ? "Export canceled" : `Exported: ${res.filePath}`);
+    }),
+    libraryButton("Delete", async (btn) => {
+      if (btn.dataset.confirm !== "true") {
+        btn.dataset.confirm = "true";
+        btn.textContent = "Confirm delete";
+        return;
+      }
+      if (state.libraryEntryId === entry.id) state.libraryEntryId = null;
+      state.librarySelection.delete(entry.id);
+      await getBridge().deleteLibraryEntry(entry.id);
+      await refreshLibrary();
+      setStatus(`Deleted from library: ${entry.title}`);
+    })
+  );
+  row.append(select, info, actions);
+  return row;
+}
+
+function getLibraryFilters() {
+  const filters = {
+    query: ui.librarySearchInput.value,
+    ingredient: ui.libraryIngredientInput.value,
+    tag: ui.libraryTagInput.value,
+    author: ui.libraryAuthorInput.value,
+    from: ui.libraryFromInput.value,
+    to: ui.libraryToInput.value,
+  };
+  return Object.fromEntries(Object.entries(filters).filter(([, v]) => v.trim()));
+}
+
+function updateShoppingListButton() {
+  const count = state.librarySelection.size;
+  ui.shoppingListBtn.disabled = count === 0;
+  ui.shoppingListBtn.textContent = count ? `Shopping list (${count})` : "Shopping list";
+}
+
+function renderLibrary(entries, { filtered }) {
+  if (filtered) ui.libraryCount.textContent = `${entries.length} match(es)`;
+  else if (entries.length) ui.libraryCount.textContent = `${entries.length} saved recipe(s)`;
+  else ui.libraryCount.textContent = "No saved recipes yet. Use Save next to Generate to keep the current recipe.";
+  ui.libraryList.replaceChildren(...entries.map(renderLibraryRow));
+  updateShoppingListButton();
+}
+
+let librarySearchSeq = 0;
+async function refreshLibrary() {
+  const seq = (librarySearchSeq += 1);
+  const filters = getLibraryFilters();
+  const entries = await getBridge().searchLibrary(filters);
+  if (seq !== librarySearchSeq) return;
+  renderLibrary(entries, { filtered: Object.keys(filters).length > 0 });
+}
+
+let librarySearchTimer = null;
+function scheduleLibrarySearch() {
+  if (librarySearchTimer) clearTimeout(librarySearchTimer);
+  librarySearchTimer = setTimeout(() => {
+    librarySearchTimer = null;
+    void runLibraryAction(refreshLibrary);
+  }, 150);
+}
+
+async function openLibraryEntry(id) {
+  if (state.fetching || state.generating) throw new Error("Wait for the current request to finish.");
+  const entry = await getBridge().getLibraryEntry(id);
+  const images = entry.coverDataUrl
+    ? [{ id: "library-cover", previewUrl: entry.coverDataUrl, source: { kind: "dataUrl", dataUrl: entry.coverDataUrl } }]
+    : [];
+  state.post = { sourceUrl: entry.sourceUrl, sourceLabel: entry.recipe.source.label ?? null, feedId: entry.feedId, caption: entry.caption, images };
+  state.selectedImageId = images[0]?.id ?? null;
+  state.deletedImageIds = new Set();
+  state.imagePreviews = new Map();
+  state.recipe = entry.recipe;
+  state.recipeMarkdown = entry.markdown;
+  state.provenance = null;
+  state.provenanceImageIds = [];
+  state.libraryEntryId = entry.id;
+  state.validationCaption = entry.caption;
+  ui.urlInput.value = entry.sourceUrl;
+  ui.captionBox.value = entry.caption;
+  ui.outputBox.value = entry.markdown;
+  renderImages();
+  resetDerivedView();
+  clearBanner("format");
+  setBusy({});
+  scheduleRevalidation();
+  ui.libraryDialog.close();
+  setStatus(`Opened from library: ${entry.title}`);
+}
+
+ui.libraryBtn.addEventListener("click", () =>
+  runLibraryAction(async () => {
+    await refreshLibrary();
+    ui.libraryDialog.showModal();
+  })
+);
+for (const input of [
+  ui.librarySearchInput,
+  ui.libraryIngredientInput,
+  ui.libraryTagInput,
+  ui.libraryAuthorInput,
+  ui.libraryFromInput,
+  ui.libraryToInput,
+]) {
+  input.addEventListener("input", scheduleLibrarySearch);
+  input.addEventListener("keydown", (ev) => {
+    // Enter would submit the dialog form and close it.
+    if (ev.key === "Enter") ev.preventDefault();
+  });
+}
+ui.clearLibrarySearchBtn.addEventListener("click", () => {
+  for (const input of [ui.libraryIngredientInput, ui.libraryTagInput, ui.libraryAuthorInput, ui.libraryFromInput, ui.libraryToInput]) {
+    input.value = "";
+  }
+  scheduleLibrarySearch();
+});
+function renderShoppingList() {
+  const list = state.shoppingList;
+  ui.shoppingListBox.textContent = list ? list[ui.shoppingFormatSelect.value] : "";
+}
+
+async function openShoppingList(items) {
+  const res = await getBridge().buildShoppingList(items);
+  state.shoppingList = { items, markdown: res.markdown, text: res.text };
+  renderShoppingList();
+  if (!ui.shoppingDialog.open) ui.shoppingDialog.showModal();
+}
+
+ui.shoppingListBtn.addEventListener("click", () =>
+  runLibraryAction(() => openShoppingList(Array.from(state.librarySelection, (id) => ({ id }))))
+);
+ui.shoppingFormatSelect.addEventListener("change", renderShoppingList);
+ui.copyShoppingListBtn.addEventListener("click", () =>
+  runLibraryAction(async () => {
+    await getBridge().copyToClipboard(ui.shoppingListBox.textContent);
+    setStatus("Shopping list copied");
+  })
+);
+ui.exportShoppingListBtn.addEventListener("click", () =>
+  runLibraryAction(async () => {
+    if (!state.shoppingList) return;
+    const res = await getBridge().exportShoppingList(state.shoppingList.items);
+    setStatus(res.canceled ? "Export canceled" : `Exported: ${res.filePath}`);
+  })
+);
+ui.openLibraryFolderBtn.addEventListener("click", () => runLibraryAction(() => getBridge().openLibraryFolder()));
+
+const PLANNER_DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const PLANNER_DEFAULT_SERVINGS = 2;
+const PLANNER_DRAG_TYPE = "application/x-xhs-recipe-planner";
+
+function toLocalDateString(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Weeks start on Monday, in local time.
+function weekStartOf(date) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return toLocalDateString(d);
+}
+
+function plannerDate(weekStart, day) {
+  const [y, m, d] = weekStart.split("-").map(Number);
+  return new Date(y, m - 1, d + day);
+}
+
+async function loadPlannerWeek(weekStart) {
+  state.plannerWeek = await getBridge().getMealPlan(weekStart);
+  renderPlannerGrid();
+}
+
+async function savePlannerSlots(slots) {
+  const { weekStart } = state.plannerWeek;
+  state.plannerWeek = await getBridge().saveMealPlan(
+    weekStart,
+    slots.map(({ id, day, meal, recipeId, baseServings, servings }) => ({ id, day, meal, recipeId, baseServings, servings }))
+  );
+  renderPlannerGrid();
+}
+
+function plannerServingsInput(value, label, onChange) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = "1";
+  input.step = "1";
+  input.value = String(value);
+  input.title = label;
+  input.setAttribute("aria-label", label);
+  input.addEventListener("keydown", (ev) => {
+    if (ev.key === "Enter") ev.preventDefault();
+  });
+  input.addEventListener("change", () => {
+    const next = Number(input.value);
+    if (!Number.isFinite(next) || next <= 0) {
+      input.value = String(value);
+      return;
+    }
+    void runLibraryAction(() => onChange(next));
+  });
+  return input;
+}
+
+function renderPlannerSlot(slot) {
+  const chip = document.createElement("div");
+  chip.className = "plannerSlot";
+  chip.draggable = true;
+  if (slot.missing) chip.dataset.missing = "true";
+  chip.addEventListener("dragstart", (ev) => {
+    ev.dataTransfer.setData(PLANNER_DRAG_TYPE, JSON.stringify({ slotId: slot.id }));
+    ev.dataTransfer.effectAllowed = "move";
+  });
+
+  const title = document.createElement("div");
+  title.className = "plannerSlotTitle";
+  title.textContent = slot.missing ? `${slot.title} (deleted)` : slot.title;
+  title.title = slot.missing ? "This recipe was removed from the library" : "Double-click to open";
+  if (!slot.missing) {
+    title.addEventListener("dblclick", () =>
+      runLibraryAction(async () => {
+        await openLibraryEntry(slot.recipeId);
+        ui.plannerDialog.close();
+      })
+    );
+  }
+
+  const update = (patch) => savePlannerSlots(state.plannerWeek.slots.map((s) => (s.id === slot.id ? { ...s, ...patch } : s)));
+  const servings = document.createElement("div");
+  servings.className = "plannerSlotServings";
+  const arrow = document.createElement("span");
+  arrow.textContent = "→";
+  servings.append(
+    plannerServingsInput(slot.baseServings, "Servings in the recipe", (baseServings) => update({ baseServings })),
+    arrow,
+    plannerServingsInput(slot.servings, "Servings to cook", (next) => update({ servings: next }))
+  );
+
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.className = "plannerSlotRemove";
+  remove.textContent = "×";
+  remove.title = "Remove from plan";
+  remove.addEventListener("click", () =>
+    runLibraryAction(() => savePlannerSlots(state.plannerWeek.slots.filter((s) => s.id !== slot.id)))
+  );
+
+  chip.append(title, servings, remove);
+  return chip;
+}
+
+function handlePlannerDrop(day, meal, payload) {
+  const { slots, baseServings } = state.plannerWeek;
+  if (payload.slotId) {
+    return savePlannerSlots(slots.map((s) => (s.id === payload.slotId ? { ...s, day, meal } : s)));
+  }
+  const base = baseServings[payload.recipeId] ?? PLANNER_DEFAULT_SERVINGS;
+  return savePlannerSlots([...slots, { day, meal, recipeId: payload.recipeId, baseServings: base, servings: base }]);
+}
+
+function renderPlannerCell(day, meal) {
+  const cell = document.createElement("div");
+  cell.className = "plannerCell";
+  cell.addEventListener("dragover", (ev) => {
+    if (!ev.dataTransfer.types.includes(PLANNER_DRAG_TYPE)) return;
+    ev.preventDefault();
+    cell.dataset.dropping = "true";
+  });
+  cell.addEventListener("dragleave", () => delete cell.dataset.dropping);
+  cell.addEventListener("drop", (ev) => {
+    ev.preventDefault();
+    delete cell.dataset.dropping;
+    const raw = ev.dataTransfer.getData(PLANNER_DRAG_TYPE);
+    if (!raw) return;
+    void runLibraryAction(() => handlePlannerDrop(day, meal, JSON.parse(raw)));
+  });
+  for (const slot of state.plannerWeek.slots) {
+    if (slot.day === day && slot.meal === meal) cell.append(renderPlannerSlot(slot));
+  }
+  return cell;
+}
+
+function renderPlannerGrid() {
+  const week = state.plannerWeek;
+  if (!week) return;
+  const first = plannerDate(week.weekStart, 0);
+  const last = plannerDate(week.weekStart, 6);
+  ui.plannerWeekLabel.textContent = `${first.toLocaleDateString()} – ${last.toLocaleDateString()}`;
+  ui.plannerThisWeekBtn.disabled = week.weekStart === weekStartOf(new Date());
+
+  const cells = [document.createElement("div")];
+  const today = toLocalDateString(new Date());
+  PLANNER_DAYS.forEach((name, day) => {
+    const date = plannerDate(week.weekStart, day);
+    const head = document.createElement("div");
+    head.className = "plannerDayHead";
+    if (toLocalDateString(date) === today) head.dataset.today = "true";
+    head.textContent = `${name} ${date.getMonth() + 1}/${date.getDate()}`;
+    cells.push(head);
+  });
+  for (const meal of week.meals) {
+    const label = document.createElement("div");
+    label.className = "plannerMealHead";
+    label.textContent = meal.label;
+    cells.push(label);
+    for (let day = 0; day < PLANNER_DAYS.length; day += 1) cells.push(renderPlannerCell(day, meal.id));
+  }
+  ui.plannerGrid.replaceChildren(...cells);
+  ui.plannerShoppingListBtn.disabled = !week.slots.some((s) => !s.missing);
+  ui.plannerExportIcsBtn.disabled = ui.plannerShoppingListBtn.disabled;
+}
+
+let plannerSearchSeq = 0;
+async function refreshPlannerRecipes() {
+  const seq = (plannerSearchSeq += 1);
+  const query = ui.plannerSearchInput.value.trim();
+  const entries = await getBridge().searchLibrary(query ? { query } : {});
+  if (seq !== plannerSearchSeq) return;
+  if (!entries.length) {
+    const empty = document.createElement("div");
+    empty.className = "hint";
+    empty.textContent = query ? "No matching recipes." : "Save recipes to the library to plan with them.";
+    ui.plannerRecipeList.replaceChildren(empty);
+    return;
+  }
+  ui.plannerRecipeList.replaceChildren(
+    ...entries.map((entry) => {
+      const item = document.createElement("div");
+      item.className = "plannerRecipe";
+      item.draggable = true;
+      item.textContent = entry.title;
+      item.title = entry.title;
+      item.addEventListener("dragstart", (ev) => {
+        ev.dataTransfer.setData(PLANNER_DRAG_TYPE, JSON.stringify({ recipeId: entry.id }));
+        ev.dataTransfer.effectAllowed = "copy";
+      });
+      return item;
+    })
+  );
+}
+
+function shiftPlannerWeek(days) {
+  const date = plannerDate(state.plannerWeek.weekStart, days);
+  return runLibraryAction(() => loadPlannerWeek(weekStartOf(date)));
+}
+
+ui.plannerBtn.addEventListener("click", () =>
+  runLibraryAction(async () => {
+    await Promise.all([loadPlannerWeek(state.plannerWeek?.weekStart ?? weekStartOf(new Date())), refreshPlannerRecipes()]);
+    ui.plannerDialog.showModal();
+  })
+);
+ui.plannerPrevBtn.addEventListener("click", () => shiftPlannerWeek(-7));
+ui.plannerNextBtn.addEventListener("click", () => shiftPlannerWeek(7));
+ui.plannerThisWeekBtn.addEventListener("click", () => runLibraryAction(() => loadPlannerWeek(weekStartOf(new Date()))));
+ui.plannerSearchInput.addEventListener("input", () => void runLibraryAction(refreshPlannerRecipes));
+ui.plannerSearchInput.addEventListener("keydown", (ev) => {
+  if (ev.key === "Enter") ev.preventDefault();
+});
+ui.plannerShoppingListBtn.addEventListener("click", () =>
+  runLibraryAction(() =>
+    openShoppingList(
+      state.plannerWeek.slots.filter((s) => !s.missing).map((s) => ({ id: s.recipeId, factor: s.servings / s.baseServings }))
+    )
+  )
+);
+ui.plannerExportIcsBtn.addEventListener("click", () =>
+  runLibraryAction(async () => {
+    const res = await getBridge().exportMealPlanIcs(state.plannerWeek.weekStart);
+    setStatus(res.canceled ? "Export canceled" : `Exported: ${res.filePath}`);
+  })
+);
+
+const BATCH_STEP_LABELS = {
+  fetching: "Fetching",
+  images: "Downloading images",
+  generating: "Generating",
+  saving: "Saving",
+};
+const BATCH_STATUS_LABELS = { queued: "Queued", done: "Done", failed: "Failed", canceled: "Canceled" };
+
+function batchStatusText(item) {
+  if (item.status === "running") return `${BATCH_STEP_LABELS[item.step] ?? "Starting"}…`;
+  if (item.status === "failed") return `Failed: ${item.error}`;
+  return BATCH_STATUS_LABELS[item.status] ?? item.status;
+}
+
+function renderBatchRow(item) {
+  const row = document.createElement("div");
+  row.className = "batchRow";
+  row.dataset.status = item.status;
+
+  const info = document.createElement("div");
+  info.className = "libraryInfo";
+  const title = document.createElement("div");
+  title.className = "libraryTitle";
+  title.textContent = item.title ?? item.url;
+  const meta = document.createElement("div");
+  meta.className = "hint";
+  meta.textContent = [item.title ? item.url : null, item.attempts > 1 ? `attempt ${item.attempts}` : null].filter(Boolean).join(" · ");
+  meta.hidden = !meta.textContent;
+  const status = document.createElement("div");
+  status.className = "batchStatus";
+  status.textContent = batchStatusText(item);
+  info.append(title, status, meta);
+
+  const actions = document.createElement("div");
+  actions.className = "libraryActions";
+  if (item.status === "failed" || item.status === "canceled") {
+    actions.append(libraryButton("Retry", () => getBridge().retryBatchItem(item.id)));
+  }
+  if (item.status === "queued" || item.status === "running") {
+    actions.append(libraryButton("Cancel", () => getBridge().cancelBatchItem(item.id)));
+  }
+  if (item.output?.libraryId) {
+    actions.append(
+      libraryButton("Open", async () => {
+        await openLibraryEntry(item.output.libraryId);
+        ui.batchDialog.close();
+      })
+    );
+  }
+  if (item.output?.filePath) actions.append(libraryButton("Show file", () => getBridge().showBatchOutput(item.id)));
+  row.append(info, actions);
+  return row;
+}
+
+function renderBatchList(items) {
+  state.batchItems = items;
+  const counts = {};
+  for (const item of items) counts[item.status] = (counts[item.status] ?? 0) + 1;
+  const active = (counts.queued ?? 0) + (counts.running ?? 0);
+  ui.batchSummary.textContent = items.length
+    ? ["running", "queued", "done", "failed", "canceled"]
+        .filter((status) => counts[status])
+        .map((status) => `${counts[status]} ${status}`)
+        .join(" · ")
+    : "The queue is empty.";
+  ui.batchList.replaceChildren(...items.map(renderBatchRow));
+  ui.cancelBatchBtn.disabled = active === 0;
+  ui.clearFinishedBatchBtn.disabled = active === items.length;
+  ui.batchBtn.textContent = active ? `Batch (${active})` : "Batch";
+}
+
+function renderBatchOptions() {
+  const batch = state.config?.batch ?? {};
+  ui.batchConcurrencyInput.value = String(batch.concurrency ?? 2);
+  ui.batchDestinationSelect.value = batch.destination ?? "library";
+  ui.batchFolderLabel.textContent = batch.folder || "No folder chosen";
+  const toFolder = ui.batchDestinationSelect.value === "folder";
+  ui.pickBatchFolderBtn.hidden = !toFolder;
+  ui.batchFolderLabel.hidden = !toFolder;
+}
+
+async function saveBatchOptions(patch) {
+  state.config = await getBridge().saveConfig({ batch: patch });
+  renderBatchOptions();
+}
+
+ui.batchBtn.addEventListener("click", () =>
+  runLibraryAction(async () => {
+    renderBatchOptions();
+    renderBatchList(await getBridge().listBatch());
+    ui.batchDialog.showModal();
+  })
+);
+ui.importBatchFileBtn.addEventListener("click", () =>
+  runLibraryAction(async () => {
+    const res = await getBridge().importBatchFile();
+    if (res.canceled) return;
+    const current = ui.batchInput.value.trim();
+    ui.batchInput.value = current ? `${current}\n${res.text.trim()}` : res.text.trim();
+  })
+);
+ui.batchConcurrencyInput.addEventListener("keydown", (ev) => {
+  if (ev.key === "Enter") ev.preventDefault();
+});
+ui.batchConcurrencyInput.addEventListener("change", () =>
+  runLibraryAction(() => {
+    const n = Math.round(Number(ui.batchConcurrencyInput.value));
+    if (!Number.isFinite(n) || n < 1) return renderBatchOptions();
+    return saveBatchOptions({ concurrency: Math.min(4, n) });
+  })
+);
+ui.batchDestinationSelect.addEventListener("change", () =>
+  runLibraryAction(() => saveBatchOptions({ destination: ui.batchDestinationSelect.value }))
+);
+ui.pickBatchFolderBtn.addEventListener("click", () =>
+  runLibraryAction(async () => {
+    const res = await getBridge().pickBatchFolder();
+    if (!res.canceled) await refreshConfig().then(renderBatchOptions);
+  })
+);
+ui.enqueueBatchBtn.addEventListener("click", () =>
+  runLibraryAction(async () => {
+    const res = await getBridge().enqueueBatch(ui.batchInput.value);
+    ui.batchInput.value = "";
+    setStatus(res.skipped ? `Queued ${res.added} link(s); ${res.skipped} already in the queue` : `Queued ${res.added} link(s)`);
+  })
+);
+ui.cancelBatchBtn.addEventListener("click", () => runLibraryAction(() => getBridge().cancelBatch()));
+ui.clearFinishedBatchBtn.addEventListener("click", () => runLibraryAction(() => getBridge().clearFinishedBatch()));
+
+const CURRENT_OUTPUT = "current";
+
+function historyPost() {
+  return { sourceUrl: state.post.sourceUrl, feedId: state.post.feedId ?? null };
+}
+
+function describeGeneration(generation) {
+  const template = generation.promptTemplate ? `${generation.promptTemplate.name} v${generation.promptTemplate.version}` : null;
+  const images = `${generation.images.length} image${generation.images.length === 1 ? "" : "s"}`;
+  return [new Date(generation.createdAt).toLocaleString(), generation.model, template, images].filter(Boolean).join(" · ");
+}
+
+async function getGeneration(id) {
+  if (!state.generationCache.has(id)) state.generationCache.set(id, await getBridge().getGeneration(historyPost(), id));
+  return state.generationCache.get(id);
+}
+
+async function historySideText(value) {
+  return value === CURRENT_OUTPUT ? ui.outputBox.value : (await getGeneration(value)).markdown;
+}
+
+function renderHistoryOptions(select, selected) {
+  const current = document.createElement("option");
+  current.value = CURRENT_OUTPUT;
+  current.textContent = "Current output";
+  const options = state.generations.map((generation, i) => {
+    const option = document.createElement("option");
+    option.value = generation.id;
+    option.textContent = `#${state.generations.length - i} · ${describeGeneration(generation)}`;
+    return option;
+  });
+  select.replaceChildren(current, ...options);
+  select.value = selected;
+}
+
+function diffCell(className, text) {
+  const cell = document.createElement("div");
+  cell.className = className;
+  cell.textContent = text ?? "";
+  return cell;
+}
+
+let historyDiffSeq = 0;
+async function renderHistoryDiff() {
+  const seq = (historyDiffSeq += 1);
+  const [left, right] = await Promise.all([historySideText(ui.historyLeftSelect.value), historySideText(ui.historyRightSelect.value)]);
+  if (seq !== historyDiffSeq) return;
+  const rows = diffLines(left, right);
+  const counts = summarizeDiff(rows);
+  ui.historySummary.textContent =
+    counts.changed + counts.added + counts.removed === 0
+      ? "No differences"
+      : `${counts.changed} changed · ${counts.added} added · ${counts.removed} removed`;
+  const cells = [];
+  for (const row of rows) {
+    for (const side of ["left", "right"]) {
+      const line = row[`${side}Line`];
+      const cls = `historyDiffLine${line == null ? " historyDiffEmpty" : ""}`;
+      const text = diffCell(cls, row[side]);
+      text.dataset.type = row.type;
+      cells.push(diffCell("historyDiffNo", line), text);
+    }
+  }
+  ui.historyDiff.replaceChildren(...cells);
+  const canUseRight = ui.historyRightSelect.value !== CURRENT_OUTPUT && !state.generating;
+  ui.restoreGenerationBtn.disabled = !canUseRight;
+  ui.cherryPickBtn.disabled = !canUseRight;
+}
+
+function checkedHistorySections() {
+  return Array.from(ui.historyDialog.querySelectorAll('input[name="historySection"]:checked'), (input) => input.value);
+}
+
+function applyGeneratedOutput({ markdown, recipe, provenance, provenanceImageIds, caption }) {
+  ui.outputBox.value = markdown;
+  state.recipe = recipe;
+  state.recipeMarkdown = recipe ? markdown : null;
+  state.provenance = provenance;
+  state.provenanceImageIds = provenanceImageIds;
+  state.validationCaption = caption;
+  resetDerivedView();
+  clearBanner("format");
+  setBusy({});
+  scheduleRevalidation();
+}
+
+ui.historyBtn.addEventListener("click", () =>
+  runLibraryAction(async () => {
+    if (!state.post) throw new Error("Fetch a post or add images first.");
+    state.generations = await getBridge().listGenerations(historyPost());
+    if (state.generations.length === 0) {
+      setStatus("No generations recorded for this post yet");
+      return;
+    }
+    renderHistoryOptions(ui.historyLeftSelect, CURRENT_OUTPUT);
+    renderHistoryOptions(ui.historyRightSelect, (state.generations[1] ?? state.generations[0]).id);
+    for (const input of ui.historyDialog.querySelectorAll('input[name="historySection"]')) input.checked = false;
+    await renderHistoryDiff();
+    ui.historyDialog.showModal();
+  })
+);
+ui.historyLeftSelect.addEventListener("change", () => void runLibraryAction(renderHistoryDiff));
+ui.historyRightSelect.addEventListener("change", () => void runLibraryAction(renderHistoryDiff));
+ui.restoreGenerationBtn.addEventListener("click", () =>
+  runLibraryAction(async () => {
+    const generation = await getGeneration(ui.historyRightSelect.value);
+    const imageIds = new Map(
+      state.post.images.filter((img) => img.source?.kind === "url").map((img) => [img.source.url, img.id])
+    );
+    applyGeneratedOutput({
+      markdown: generation.markdown,
+      recipe: generation.recipe,
+      provenance: generation.provenance,
+      provenanceImageIds: generation.images.map((img) => (img.kind === "url" ? imageIds.get(img.url) ?? null : null)),
+      caption: generation.caption,
+    });
+    await renderHistoryDiff();
+    setStatus(`Restored generation from ${new Date(generation.createdAt).toLocaleString()}`);
+  })
+);
+ui.cherryPickBtn.addEventListener("click", () =>
+  runLibraryAction(async () => {
+    const sections = checkedHistorySections();
+    if (sections.length === 0) throw new Error("Tick the sections to take from the right side.");
+    const res = await getBridge().cherryPickGeneration(historyPost(), ui.historyRightSelect.value, ui.outputBox.value, sections);
+    // Source links are per generation, so they no longer line up with a mixed result.
+    applyGeneratedOutput({
+      markdown: res.markdown,
+      recipe: null,
+      provenance: null,
+      provenanceImageIds: [],
+      caption: state.validationCaption ?? ui.captionBox.value,
+    });
+    await renderHistoryDiff();
+    setStatus(`Applied ${sections.join(", ")} from an earlier generation`);
+  })
+);
+
 ui.refreshLogsBtn.addEventListener("click", refreshLogs);
 ui.openLogsFolderBtn.addEventListener("click", async () => {
   try {
@@ -557,6 +2102,12 @@ ui.clearBtn.addEventListener("click", async () => {
     if (res !== "clear") return;
   }
 
+  await resetSession();
+  setStatus("Idle");
+});
+
+// Cancels running requests and empties the post, recipe and output panes.
+async function resetSession() {
   state.sessionToken += 1;
   try {
     await getBridge().abortAllRequests?.();
@@ -569,6 +2120,9 @@ ui.clearBtn.addEventListener("click", async () => {
   state.selectedImageId = null;
   state.deletedImageIds = new Set();
   state.imagePreviews = new Map();
+  state.recipe = null;
+  state.recipeMarkdown = null;
+  state.libraryEntryId = null;
   state.currentFetchRequestId = null;
   state.currentGenerateRequestId = null;
   ui.urlInput.value = "";
@@ -578,9 +2132,53 @@ ui.clearBtn.addEventListener("click", async () => {
   ui.logsPanel.open = false;
   ui.imagesGrid.innerHTML = `<div class="empty">No images</div>`;
   if (ui.urlSanitizeHint) ui.urlSanitizeHint.hidden = true;
-  clearBanner("hallucination");
+  state.validationCaption = null;
+  state.provenance = null;
+  state.provenanceImageIds = [];
+  setValidation(null);
+  resetDerivedView();
+  clearBanner("format");
+  clearBanner("video");
   setBusy({ fetching: false, generating: false });
-  setStatus("Idle");
+}
+
+// A post typed or pasted by hand: no source URL, an optional free-text source label.
+ui.manualPostBtn.addEventListener("click", () => {
+  if (state.fetching || state.generating) {
+    setStatus("Wait for the current request to finish.");
+    return;
+  }
+  ui.manualCaptionInput.value = "";
+  ui.manualSourceInput.value = "";
+  ui.manualPostDialog.returnValue = "";
+  ui.manualPostDialog.showModal();
+});
+
+ui.createManualPostBtn.addEventListener("click", (ev) => {
+  if (!ui.manualCaptionInput.value.trim()) {
+    ev.preventDefault();
+    ui.manualCaptionInput.focus();
+  }
+});
+
+ui.manualPostDialog.addEventListener("close", async () => {
+  if (ui.manualPostDialog.returnValue !== "create") return;
+  const caption = ui.manualCaptionInput.value.trim();
+  if (!caption || state.fetching || state.generating) return;
+  await resetSession();
+  const id = Array.from(crypto.getRandomValues(new Uint8Array(8)), (b) => b.toString(16).padStart(2, "0")).join("");
+  state.post = {
+    sourceUrl: "",
+    sourceLabel: ui.manualSourceInput.value.trim() || null,
+    feedId: `manual-${id}`,
+    author: null,
+    caption,
+    images: [],
+  };
+  ui.captionBox.value = caption;
+  renderImages();
+  setBusy({});
+  setStatus("Manual post ready. Add images if any, then Generate.");
 });
 
 // boot
@@ -590,6 +2188,8 @@ ui.clearBtn.addEventListener("click", async () => {
     setBusy({ fetching: false, generating: false });
     if (getBridge().getMcpStatus) updateMcpBanner(await getBridge().getMcpStatus());
     if (getBridge().onMcpStatus) state.mcpStatusUnsub = getBridge().onMcpStatus(updateMcpBanner);
+    state.batchUnsub = getBridge().onBatchUpdate(renderBatchList);
+    state.clipboardUnsub = getBridge().onClipboardLink(handleClipboardLink);
 
     const recent = state.config?.recentUrls ?? [];
     if (recent.length > 0) ui.urlInput.value = recent[0];
@@ -606,4 +2206,8 @@ window.addEventListener("beforeunload", () => {
     // ignore
   }
   state.mcpStatusUnsub = null;
+  state.batchUnsub?.();
+  state.batchUnsub = null;
+  state.clipboardUnsub?.();
+  state.clipboardUnsub = null;
 });
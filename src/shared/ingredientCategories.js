@@ -0,0 +1,97 @@
+// Shopping list aisles. `names` match the whole ingredient name, or part of it for aliases longer
+// than one character; `suffixes` catch the many "…肉" / "…酱" style names not listed explicitly.
+// Order matters only for display; unmatched ingredients fall into "other".
+export const INGREDIENT_CATEGORIES = [
+  {
+    id: "produce",
+    label: "Produce",
+    names: [
+      "番茄", "西红柿", "土豆", "马铃薯", "洋葱", "大蒜", "蒜", "蒜头", "蒜瓣", "蒜末", "姜", "生姜", "姜片", "姜丝", "葱", "小葱", "大葱", "香葱", "葱花",
+      "香菜", "芹菜", "胡萝卜", "白萝卜", "萝卜", "黄瓜", "茄子", "青椒", "红椒", "彩椒", "辣椒", "小米辣", "西兰花", "花菜", "菜花", "白菜", "大白菜",
+      "娃娃菜", "生菜", "菠菜", "油麦菜", "卷心菜", "包菜", "韭菜", "蘑菇", "香菇", "金针菇", "杏鲍菇", "木耳", "南瓜", "冬瓜", "丝瓜", "苦瓜", "玉米",
+      "山药", "莲藕", "豆芽", "豌豆", "四季豆", "豆角", "秋葵", "芦笋", "柠檬", "苹果", "香蕉", "草莓", "芒果", "牛油果",
+      "tomato", "tomatoes", "potato", "potatoes", "onion", "onions", "garlic", "ginger", "scallion", "scallions", "green onion", "cilantro",
+      "celery", "carrot", "carrots", "cucumber", "eggplant", "bell pepper", "chili", "broccoli", "cabbage", "lettuce", "spinach", "mushroom",
+      "mushrooms", "pumpkin", "corn", "lemon", "lime", "apple", "banana", "avocado",
+    ],
+    suffixes: ["菜", "瓜", "菇", "椒", "笋"],
+  },
+  {
+    id: "meat",
+    label: "Meat & poultry",
+    names: [
+      "猪肉", "五花肉", "里脊", "排骨", "肉末", "肉馅", "牛肉", "牛腩", "肥牛", "羊肉", "鸡肉", "鸡胸肉", "鸡腿", "鸡翅", "鸡翅中", "鸭肉", "培根", "火腿",
+      "香肠", "腊肠", "午餐肉",
+      "pork", "pork belly", "ribs", "ground pork", "beef", "lamb", "chicken", "chicken breast", "chicken thigh", "chicken wings", "duck", "bacon",
+      "ham", "sausage",
+    ],
+    suffixes: ["肉", "排"],
+  },
+  {
+    id: "seafood",
+    label: "Seafood",
+    names: ["虾", "虾仁", "大虾", "鱼", "鱼片", "三文鱼", "鳕鱼", "鲈鱼", "带鱼", "鱿鱼", "蛤蜊", "花甲", "扇贝", "螃蟹", "海带", "紫菜", "shrimp", "prawns", "fish", "salmon", "cod", "squid", "clams", "scallops", "crab", "seaweed"],
+    suffixes: ["鱼", "虾"],
+  },
+  {
+    id: "eggsDairy",
+    label: "Eggs & dairy",
+    names: ["鸡蛋", "蛋", "鸭蛋", "蛋黄", "蛋清", "蛋白", "牛奶", "纯牛奶", "淡奶油", "奶油", "黄油", "芝士", "奶酪", "马苏里拉", "酸奶", "egg", "eggs", "milk", "cream", "butter", "cheese", "mozzarella", "yogurt"],
+  },
+  {
+    id: "tofu",
+    label: "Tofu & soy",
+    names: ["豆腐", "嫩豆腐", "老豆腐", "北豆腐", "南豆腐", "豆干", "腐竹", "千张", "油豆腐", "豆浆", "tofu", "silken tofu", "firm tofu", "soy milk"],
+  },
+  {
+    id: "staples",
+    label: "Rice, flour & noodles",
+    names: [
+      "大米", "米", "米饭", "糯米", "面粉", "中筋面粉", "低筋面粉", "高筋面粉", "淀粉", "玉米淀粉", "生粉", "面条", "挂面", "意面", "粉丝", "年糕", "面包",
+      "吐司", "饺子皮", "馄饨皮", "燕麦",
+      "rice", "flour", "cornstarch", "noodles", "pasta", "spaghetti", "vermicelli", "bread", "oats",
+    ],
+    suffixes: ["面", "粉"],
+  },
+  {
+    id: "condiments",
+    label: "Condiments & sauces",
+    names: [
+      "盐", "食盐", "糖", "白糖", "冰糖", "红糖", "酱油", "生抽", "老抽", "蚝油", "醋", "香醋", "陈醋", "米醋", "料酒", "黄酒", "香油", "芝麻油", "食用油",
+      "油", "橄榄油", "花生油", "番茄酱", "豆瓣酱", "郫县豆瓣", "甜面酱", "黄豆酱", "辣椒油", "鸡精", "味精", "蜂蜜", "水淀粉",
+      "salt", "sugar", "soy sauce", "light soy sauce", "dark soy sauce", "oyster sauce", "vinegar", "cooking wine", "sesame oil", "oil",
+      "olive oil", "ketchup", "honey",
+    ],
+    suffixes: ["酱", "油", "醋"],
+  },
+  {
+    id: "spices",
+    label: "Spices & dried herbs",
+    names: ["花椒", "八角", "桂皮", "香叶", "干辣椒", "辣椒面", "辣椒粉", "孜然", "孜然粉", "五香粉", "十三香", "胡椒粉", "白胡椒", "黑胡椒", "芝麻", "白芝麻", "咖喱", "pepper", "black pepper", "cumin", "star anise", "cinnamon", "bay leaf", "paprika", "sesame seeds", "curry"],
+  },
+];
+
+export const OTHER_CATEGORY = { id: "other", label: "Other" };
+
+const ENTRIES = INGREDIENT_CATEGORIES.flatMap((category) => category.names.map((name) => ({ name: name.toLowerCase(), category })));
+ENTRIES.sort((a, b) => b.name.length - a.name.length);
+
+export function normalizeIngredientName(name) {
+  return String(name ?? "")
+    .replace(/[（(][^）)]*[）)]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+export function findIngredientCategory(ingredientName) {
+  const name = normalizeIngredientName(ingredientName);
+  if (!name) return OTHER_CATEGORY;
+  const exact = ENTRIES.find((e) => e.name === name);
+  if (exact) return exact.category;
+  // Single-character aliases (盐, 蛋, 米…) only match exactly; 玉米 is not rice.
+  const partial = ENTRIES.find((e) => [...e.name].length > 1 && name.includes(e.name));
+  if (partial) return partial.category;
+  const bySuffix = INGREDIENT_CATEGORIES.find((c) => (c.suffixes ?? []).some((s) => name.endsWith(s)));
+  return bySuffix ?? OTHER_CATEGORY;
+}
@@ -0,0 +1,40 @@
+// Approximate densities in grams per millilitre, used only for "≈" weight/volume hints in the
+// unit conversion view. Values are typical for spooned (not packed) dry ingredients; edit with care.
+export const INGREDIENT_DENSITIES = [
+  { id: "water", gPerMl: 1.0, names: ["水", "清水", "温水", "凉水", "water"] },
+  { id: "milk", gPerMl: 1.03, names: ["牛奶", "纯牛奶", "milk"] },
+  { id: "cream", gPerMl: 1.0, names: ["淡奶油", "稀奶油", "cream", "heavy cream", "whipping cream"] },
+  { id: "yogurt", gPerMl: 1.03, names: ["酸奶", "yogurt", "yoghurt"] },
+  { id: "flour", gPerMl: 0.53, names: ["面粉", "中筋面粉", "低筋面粉", "高筋面粉", "普通面粉", "flour", "all-purpose flour", "cake flour", "bread flour"] },
+  { id: "cornstarch", gPerMl: 0.54, names: ["淀粉", "玉米淀粉", "生粉", "土豆淀粉", "cornstarch", "corn starch", "potato starch"] },
+  { id: "sugar", gPerMl: 0.85, names: ["糖", "白糖", "白砂糖", "细砂糖", "砂糖", "sugar", "granulated sugar", "caster sugar"] },
+  { id: "powderedSugar", gPerMl: 0.56, names: ["糖粉", "powdered sugar", "icing sugar"] },
+  { id: "brownSugar", gPerMl: 0.93, names: ["红糖", "黄糖", "brown sugar"] },
+  { id: "honey", gPerMl: 1.42, names: ["蜂蜜", "honey"] },
+  { id: "salt", gPerMl: 1.2, names: ["盐", "食盐", "salt"] },
+  { id: "oil", gPerMl: 0.92, names: ["油", "食用油", "植物油", "玉米油", "花生油", "菜籽油", "橄榄油", "oil", "vegetable oil", "olive oil"] },
+  { id: "butter", gPerMl: 0.96, names: ["黄油", "butter"] },
+  { id: "soySauce", gPerMl: 1.2, names: ["酱油", "生抽", "老抽", "soy sauce", "light soy sauce", "dark soy sauce"] },
+  { id: "oysterSauce", gPerMl: 1.25, names: ["蚝油", "oyster sauce"] },
+  { id: "vinegar", gPerMl: 1.01, names: ["醋", "香醋", "米醋", "陈醋", "白醋", "vinegar", "rice vinegar"] },
+  { id: "cookingWine", gPerMl: 0.98, names: ["料酒", "黄酒", "cooking wine", "shaoxing wine"] },
+  { id: "rice", gPerMl: 0.85, names: ["大米", "米", "糯米", "rice", "glutinous rice"] },
+  { id: "cocoa", gPerMl: 0.42, names: ["可可粉", "cocoa", "cocoa powder"] },
+  { id: "oats", gPerMl: 0.36, names: ["燕麦", "燕麦片", "oats", "rolled oats"] },
+];
+
+const ENTRIES = INGREDIENT_DENSITIES.flatMap((entry) => entry.names.map((name) => ({ name: name.toLowerCase(), entry })));
+ENTRIES.sort((a, b) => b.name.length - a.name.length);
+
+export function findIngredientDensity(ingredientName) {
+  const name = String(ingredientName ?? "")
+    .replace(/[（(][^）)]*[）)]/g, "")
+    .trim()
+    .toLowerCase();
+  if (!name) return null;
+  const exact = ENTRIES.find((e) => e.name === name);
+  if (exact) return exact.entry;
+  // Single-character aliases (糖, 盐, 米…) only match exactly; 玉米 is not rice.
+  const partial = ENTRIES.find((e) => [...e.name].length > 1 && name.includes(e.name));
+  return partial?.entry ?? null;
+}
@@ -0,0 +1,105 @@
+const CN_DIGITS = {
+  零: 0,
+  〇: 0,
+  一: 1,
+  二: 2,
+  两: 2,
+  俩: 2,
+  三: 3,
+  四: 4,
+  五: 5,
+  六: 6,
+  七: 7,
+  八: 8,
+  九: 9,
+};
+
+const CN_UNITS = { 十: 10, 百: 100, 千: 1000 };
+
+const VULGAR_FRACTIONS = {
+  "½": 0.5,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "¼": 0.25,
+  "¾": 0.75,
+  "⅛": 0.125,
+};
+
+export const CN_NUMERAL_CHARS = "零〇一二两俩三四五六七八九十百千半";
+
+const NUMBER_TOKEN_RE = new RegExp(
+  `(\\d+(?:\\.\\d+)?\\s*[/⁄]\\s*\\d+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?\\s*[½⅓⅔¼¾⅛]|\\d+(?:\\.\\d+)?|[½⅓⅔¼¾⅛]|[${CN_NUMERAL_CHARS}]+)`,
+  "g"
+);
+
+export function toHalfWidth(text) {
+  return String(text ?? "")
+    .replace(/[０-９]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) - 0xfee0))
+    .replace(/．/g, ".")
+    .replace(/／/g, "/");
+}
+
+export function parseChineseNumeral(input) {
+  const text = String(input ?? "").trim();
+  if (!text) return null;
+  if (text === "半" || text === "一半") return 0.5;
+
+  let body = text;
+  let extra = 0;
+  if (body.endsWith("半") && body.length > 1) {
+    extra = 0.5;
+    body = body.slice(0, -1);
+  } else if (body.startsWith("半")) {
+    return null;
+  }
+
+  let total = 0;
+  let digit = null;
+  for (const ch of body) {
+    if (ch in CN_DIGITS) {
+      if (digit != null) return null;
+      digit = CN_DIGITS[ch];
+      continue;
+    }
+    if (ch in CN_UNITS) {
+      total += (digit ?? 1) * CN_UNITS[ch];
+      digit = null;
+      continue;
+    }
+    return null;
+  }
+  if (digit != null) total += digit;
+  return total + extra;
+}
+
+export function parseNumberToken(token) {
+  const text = toHalfWidth(token).replace(/\s+/g, "");
+  if (!text) return null;
+
+  const fraction = /^(\d+(?:\.\d+)?)[/⁄](\d+(?:\.\d+)?)$/.exec(text);
+  if (fraction) {
+    const den = Number(fraction[2]);
+    return den ? Number(fraction[1]) / den : null;
+  }
+
+  const mixed = /^(\d+(?:\.\d+)?)?([½⅓⅔¼¾⅛])$/.exec(text);
+  if (mixed) return Number(mixed[1] ?? 0) + VULGAR_FRACTIONS[mixed[2]];
+
+  if (/^\d+(?:\.\d+)?$/.test(text)) return Number(text);
+  return parseChineseNumeral(text);
+}
+
+export function extractNumbers(text) {
+  const out = [];
+  const normalized = toHalfWidth(text);
+  for (const m of normalized.matchAll(NUMBER_TOKEN_RE)) {
+    const value = parseNumberToken(m[0]);
+    if (value == null || !Number.isFinite(value)) continue;
+    out.push({ text: m[0], value, index: m.index });
+  }
+  return out;
+}
+
+export function nearlyEqual(a, b) {
+  return Math.abs(Number(a) - Number(b)) < 1e-6;
+}
@@ -0,0 +1,138 @@
+import { CN_NUMERAL_CHARS, parseNumberToken, toHalfWidth } from "./numerals.js";
+
+export const VAGUE_AMOUNTS = ["适量", "少许", "少量", "若干", "一点点", "一点", "一些", "一小撮", "一撮", "随意", "to taste", "as needed", "a pinch", "pinch"];
+
+// dimension: mass/volume use `toBase` (grams / millilitres); spoon/cup are Chinese kitchen measures
+// whose size varies by household, so they are never treated as exact volumes.
+export const UNITS = {
+  g: { dimension: "mass", toBase: 1, aliases: ["g", "克", "gram", "grams"] },
+  kg: { dimension: "mass", toBase: 1000, aliases: ["kg", "千克", "公斤"] },
+  mg: { dimension: "mass", toBase: 0.001, aliases: ["mg", "毫克"] },
+  jin: { dimension: "mass", toBase: 500, aliases: ["斤"] },
+  liang: { dimension: "mass", toBase: 50, aliases: ["两"] },
+  oz: { dimension: "mass", toBase: 28.349523125, aliases: ["oz", "ounce", "ounces"] },
+  lb: { dimension: "mass", toBase: 453.59237, aliases: ["lb", "lbs", "pound", "pounds"] },
+  ml: { dimension: "volume", toBase: 1, aliases: ["ml", "毫升", "cc"] },
+  l: { dimension: "volume", toBase: 1000, aliases: ["l", "升", "litre", "liter", "litres", "liters"] },
+  tbsp: { dimension: "volume", toBase: 14.786764782, aliases: ["tbsp", "tablespoon", "tablespoons", "汤匙", "大勺"] },
+  tsp: { dimension: "volume", toBase: 4.928921594, aliases: ["tsp", "teaspoon", "teaspoons", "茶匙", "小勺"] },
+  cup: { dimension: "volume", toBase: 236.5882365, aliases: ["cup", "cups"] },
+  spoon: { dimension: "spoon", toBase: null, aliases: ["勺", "匙", "勺子", "调羹"] },
+  bowl: { dimension: "cup", toBase: null, aliases: ["碗"] },
+  cnCup: { dimension: "cup", toBase: null, aliases: ["杯"] },
+  piece: { dimension: "count", toBase: null, aliases: ["个", "只", "颗", "根", "片", "瓣", "块", "条", "棵", "张", "枚", "pc", "pcs", "piece", "pieces"] },
+  pack: { dimension: "count", toBase: null, aliases: ["袋", "包", "盒", "把", "滴", "罐", "瓶"] },
+};
+
+const UNIT_BY_ALIAS = new Map();
+for (const [id, def] of Object.entries(UNITS)) for (const alias of def.aliases) UNIT_BY_ALIAS.set(alias.toLowerCase(), id);
+
+const UNIT_ALIASES = Array.from(UNIT_BY_ALIAS.keys()).sort((a, b) => b.length - a.length);
+const UNIT_PATTERN = UNIT_ALIASES.map((a) => a.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|");
+// Chinese numerals: 两/俩 only as the first character, so "一两"/"二两" read as a number plus the 两 unit;
+// a bare 百/千 never starts one, so names such as 千张 (tofu skin) are not counted as 1000 sheets.
+const CN_LEADING_CHARS = CN_NUMERAL_CHARS.replace(/[百千]/g, "");
+const CN_FOLLOWING_CHARS = CN_NUMERAL_CHARS.replace(/[两俩]/g, "");
+const CN_NUM_PATTERN = `[${CN_LEADING_CHARS}][${CN_FOLLOWING_CHARS}]*`;
+const NUM_PATTERN = `(?:\\d+(?:\\.\\d+)?\\s*[/⁄]\\s*\\d+|\\d+(?:\\.\\d+)?(?:\\s*[½⅓⅔¼¾⅛])?|[½⅓⅔¼¾⅛]|${CN_NUM_PATTERN})`;
+const RANGE_SEP = "\\s*(?:-|~|～|–|—|到|至)\\s*";
+const PREFIX_PATTERN = "(?:约|大约|about\\s+|approx\\.?\\s*|~)";
+
+const QUANTITY_RE = new RegExp(
+  `^(${PREFIX_PATTERN})?\\s*(${NUM_PATTERN})(?:${RANGE_SEP}(${NUM_PATTERN}))?(\\s*)(${UNIT_PATTERN})?(半)?(?![a-z])\\s*(.*)$`,
+  "i"
+);
+const QUANTITY_IN_TEXT_RE = new RegExp(
+  `(${PREFIX_PATTERN})?(${NUM_PATTERN})(?:${RANGE_SEP}(${NUM_PATTERN}))?(\\s*)(${UNIT_PATTERN})(半)?(?![a-z])`,
+  "gi"
+);
+
+export function resolveUnit(text) {
+  const key = String(text ?? "").trim().toLowerCase();
+  return key ? UNIT_BY_ALIAS.get(key) ?? null : null;
+}
+
+export function isVagueAmount(text) {
+  const t = String(text ?? "").trim().toLowerCase();
+  if (!t) return false;
+  return VAGUE_AMOUNTS.some((v) => t === v || (t.includes(v) && !/\d/.test(t)));
+}
+
+export function parseQuantity(text) {
+  const raw = String(text ?? "").trim();
+  if (!raw) return { kind: "none", raw };
+  const normalized = toHalfWidth(raw);
+
+  const m = QUANTITY_RE.exec(normalized);
+  if (m) {
+    const value = parseNumberToken(m[2]);
+    const max = m[3] != null ? parseNumberToken(m[3]) : null;
+    const half = m[6] ? 0.5 : 0;
+    if (value != null && (m[3] == null || max != null)) {
+      return {
+        kind: max != null ? "range" : "exact",
+        raw,
+        prefix: m[1] ?? "",
+        value: value + (max != null ? 0 : half),
+        max: max != null ? max + half : null,
+        gap: m[4] ?? "",
+        unitText: m[5] ?? "",
+        unit: resolveUnit(m[5]),
+        rest: m[7] ?? "",
+      };
+    }
+  }
+
+  if (isVagueAmount(raw)) return { kind: "vague", raw };
+  return { kind: "unparsed", raw };
+}
+
+export function formatQuantityNumber(value) {
+  if (!Number.isFinite(value)) return "";
+  const abs = Math.abs(value);
+  const digits = abs >= 100 ? 0 : abs >= 10 ? 1 : 2;
+  return String(Number(value.toFixed(digits)));
+}
+
+function formatScaled(parsed, factor) {
+  const amount =
+    parsed.kind === "range"
+      ? `${formatQuantityNumber(parsed.value * factor)}-${formatQuantityNumber(parsed.max * factor)}`
+      : formatQuantityNumber(parsed.value * factor);
+  return `${parsed.prefix}${amount}${parsed.unitText ? parsed.gap : ""}${parsed.unitText}`;
+}
+
+export function scaleQuantity(text, factor) {
+  const parsed = parseQuantity(text);
+  if (parsed.kind !== "exact" && parsed.kind !== "range") return String(text ?? "");
+  if (!Number.isFinite(factor) || factor <= 0 || factor === 1) return String(text ?? "");
+  const rest = parsed.rest ? ` ${parsed.rest}`.replace(/^\s+(?=[，,。；;)）])/, "") : "";
+  return `${formatScaled(parsed, factor)}${rest}`;
+}
+
+export function mapQuantitiesInText(text, mapper) {
+  return toHalfWidth(String(text ?? "")).replace(QUANTITY_IN_TEXT_RE, (match, prefix, num, maxNum, gap, unitText, half) => {
+    const value = parseNumberToken(num);
+    const max = maxNum != null ? parseNumberToken(maxNum) : null;
+    if (value == null || (maxNum != null && max == null)) return match;
+    const extra = half ? 0.5 : 0;
+    const next = mapper({
+      kind: max != null ? "range" : "exact",
+      raw: match,
+      prefix: prefix ?? "",
+      value: value + (max != null ? 0 : extra),
+      max: max != null ? max + extra : null,
+      gap,
+      unitText,
+      unit: resolveUnit(unitText),
+      rest: "",
+    });
+    return next == null ? match : next;
+  });
+}
+
+export function scaleQuantitiesInText(text, factor) {
+  const input = String(text ?? "");
+  if (!Number.isFinite(factor) || factor <= 0 || factor === 1) return input;
+  return mapQuantitiesInText(input, (q) => formatScaled(q, factor));
+}
@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseQuantity, scaleQuantitiesInText, scaleQuantity } from "./quantity.js";
+
+test("parseQuantity understands Chinese and Western numerals, fractions and ranges", () => {
+  assert.deepEqual(
+    ["2个", "两个", "100g", "约200克", "1/2 cup", "1½ cups", "2-3个", "1个半", "三勺"].map((t) => {
+      const q = parseQuantity(t);
+      return [q.kind, q.value, q.max, q.unit];
+    }),
+    [
+      ["exact", 2, null, "piece"],
+      ["exact", 2, null, "piece"],
+      ["exact", 100, null, "g"],
+      ["exact", 200, null, "g"],
+      ["exact", 0.5, null, "cup"],
+      ["exact", 1.5, null, "cup"],
+      ["range", 2, 3, "piece"],
+      ["exact", 1.5, null, "piece"],
+      ["exact", 3, null, "spoon"],
+    ]
+  );
+  assert.equal(parseQuantity("适量").kind, "vague");
+  assert.equal(parseQuantity("少许").kind, "vague");
+  assert.equal(parseQuantity("盐").kind, "unparsed");
+  assert.deepEqual(
+    ["一两", "二两", "两百克", "千张"].map((t) => {
+      const q = parseQuantity(t);
+      return [q.kind, q.value, q.unit];
+    }),
+    [
+      ["exact", 1, "liang"],
+      ["exact", 2, "liang"],
+      ["exact", 200, "g"],
+      ["unparsed", undefined, undefined],
+    ]
+  );
+});
+
+test("scaleQuantity rewrites numbers and keeps units and spacing", () => {
+  assert.equal(scaleQuantity("2个", 0.5), "1个");
+  assert.equal(scaleQuantity("两个", 2), "4个");
+  assert.equal(scaleQuantity("250 ml", 2), "500 ml");
+  assert.equal(scaleQuantity("约200克", 1.5), "约300克");
+  assert.equal(scaleQuantity("2-3个", 2), "4-6个");
+  assert.equal(scaleQuantity("2 eggs", 1.5), "3 eggs");
+  assert.equal(scaleQuantity("适量", 2), "适量");
+  assert.equal(scaleQuantity("100g", 1), "100g");
+});
+
+test("scaleQuantitiesInText scales every measured amount and leaves vague ones", () => {
+  assert.equal(
+    scaleQuantitiesInText("生抽 2勺，糖 适量，水 500ml，十三香1勺", 2),
+    "生抽 4勺，糖 适量，水 1000ml，十三香2勺"
+  );
+  assert.equal(scaleQuantitiesInText("千张 1张", 2), "千张 2张");
+  assert.equal(scaleQuantitiesInText("猪肉 一两，五花肉 二两", 2), "猪肉 2两，五花肉 4两");
+  assert.equal(scaleQuantitiesInText("一千张", 0.5), "500张");
+});
@@ -0,0 +1,103 @@
+import { INGREDIENT_CATEGORIES, OTHER_CATEGORY, findIngredientCategory, normalizeIngredientName } from "./ingredientCategories.js";
+import { UNITS, formatQuantityNumber, parseQuantity } from "./quantity.js";
+
+// Amounts merge per bucket: grams for any mass unit, millilitres for exact volume units, and the
+// literal unit text for everything else (个, 勺, 包, no unit…), since 勺 and 碗 have no fixed size.
+function bucketFor(parsed) {
+  const unit = parsed.unit ? UNITS[parsed.unit] : null;
+  if (unit?.toBase && (unit.dimension === "mass" || unit.dimension === "volume")) return { key: unit.dimension, toBase: unit.toBase };
+  return { key: `unit:${parsed.unitText.toLowerCase()}`, toBase: 1 };
+}
+
+function addAmount(item, parsed, factor) {
+  const { key, toBase } = bucketFor(parsed);
+  let bucket = item.buckets.get(key);
+  if (!bucket) {
+    bucket = { min: 0, max: 0, ranged: false, unitText: parsed.unitText, gap: parsed.gap, toBase, mixedUnits: false, dimension: key };
+    item.buckets.set(key, bucket);
+  }
+  if (bucket.unitText.toLowerCase() !== parsed.unitText.toLowerCase()) bucket.mixedUnits = true;
+  const min = parsed.value * factor * toBase;
+  const max = (parsed.max ?? parsed.value) * factor * toBase;
+  bucket.min += min;
+  bucket.max += max;
+  if (parsed.kind === "range") bucket.ranged = true;
+}
+
+function formatBucket(bucket) {
+  let { unitText, gap } = bucket;
+  let divisor = bucket.toBase;
+  if (bucket.mixedUnits) {
+    // Mixed mass/volume units are shown in metric.
+    const large = bucket.max >= 1000;
+    unitText = bucket.dimension === "mass" ? (large ? "kg" : "g") : large ? "l" : "ml";
+    divisor = large ? 1000 : 1;
+    gap = " ";
+  }
+  const min = formatQuantityNumber(bucket.min / divisor);
+  const amount = bucket.ranged && bucket.max !== bucket.min ? `${min}-${formatQuantityNumber(bucket.max / divisor)}` : min;
+  return `${amount}${unitText ? gap : ""}${unitText}`;
+}
+
+// `items`: [{ recipe, factor?, title? }]. The factor scales every amount (e.g. servings 2 → 4 is 2).
+// Returns categories in aisle order, each with merged items; vague or unparsed amounts ("适量")
+// are kept as notes next to the summed ones.
+export function buildShoppingList(items) {
+  const byName = new Map();
+  const recipes = [];
+  for (const { recipe, factor = 1, title } of items) {
+    const recipeTitle = title || recipe.title || "Untitled";
+    if (!recipes.includes(recipeTitle)) recipes.push(recipeTitle);
+    for (const ingredient of recipe.ingredients) {
+      const name = (ingredient.name || ingredient.raw).replace(/[（(][^）)]*[）)]/g, "").trim();
+      const key = normalizeIngredientName(name);
+      if (!key) continue;
+      let item = byName.get(key);
+      if (!item) {
+        item = { name, category: findIngredientCategory(name).id, buckets: new Map(), notes: [], recipes: [] };
+        byName.set(key, item);
+      }
+      if (!item.recipes.includes(recipeTitle)) item.recipes.push(recipeTitle);
+      const parsed = parseQuantity(ingredient.quantity);
+      if (parsed.kind === "exact" || parsed.kind === "range") addAmount(item, parsed, factor);
+      else if (parsed.kind !== "none" && !item.notes.includes(parsed.raw)) item.notes.push(parsed.raw);
+    }
+  }
+
+  const categories = [...INGREDIENT_CATEGORIES, OTHER_CATEGORY]
+    .map((category) => ({
+      id: category.id,
+      label: category.label,
+      items: Array.from(byName.values())
+        .filter((item) => item.category === category.id)
+        .map((item) => ({
+          name: item.name,
+          amounts: [...Array.from(item.buckets.values()).map(formatBucket), ...item.notes],
+          recipes: item.recipes,
+        })),
+    }))
+    .filter((category) => category.items.length > 0);
+  return { recipes, categories };
+}
+
+function itemLine(item) {
+  return item.amounts.length ? `${item.name} ${item.amounts.join(" + ")}` : item.name;
+}
+
+export function formatShoppingList(list, format = "markdown") {
+  const lines = [];
+  if (format === "text") {
+    lines.push("Shopping list", "");
+    for (const category of list.categories) {
+      lines.push(`${category.label}:`, ...category.items.map((item) => `- ${itemLine(item)}`), "");
+    }
+    if (list.recipes.length) lines.push(`For: ${list.recipes.join(", ")}`);
+  } else {
+    lines.push("# Shopping list", "");
+    if (list.recipes.length) lines.push(`For: ${list.recipes.join(", ")}`, "");
+    for (const category of list.categories) {
+      lines.push(`## ${category.label}`, ...category.items.map((item) => `- [ ] ${itemLine(item)}`), "");
+    }
+  }
+  return `${lines.join("\n").trim()}\n`;
+}
@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { findIngredientCategory } from "./ingredientCategories.js";
+import { buildShoppingList, formatShoppingList } from "./shoppingList.js";
+
+function recipe(title, ingredients) {
+  return { title, ingredients: ingredients.map(([name, quantity]) => ({ name, quantity, raw: `${name} ${quantity}`.trim() })) };
+}
+
+test("findIngredientCategory uses names, partial names and suffixes", () => {
+  assert.equal(findIngredientCategory("番茄").id, "produce");
+  assert.equal(findIngredientCategory("玉米淀粉").id, "staples");
+  assert.equal(findIngredientCategory("梅花肉").id, "meat");
+  assert.equal(findIngredientCategory("蒜蓉辣酱").id, "condiments");
+  assert.equal(findIngredientCategory("Oyster sauce").id, "condiments");
+  assert.equal(findIngredientCategory("神秘配料").id, "other");
+});
+
+test("buildShoppingList merges names and sums compatible units", () => {
+  const list = buildShoppingList([
+    { recipe: recipe("番茄炒蛋", [["鸡蛋", "3个"], ["番茄", "2个"], ["盐", "适量"], ["糖", "500g"]]) },
+    { recipe: recipe("蛋花汤", [["鸡蛋", "2-3个"], ["番茄（去皮）", "1个"], ["盐", "2 g"], ["糖", "1 kg"]]), factor: 2 },
+    { recipe: recipe("Salad", [["Olive oil", "1 tbsp"], ["olive oil", "15 ml"]]) },
+  ]);
+  const items = Object.fromEntries(list.categories.flatMap((c) => c.items.map((i) => [i.name, i.amounts])));
+  assert.deepEqual(items["鸡蛋"], ["7-9个"]);
+  assert.deepEqual(items["番茄"], ["4个"]);
+  assert.deepEqual(items["盐"], ["4 g", "适量"]);
+  assert.deepEqual(items["糖"], ["2.5 kg"]);
+  assert.deepEqual(items["Olive oil"], ["29.8 ml"]);
+  assert.deepEqual(list.categories.map((c) => c.id), ["produce", "eggsDairy", "condiments"]);
+});
+
+test("formatShoppingList renders Markdown checklists and plain text", () => {
+  const list = buildShoppingList([{ recipe: recipe("番茄炒蛋", [["鸡蛋", "3个"], ["番茄", "2个"]]) }]);
+  assert.equal(formatShoppingList(list), "# Shopping list\n\nFor: 番茄炒蛋\n\n## Produce\n- [ ] 番茄 2个\n\n## Eggs & dairy\n- [ ] 鸡蛋 3个\n");
+  assert.equal(formatShoppingList(list, "text"), "Shopping list\n\nProduce:\n- 番茄 2个\n\nEggs & dairy:\n- 鸡蛋 3个\n\nFor: 番茄炒蛋\n");
+});
@@ -0,0 +1,75 @@
+function splitLines(text) {
+  const normalized = String(text ?? "").replace(/\r\n?/g, "\n").replace(/\n$/, "");
+  return normalized ? normalized.split("\n") : [];
+}
+
+// Longest-common-subsequence edit script; recipes are short enough for the O(n*m) table.
+function editScript(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      ops.push({ op: "same", i: i++, j: j++ });
+    } else if (i < n && (j === m || table[i + 1][j] >= table[i][j + 1])) {
+      ops.push({ op: "removed", i: i++ });
+    } else {
+      ops.push({ op: "added", j: j++ });
+    }
+  }
+  return ops;
+}
+
+// Side-by-side rows: { type: "same"|"changed"|"removed"|"added", left, right, leftLine, rightLine }.
+// Line numbers are 1-based and null on the side a row does not exist. A run of removed lines
+// followed by added lines is paired up as "changed" rows.
+export function diffLines(leftText, rightText) {
+  const a = splitLines(leftText);
+  const b = splitLines(rightText);
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let k = 0; k < count; k += 1) {
+      const i = removed[k];
+      const j = added[k];
+      rows.push({
+        type: i == null ? "added" : j == null ? "removed" : "changed",
+        left: i == null ? null : a[i],
+        right: j == null ? null : b[j],
+        leftLine: i == null ? null : i + 1,
+        rightLine: j == null ? null : j + 1,
+      });
+    }
+    removed = [];
+    added = [];
+  };
+  for (const step of editScript(a, b)) {
+    if (step.op === "removed") {
+      if (added.length) flush();
+      removed.push(step.i);
+    } else if (step.op === "added") {
+      added.push(step.j);
+    } else {
+      flush();
+      rows.push({ type: "same", left: a[step.i], right: b[step.j], leftLine: step.i + 1, rightLine: step.j + 1 });
+    }
+  }
+  flush();
+  return rows;
+}
+
+export function summarizeDiff(rows) {
+  const counts = { same: 0, changed: 0, removed: 0, added: 0 };
+  for (const row of rows) counts[row.type] += 1;
+  return counts;
+}
@@ -0,0 +1,20 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { diffLines, summarizeDiff } from "./textDiff.js";
+
+test("diffLines pairs replaced lines and keeps line numbers per side", () => {
+  const rows = diffLines("# 标题\n番茄炒蛋\n\n## 食材\n- 鸡蛋 3个\n- 盐 适量\n", "# 标题\n番茄炒蛋\n\n## 食材\n- 鸡蛋 2个\n- 盐 适量\n- 糖 5g\n");
+  assert.deepEqual(
+    rows.filter((r) => r.type !== "same"),
+    [
+      { type: "changed", left: "- 鸡蛋 3个", right: "- 鸡蛋 2个", leftLine: 5, rightLine: 5 },
+      { type: "added", left: null, right: "- 糖 5g", leftLine: null, rightLine: 7 },
+    ]
+  );
+  assert.deepEqual(summarizeDiff(rows), { same: 5, changed: 1, removed: 0, added: 1 });
+});
+
+test("diffLines handles empty sides", () => {
+  assert.deepEqual(diffLines("", ""), []);
+  assert.deepEqual(diffLines("a\nb", "").map((r) => r.type), ["removed", "removed"]);
+});
@@ -0,0 +1,145 @@
+import { findIngredientDensity } from "./ingredientDensities.js";
+import { UNITS, formatQuantityNumber, mapQuantitiesInText, parseQuantity } from "./quantity.js";
+
+export const UNIT_SYSTEMS = ["original", "us", "metric"];
+
+const METRIC_UNITS = new Set(["g", "kg", "mg", "ml", "l"]);
+const US_UNITS = new Set(["oz", "lb", "cup", "tbsp", "tsp"]);
+const FRACTIONS = [
+  [0, ""],
+  [0.25, "¼"],
+  [1 / 3, "⅓"],
+  [0.5, "½"],
+  [2 / 3, "⅔"],
+  [0.75, "¾"],
+  [1, ""],
+];
+
+const TEMPERATURE_RE = /(\d+(?:\.\d+)?)\s*(°\s*C|℃|°\s*F|℉|摄氏度|华氏度|度|°)(?![a-z])/gi;
+
+function formatFraction(value) {
+  let whole = Math.floor(value);
+  const frac = value - whole;
+  let best = FRACTIONS[0];
+  for (const candidate of FRACTIONS) if (Math.abs(candidate[0] - frac) < Math.abs(best[0] - frac)) best = candidate;
+  if (best[0] === 1) whole += 1;
+  if (!whole && !best[1]) return formatQuantityNumber(value);
+  return `${whole || ""}${best[1]}`;
+}
+
+function oneDecimal(value) {
+  return String(Number(value.toFixed(1)));
+}
+
+function formatRange(values, format) {
+  return values.map(format).join("–");
+}
+
+function formatUsVolume(values) {
+  const top = Math.max(...values);
+  if (top < 14) return `${formatRange(values, (ml) => formatFraction(ml / UNITS.tsp.toBase))} tsp`;
+  if (top < 59) return `${formatRange(values, (ml) => formatFraction(ml / UNITS.tbsp.toBase))} tbsp`;
+  const cups = top / UNITS.cup.toBase;
+  return `${formatRange(values, (ml) => formatFraction(ml / UNITS.cup.toBase))} ${cups > 1.1 ? "cups" : "cup"}`;
+}
+
+function formatUsMass(values) {
+  const top = Math.max(...values);
+  if (top < 10) return `${formatRange(values, (g) => formatQuantityNumber(g / UNITS.oz.toBase))} oz`;
+  if (top < UNITS.lb.toBase) return `${formatRange(values, (g) => oneDecimal(g / UNITS.oz.toBase))} oz`;
+  return `${formatRange(values, (g) => formatQuantityNumber(g / UNITS.lb.toBase))} lb`;
+}
+
+function formatMetricMass(values) {
+  const top = Math.max(...values);
+  if (top >= 1000) return `${formatRange(values, (g) => formatQuantityNumber(g / 1000))} kg`;
+  return `${formatRange(values, (g) => String(Math.round(g)))} g`;
+}
+
+function formatMetricVolume(values) {
+  const top = Math.max(...values);
+  if (top >= 1000) return `${formatRange(values, (ml) => formatQuantityNumber(ml / 1000))} l`;
+  return `${formatRange(values, (ml) => String(Math.round(ml)))} ml`;
+}
+
+function describeDensity(density) {
+  return `≈ uses ${density.names[0]} at ${density.gPerMl} g/ml`;
+}
+
+export function convertParsedQuantity(parsed, { system, ingredientName } = {}) {
+  if (system !== "us" && system !== "metric") return null;
+  if (parsed?.kind !== "exact" && parsed?.kind !== "range") return null;
+  const unit = parsed.unit ? UNITS[parsed.unit] : null;
+  if (!unit) return null;
+
+  if (unit.dimension === "spoon" || unit.dimension === "cup") {
+    return { text: null, notes: [`${parsed.unitText}: size varies by household; not converted`] };
+  }
+  if (!unit.toBase) return null;
+
+  const values = [parsed.value, parsed.max].filter((v) => v != null).map((v) => v * unit.toBase);
+  const density = findIngredientDensity(ingredientName);
+  const notes = [];
+  let text = null;
+
+  if (unit.dimension === "mass") {
+    if (system === "us" && !US_UNITS.has(parsed.unit)) {
+      text = formatUsMass(values);
+      if (density) {
+        text += ` · ≈ ${formatUsVolume(values.map((g) => g / density.gPerMl))}`;
+        notes.push(describeDensity(density));
+      }
+    } else if (system === "metric" && !METRIC_UNITS.has(parsed.unit)) {
+      text = formatMetricMass(values);
+    }
+  } else if (unit.dimension === "volume") {
+    if (system === "us" && !US_UNITS.has(parsed.unit)) {
+      text = formatUsVolume(values);
+    } else if (system === "metric" && !METRIC_UNITS.has(parsed.unit)) {
+      text = formatMetricVolume(values);
+      if (density && density.id !== "water") {
+        text += ` · ≈ ${formatMetricMass(values.map((ml) => ml * density.gPerMl))}`;
+        notes.push(describeDensity(density));
+      }
+    }
+  }
+
+  return text ? { text, notes } : null;
+}
+
+export function convertQuantityText(quantityText, options) {
+  const original = String(quantityText ?? "");
+  const converted = convertParsedQuantity(parseQuantity(original), options);
+  if (!converted) return { text: original, notes: [] };
+  return { text: converted.text ? `${original} (${converted.text})` : original, notes: converted.notes };
+}
+
+export function convertMeasurementsInText(text, options) {
+  const notes = [];
+  const out = mapQuantitiesInText(text, (q) => {
+    const converted = convertParsedQuantity(q, options);
+    if (!converted) return null;
+    notes.push(...converted.notes);
+    return converted.text ? `${q.raw} (${converted.text})` : null;
+  });
+  return { text: out, notes };
+}
+
+export function convertTemperaturesInText(text, system) {
+  const notes = [];
+  if (system !== "us" && system !== "metric") return { text: String(text ?? ""), notes };
+  const out = String(text ?? "").replace(TEMPERATURE_RE, (match, num, unitText) => {
+    const value = Number(num);
+    const unit = unitText.replace(/\s+/g, "").toUpperCase();
+    // Bare 度 is almost always °C in Chinese recipes, but like ° it doesn't say so.
+    if (unit === "°" || unit === "度") {
+      notes.push(`${match.trim()}: °C or °F not stated; not converted`);
+      return match;
+    }
+    const isFahrenheit = unit === "°F" || unit === "℉" || unit === "华氏度";
+    if (system === "us" && !isFahrenheit) return `${match} (${Math.round((value * 9) / 5 + 32)}°F)`;
+    if (system === "metric" && isFahrenheit) return `${match} (${Math.round(((value - 32) * 5) / 9)}°C)`;
+    return match;
+  });
+  return { text: out, notes };
+}
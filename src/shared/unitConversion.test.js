@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { convertMeasurementsInText, convertQuantityText, convertTemperaturesInText } from "./unitConversion.js";
+
+test("convertQuantityText shows US amounts next to metric ones", () => {
+  assert.equal(convertQuantityText("250 ml", { system: "us", ingredientName: "牛奶" }).text, "250 ml (1 cup)");
+  assert.equal(convertQuantityText("1斤", { system: "us", ingredientName: "五花肉" }).text, "1斤 (1.1 lb)");
+  assert.deepEqual(convertQuantityText("100g", { system: "us", ingredientName: "低筋面粉" }), {
+    text: "100g (3.5 oz · ≈ ¾ cup)",
+    notes: ["≈ uses 面粉 at 0.53 g/ml"],
+  });
+  assert.equal(convertQuantityText("1 lb", { system: "metric", ingredientName: "pork" }).text, "1 lb (454 g)");
+  assert.equal(convertQuantityText("100g", { system: "metric", ingredientName: "面粉" }).text, "100g");
+  assert.equal(convertQuantityText("2个", { system: "us", ingredientName: "鸡蛋" }).text, "2个");
+});
+
+test("ambiguous spoon and temperature units are flagged instead of converted", () => {
+  assert.deepEqual(convertQuantityText("2勺", { system: "us", ingredientName: "生抽" }), {
+    text: "2勺",
+    notes: ["勺: size varies by household; not converted"],
+  });
+  assert.deepEqual(convertTemperaturesInText("烤箱180度，或180°", "us"), {
+    text: "烤箱180度，或180°",
+    notes: ["180度: °C or °F not stated; not converted", "180°: °C or °F not stated; not converted"],
+  });
+  assert.equal(convertTemperaturesInText("烤箱180摄氏度", "us").text, "烤箱180摄氏度 (356°F)");
+  assert.equal(convertTemperaturesInText("Bake at 350°F", "metric").text, "Bake at 350°F (177°C)");
+  assert.equal(convertMeasurementsInText("水 500ml，糖 适量", { system: "us" }).text, "水 500ml (2 cups)，糖 适量");
+});
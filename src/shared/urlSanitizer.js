@@ -64,3 +64,35 @@ export function extractFirstHttpsUrl(input) {
   return candidate;
 }
 
+// One share text per line (blank lines ignored); returns each line's first https:// URL, de-duplicated.
+export function extractShareUrls(input) {
+  const urls = [];
+  for (const line of String(input ?? "").split(/\r?\n/)) {
+    const url = extractFirstHttpsUrl(line);
+    if (url && !urls.includes(url)) urls.push(url);
+  }
+  return urls;
+}
+
+const XHS_SHORT_LINK_HOST = "xhslink.com";
+const XHS_HOSTS = ["xiaohongshu.com", XHS_SHORT_LINK_HOST];
+
+function hostIn(url, hosts) {
+  let host;
+  try {
+    host = new URL(String(url)).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return hosts.some((h) => host === h || host.endsWith(`.${h}`));
+}
+
+// True for xiaohongshu.com and xhslink.com links, subdomains included.
+export function isXhsUrl(url) {
+  return hostIn(url, XHS_HOSTS);
+}
+
+// xhslink.com share links only redirect to the note; their path is not the note id.
+export function isXhsShortLink(url) {
+  return hostIn(url, [XHS_SHORT_LINK_HOST]);
+}
@@ -1,6 +1,6 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { extractFirstHttpsUrl } from "./urlSanitizer.js";
+import { extractFirstHttpsUrl, extractShareUrls, isXhsShortLink, isXhsUrl } from "./urlSanitizer.js";
 
 test("extractFirstHttpsUrl returns null when no https:// exists", () => {
   assert.equal(extractFirstHttpsUrl("no url here"), null);
@@ -31,3 +31,23 @@ test("extractFirstHttpsUrl extracts first https:// URL and trims trailing junk",
   assert.equal(extractFirstHttpsUrl("https://xhslink.com/abc#frag"), "https://xhslink.com/abc#frag");
 });
 
+test("extractShareUrls takes the first URL of every share text line", () => {
+  const text = [
+    "番茄炒蛋 https://xhslink.com/a 复制本条信息，打开【小红书】App查看精彩内容！",
+    "",
+    "没有链接",
+    "https://www.xiaohongshu.com/explore/abc12345?xsec_token=t",
+    "again https://xhslink.com/a",
+  ].join("\r\n");
+  assert.deepEqual(extractShareUrls(text), ["https://xhslink.com/a", "https://www.xiaohongshu.com/explore/abc12345?xsec_token=t"]);
+});
+
+test("isXhsUrl accepts XHS hosts only", () => {
+  assert.equal(isXhsUrl("https://xhslink.com/a/abc"), true);
+  assert.equal(isXhsUrl("https://www.xiaohongshu.com/explore/64f0c0000000001f03a1b2c3"), true);
+  assert.equal(isXhsUrl("https://notxiaohongshu.com/x"), false);
+  assert.equal(isXhsUrl("https://example.com/?u=xhslink.com"), false);
+  assert.equal(isXhsUrl("not a url"), false);
+  assert.equal(isXhsShortLink("https://xhslink.com/a/abc"), true);
+  assert.equal(isXhsShortLink("https://www.xiaohongshu.com/explore/64f0c0000000001f03a1b2c3"), false);
+});